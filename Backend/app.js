@@ -4,11 +4,18 @@ const routes = require('./routes');
 
 const app = express();
 
+// Behind a proxy or load balancer set TRUST_PROXY (e.g. 1) so req.ip, used
+// for rate limiting, is the client's address rather than the proxy's
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
 const corsOptions = {
   origin: process.env.FRONTEND_URL || '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Mosque-Id']
 };
 app.use(cors(corsOptions));
 app.use(express.json());
@@ -0,0 +1,15 @@
+const auth = {
+  jwtSecret: process.env.JWT_SECRET,
+  accessTokenTtl: process.env.ADMIN_ACCESS_TOKEN_TTL || '15m',
+  refreshTokenTtl: process.env.ADMIN_REFRESH_TOKEN_TTL || '7d',
+  userAccessTokenTtl: process.env.USER_ACCESS_TOKEN_TTL || '1h',
+  userRefreshTokenTtl: process.env.USER_REFRESH_TOKEN_TTL || '30d',
+  passwordResetTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10),
+  emailVerificationTtlHours: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '48', 10),
+};
+
+if (!auth.jwtSecret) {
+  console.warn('JWT_SECRET is not set — admin and user login are disabled');
+}
+
+module.exports = { auth };
@@ -0,0 +1,25 @@
+const isProduction = process.env.NODE_ENV === 'production';
+
+// Printing emails to the log is only a development default: in production
+// it would put reset links in the logs, so sending fails until one is set
+if (isProduction && !process.env.MAIL_TRANSPORT) {
+  console.warn('MAIL_TRANSPORT is not set — account emails (password reset, verification) cannot be sent');
+}
+
+const mail = {
+  // 'smtp', 'file' or 'console'; null when unset in production
+  transport: process.env.MAIL_TRANSPORT || (isProduction ? null : 'console'),
+  from: process.env.MAIL_FROM || 'Azan <no-reply@localhost>',
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  },
+  // Where the file transport writes messages
+  fileDir: process.env.MAIL_FILE_DIR || 'mail',
+  // Base URL of the links in account emails (reset password, verify email)
+  linkBaseUrl: (process.env.APP_URL || process.env.SERVER_URL || '').replace(/\/+$/, ''),
+};
+
+module.exports = { mail };
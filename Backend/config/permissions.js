@@ -0,0 +1,18 @@
+/**
+ * What each admin role may do. Reading is open to every signed-in admin;
+ * these permissions gate changes and the audit trail.
+ */
+const ROLE_PERMISSIONS = {
+  super_admin: ['schedule:write', 'announcements:broadcast', 'admins:manage', 'settings:manage', 'audit:read'],
+  scheduler: ['schedule:write'],
+  announcer: ['announcements:broadcast'],
+  viewer: [],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+module.exports = { ROLE_PERMISSIONS, ROLES, hasPermission };
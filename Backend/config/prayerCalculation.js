@@ -0,0 +1,18 @@
+const latitude = parseFloat(process.env.LATITUDE);
+const longitude = parseFloat(process.env.LONGITUDE);
+
+const isLocationConfigured = Number.isFinite(latitude) && Number.isFinite(longitude);
+
+const prayerCalculation = {
+  latitude,
+  longitude,
+  method: process.env.CALCULATION_METHOD || 'MWL',
+  asrMethod: process.env.ASR_METHOD || 'Standard',
+  highLatRule: process.env.HIGH_LATITUDE_RULE || 'NightMiddle',
+};
+
+if (isLocationConfigured) {
+  console.log(`Prayer times calculated for ${latitude},${longitude} (method=${prayerCalculation.method}, asr=${prayerCalculation.asrMethod})`);
+}
+
+module.exports = { prayerCalculation, isLocationConfigured };
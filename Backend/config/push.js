@@ -0,0 +1,45 @@
+const seconds = (name, fallback) => parseInt(process.env[name] || String(fallback), 10) * 1000;
+const minutes = (name, fallback) => seconds(name, fallback) * 60;
+
+const push = {
+  // Attempts per message, with exponential backoff between them
+  maxAttempts: parseInt(process.env.PUSH_MAX_ATTEMPTS || '8', 10),
+  retryBaseMs: seconds('PUSH_RETRY_BASE_SECONDS', 5),
+  retryMaxMs: seconds('PUSH_RETRY_MAX_SECONDS', 300),
+  // How long after its time a trigger's push is still worth delivering
+  triggerTtlMs: minutes('PUSH_TRIGGER_TTL_MINUTES', 10),
+  // Silent data pushes only need to arrive before the app next opens
+  dataTtlMs: 60 * 60 * 1000,
+  // Outbox rows and tickets are kept this long for delivery tracking
+  retentionMs: parseInt(process.env.PUSH_TICKET_RETENTION_DAYS || '30', 10) * 24 * 60 * 60 * 1000,
+};
+
+// Keys in env vars usually have their newlines escaped
+const pem = (name) => (process.env[name] || '').replace(/\\n/g, '\n');
+
+// Direct transports, used by devices not registered through Expo.
+// Each is enabled once its credentials are set.
+const transports = {
+  // Firebase Cloud Messaging HTTP v1, with a service account
+  fcm: {
+    projectId: process.env.FCM_PROJECT_ID || '',
+    clientEmail: process.env.FCM_CLIENT_EMAIL || '',
+    privateKey: pem('FCM_PRIVATE_KEY'),
+  },
+  // Apple Push Notification service, with a token-based (.p8) key
+  apns: {
+    keyId: process.env.APNS_KEY_ID || '',
+    teamId: process.env.APNS_TEAM_ID || '',
+    privateKey: pem('APNS_PRIVATE_KEY'),
+    bundleId: process.env.APNS_BUNDLE_ID || '',
+    production: process.env.APNS_PRODUCTION === 'true',
+  },
+  // Web Push for browsers, signed with a VAPID key pair
+  webpush: {
+    subject: process.env.VAPID_SUBJECT || '',
+    publicKey: process.env.VAPID_PUBLIC_KEY || '',
+    privateKey: process.env.VAPID_PRIVATE_KEY || '',
+  },
+};
+
+module.exports = { push, transports };
@@ -0,0 +1,33 @@
+const minutes = (name, fallback) => parseInt(process.env[name] || String(fallback), 10) * 60 * 1000;
+const int = (name, fallback) => parseInt(process.env[name] || String(fallback), 10);
+
+const rateLimit = {
+  // 'memory' (single process) or 'postgres' (shared by every replica)
+  store: process.env.RATE_LIMIT_STORE || 'memory',
+  // Login attempts per IP, successful or not
+  login: {
+    windowMs: minutes('LOGIN_RATE_WINDOW_MINUTES', 15),
+    max: int('LOGIN_RATE_MAX', 20),
+  },
+  // Failed logins per account before it is locked; each further lockout
+  // within lockoutResetMs doubles, up to maxLockoutMs
+  lockout: {
+    maxFailures: int('LOGIN_MAX_FAILURES', 5),
+    failureWindowMs: minutes('LOGIN_FAILURE_WINDOW_MINUTES', 15),
+    lockoutMs: minutes('LOGIN_LOCKOUT_MINUTES', 15),
+    maxLockoutMs: minutes('LOGIN_MAX_LOCKOUT_MINUTES', 24 * 60),
+    lockoutResetMs: 24 * 60 * 60 * 1000,
+  },
+  // Password reset and verification emails per IP
+  accountEmail: {
+    windowMs: minutes('ACCOUNT_EMAIL_RATE_WINDOW_MINUTES', 60),
+    max: int('ACCOUNT_EMAIL_RATE_MAX', 5),
+  },
+  // Live announcements per admin
+  announcements: {
+    windowMs: minutes('ANNOUNCEMENT_RATE_WINDOW_MINUTES', 1),
+    max: int('ANNOUNCEMENT_RATE_MAX', 5),
+  },
+};
+
+module.exports = { rateLimit };
@@ -0,0 +1,185 @@
+const bcrypt = require('bcryptjs');
+const { Admin, Mosque } = require('../models');
+const { MIN_PASSWORD_LENGTH, toAdminData, setPassword } = require('../services/adminAuthService');
+const { ROLES } = require('../config/permissions');
+const { recordAudit } = require('../services/auditService');
+
+// Admins tied to a mosque only see and manage that mosque's accounts
+function scopeWhere(req, where = {}) {
+  return req.admin.mosqueId ? { ...where, mosqueId: req.admin.mosqueId } : where;
+}
+
+async function findAccount(req) {
+  return Admin.findOne({ where: scopeWhere(req, { id: req.params.id }) });
+}
+
+// Whether removing this admin's super_admin access would leave none active
+async function isLastSuperAdmin(admin) {
+  if (admin.role !== 'super_admin' || !admin.isActive) return false;
+  const count = await Admin.count({ where: { role: 'super_admin', isActive: true } });
+  return count <= 1;
+}
+
+// Returns an error message if any provided field is invalid
+async function validateAccount(req, { role, mosqueId, password }) {
+  if (role !== undefined && !ROLES.includes(role)) {
+    return `Role must be one of: ${ROLES.join(', ')}`;
+  }
+  if (password !== undefined && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (mosqueId !== undefined && mosqueId !== null) {
+    if (req.admin.mosqueId && mosqueId !== req.admin.mosqueId) {
+      return 'Not allowed to assign admins to another mosque';
+    }
+    if (!await Mosque.findByPk(mosqueId)) return 'Mosque not found';
+  }
+  if (mosqueId === null && req.admin.mosqueId) {
+    return 'Not allowed to give admins access to all mosques';
+  }
+  return null;
+}
+
+const getAll = async (req, res) => {
+  try {
+    const admins = await Admin.findAll({
+      where: scopeWhere(req),
+      include: [{ model: Mosque, as: 'mosque', attributes: ['id', 'name'] }],
+      order: [['username', 'ASC']]
+    });
+    res.json(admins.map(toAdminData));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const getById = async (req, res) => {
+  try {
+    const admin = await findAccount(req);
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+    res.json(toAdminData(admin));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const create = async (req, res) => {
+  try {
+    const { username, password, role, isActive } = req.body;
+    // Admins tied to a mosque create accounts for that mosque
+    const mosqueId = req.body.mosqueId !== undefined ? req.body.mosqueId || null : req.admin.mosqueId;
+
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+    const validationError = await validateAccount(req, { role, mosqueId, password });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (await Admin.findOne({ where: { username } })) {
+      return res.status(409).json({ error: 'Username already taken' });
+    }
+
+    // The new admin picks their own password on first login
+    const admin = await Admin.create({
+      username,
+      password: await bcrypt.hash(password, 10),
+      role: role || 'viewer',
+      mosqueId,
+      isActive: isActive !== undefined ? isActive : true,
+      mustChangePassword: true
+    });
+    await recordAudit(req, { action: 'create', entityType: 'admin', entityId: admin.id, after: admin, mosqueId: admin.mosqueId });
+    res.status(201).json(toAdminData(admin));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+const update = async (req, res) => {
+  try {
+    const admin = await findAccount(req);
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    const { username, role, isActive } = req.body;
+    const mosqueId = req.body.mosqueId !== undefined ? req.body.mosqueId || null : undefined;
+
+    const validationError = await validateAccount(req, { role, mosqueId });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const losesSuperAdmin = (role !== undefined && role !== 'super_admin') || isActive === false;
+    if (losesSuperAdmin && await isLastSuperAdmin(admin)) {
+      return res.status(400).json({ error: 'Cannot demote or disable the last active super admin' });
+    }
+    if (username && username !== admin.username && await Admin.findOne({ where: { username } })) {
+      return res.status(409).json({ error: 'Username already taken' });
+    }
+
+    const before = admin.toJSON();
+    const updateData = {};
+    if (username) updateData.username = username;
+    if (role !== undefined) updateData.role = role;
+    if (mosqueId !== undefined) updateData.mosqueId = mosqueId;
+    if (isActive !== undefined) {
+      updateData.isActive = isActive;
+      // Disabling signs the admin out everywhere
+      if (!isActive) updateData.tokenVersion = admin.tokenVersion + 1;
+    }
+
+    await admin.update(updateData);
+    await recordAudit(req, { action: 'update', entityType: 'admin', entityId: admin.id, before, after: admin, mosqueId: admin.mosqueId });
+    res.json(toAdminData(admin));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+const remove = async (req, res) => {
+  try {
+    const admin = await findAccount(req);
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+    if (admin.id === req.admin.id) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    if (await isLastSuperAdmin(admin)) {
+      return res.status(400).json({ error: 'Cannot delete the last active super admin' });
+    }
+
+    await admin.destroy();
+    await recordAudit(req, { action: 'delete', entityType: 'admin', entityId: admin.id, before: admin, mosqueId: admin.mosqueId });
+    res.json({ message: 'Admin deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Set a temporary password that the admin must change at next login
+const resetPassword = async (req, res) => {
+  try {
+    const admin = await findAccount(req);
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    const { password } = req.body;
+    const validationError = await validateAccount(req, { password });
+    if (!password || validationError) {
+      return res.status(400).json({ error: validationError || 'Password is required' });
+    }
+
+    await setPassword(admin, password, { mustChangePassword: true });
+    await recordAudit(req, { action: 'reset_password', entityType: 'admin', entityId: admin.id, mosqueId: admin.mosqueId });
+    res.json({ message: 'Password reset. The admin must choose a new password at next login.' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = { getAll, getById, create, update, remove, resetPassword };
@@ -1,20 +1,116 @@
+const bcrypt = require('bcryptjs');
+const { Admin } = require('../models');
+const {
+  MIN_PASSWORD_LENGTH,
+  toAdminData,
+  issueTokens,
+  getAdminForRefreshToken,
+  revokeTokens,
+  setPassword
+} = require('../services/adminAuthService');
+const { recordAudit } = require('../services/auditService');
+const { getLockout, recordLoginFailure, clearLoginFailures } = require('../services/rateLimitService');
+const { sendLockedOut } = require('../middleware/rateLimit');
+const { checkPassword } = require('../utils/password');
+
 const login = async (req, res) => {
   try {
     const { username, password } = req.body;
 
-    // For demo purposes - in production use proper password hashing
-    if (username === 'admin' && password === 'admin123') {
-      res.json({
-        success: true,
-        token: 'demo-token',
-        message: 'Login successful'
-      });
-    } else {
-      res.status(401).json({ error: 'Invalid credentials' });
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    const lockedFor = await getLockout('admin', username);
+    if (lockedFor) {
+      return sendLockedOut(res, lockedFor);
+    }
+
+    const admin = await Admin.findOne({ where: { username } });
+    const isMatch = await checkPassword(admin, password);
+    if (!isMatch) {
+      const lockout = await recordLoginFailure('admin', username);
+      if (lockout) {
+        return sendLockedOut(res, lockout);
+      }
+      return res.status(401).json({ error: 'Invalid credentials' });
     }
+    await clearLoginFailures('admin', username);
+    if (!admin.isActive) {
+      return res.status(403).json({ error: 'Account is disabled' });
+    }
+
+    await admin.update({ lastLoginAt: new Date() });
+
+    res.json({
+      success: true,
+      ...issueTokens(admin),
+      admin: toAdminData(admin),
+      message: 'Login successful'
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const admin = await getAdminForRefreshToken(refreshToken);
+    if (!admin) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json({ success: true, ...issueTokens(admin) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const logout = async (req, res) => {
+  try {
+    await revokeTokens(req.admin);
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const me = async (req, res) => {
+  res.json(toAdminData(req.admin));
+};
+
+// Change the signed-in admin's own password; also completes a forced reset
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current and new password are required' });
+    }
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword, req.admin.password);
+    if (!isMatch) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    await setPassword(req.admin, newPassword);
+    await recordAudit(req, { action: 'change_password', entityType: 'admin', entityId: req.admin.id, mosqueId: req.admin.mosqueId });
+    res.json({
+      success: true,
+      ...issueTokens(req.admin),
+      admin: toAdminData(req.admin),
+      message: 'Password changed'
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 };
 
-module.exports = { login };
+module.exports = { login, refresh, logout, me, changePassword };
@@ -1,25 +1,219 @@
+const { Op } = require('sequelize');
+const { Announcement, Admin } = require('../models');
+const { toPayload, validateContent, broadcastAnnouncement, pushAnnouncement, deleteUploadIfUnused } = require('../services/announcementService');
+const { recordAudit } = require('../services/auditService');
+const { emitDataUpdated } = require('../utils/dataEvents');
+
+const MAX_LIMIT = 200;
+const RECENT_LIMIT = 20;
+const MAX_RECENT_LIMIT = 100;
+
+// What the apps get; the same shape as the live:announcement payload
+const PUBLIC_ATTRIBUTES = ['id', 'title', 'body', 'audioUrl', 'imageUrl', 'expiresAt', 'isPinned', 'sentAt'];
+
+const senderInclude = { model: Admin, as: 'sender', attributes: ['id', 'username', 'role'] };
+
+// Multipart forms send booleans as strings
+const toBoolean = (value) => value === true || value === 'true' || value === '1';
+
+const uploadedPath = (req, field) => (req.files && req.files[field] ? req.files[field][0].path : null);
+
+/**
+ * Validate pinning and expiry in a request body. Returns { error } or
+ * { fields } with whichever of them were given; a blank expiry clears it.
+ */
+function parseNoticeFields(body) {
+  const fields = {};
+  if (body.isPinned !== undefined) fields.isPinned = toBoolean(body.isPinned);
+  if (body.expiresAt !== undefined) {
+    if (body.expiresAt === null || body.expiresAt === '') {
+      fields.expiresAt = null;
+    } else {
+      const expiresAt = new Date(body.expiresAt);
+      if (isNaN(expiresAt)) return { error: 'Invalid expiry time' };
+      if (expiresAt <= new Date()) return { error: 'Expiry time must be in the future' };
+      fields.expiresAt = expiresAt;
+    }
+  }
+  return { fields };
+}
+
 const broadcast = async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'Audio file is required' });
+    const audioUrl = uploadedPath(req, 'audioFile');
+    const imageUrl = uploadedPath(req, 'imageFile');
+    const body = typeof req.body.body === 'string' && req.body.body.trim() ? req.body.body.trim() : null;
+
+    const contentError = validateContent({ body, audioUrl, imageUrl });
+    if (contentError) {
+      return res.status(400).json({ error: contentError });
+    }
+    const { error, fields } = parseNoticeFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    const title = req.body.title || 'Live Announcement';
-    const audioUrl = req.file.path;
-    const payload = {
-      audioUrl,
+    const title = req.body.title || (audioUrl ? 'Live Announcement' : 'Notice');
+    console.log(`Broadcasting announcement: ${title}`);
+    const announcement = await broadcastAnnouncement(req.app.get('io'), {
+      mosqueId: req.mosque.id,
       title,
-      timestamp: new Date().toISOString(),
-    };
+      body,
+      audioUrl,
+      imageUrl,
+      ...fields,
+      senderId: req.admin.id,
+      senderName: req.admin.username
+    });
+    const payload = toPayload(announcement);
+    await recordAudit(req, { action: 'broadcast', entityType: 'announcement', entityId: announcement.id, after: announcement });
 
-    console.log('Broadcasting live announcement:', payload);
-    req.app.get('io').emit('live:announcement', payload);
+    // Reach phones in the background too; the broadcast stands if this fails
+    let push = null;
+    try {
+      const { sent, failed, queued } = await pushAnnouncement(announcement);
+      push = { sent, failed, queued };
+    } catch (err) {
+      console.error('Announcement push error:', err);
+    }
 
-    res.json({ message: 'Announcement broadcast successfully', ...payload });
+    res.json({ message: 'Announcement broadcast successfully', ...payload, recipients: announcement.recipients, push });
   } catch (error) {
     console.error('Broadcast error:', error);
     res.status(500).json({ error: error.message });
   }
 };
 
-module.exports = { broadcast };
+const getAll = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_LIMIT);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    const { count, rows } = await Announcement.findAndCountAll({
+      where: { mosqueId: req.mosque.id },
+      include: [senderInclude],
+      order: [['sent_at', 'DESC']],
+      limit,
+      offset
+    });
+    res.json({ total: count, limit, offset, announcements: rows });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Announcements for apps to replay after reconnecting: those sent after
+ * `since` (ISO time of the last one they heard), oldest first, or else the
+ * latest few.
+ */
+const getRecent = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || RECENT_LIMIT, MAX_RECENT_LIMIT);
+    const where = { mosqueId: req.mosque.id };
+
+    if (req.query.since) {
+      const since = new Date(req.query.since);
+      if (isNaN(since)) {
+        return res.status(400).json({ error: 'Invalid since time' });
+      }
+      where.sentAt = { [Op.gt]: since };
+      const announcements = await Announcement.findAll({
+        where,
+        attributes: PUBLIC_ATTRIBUTES,
+        order: [['sent_at', 'ASC']],
+        limit
+      });
+      return res.json(announcements);
+    }
+
+    const announcements = await Announcement.findAll({
+      where,
+      attributes: PUBLIC_ATTRIBUTES,
+      order: [['sent_at', 'DESC']],
+      limit
+    });
+    res.json(announcements.reverse());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * The mosque's notice board: announcements that have not expired, pinned
+ * first, then newest first.
+ */
+const getActive = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || RECENT_LIMIT, MAX_RECENT_LIMIT);
+    const announcements = await Announcement.findAll({
+      where: {
+        mosqueId: req.mosque.id,
+        [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }]
+      },
+      attributes: PUBLIC_ATTRIBUTES,
+      order: [['is_pinned', 'DESC'], ['sent_at', 'DESC']],
+      limit
+    });
+    res.json(announcements);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const getById = async (req, res) => {
+  try {
+    const announcement = await Announcement.findOne({
+      where: { id: req.params.id, mosqueId: req.mosque.id },
+      include: [senderInclude]
+    });
+    if (!announcement) {
+      return res.status(404).json({ error: 'Announcement not found' });
+    }
+    res.json(announcement);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Pin, unpin or change the expiry of an announcement already sent
+const update = async (req, res) => {
+  try {
+    const announcement = await Announcement.findOne({ where: { id: req.params.id, mosqueId: req.mosque.id } });
+    if (!announcement) {
+      return res.status(404).json({ error: 'Announcement not found' });
+    }
+    const { error, fields } = parseNoticeFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const before = announcement.toJSON();
+    await announcement.update(fields);
+    await recordAudit(req, { action: 'update', entityType: 'announcement', entityId: announcement.id, before, after: announcement });
+    emitDataUpdated(req.app.get('io'), { type: 'announcement', mosqueId: req.mosque.id });
+    res.json(announcement);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+const remove = async (req, res) => {
+  try {
+    const announcement = await Announcement.findOne({ where: { id: req.params.id, mosqueId: req.mosque.id } });
+    if (!announcement) {
+      return res.status(404).json({ error: 'Announcement not found' });
+    }
+
+    await announcement.destroy();
+    await deleteUploadIfUnused(announcement.audioUrl);
+    await deleteUploadIfUnused(announcement.imageUrl);
+    await recordAudit(req, { action: 'delete', entityType: 'announcement', entityId: announcement.id, before: announcement });
+    emitDataUpdated(req.app.get('io'), { type: 'announcement', mosqueId: req.mosque.id });
+    res.json({ message: 'Announcement deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = { broadcast, getAll, getRecent, getActive, getById, update, remove };
@@ -0,0 +1,70 @@
+const { Op } = require('sequelize');
+const { AuditLog, Admin } = require('../models');
+
+const MAX_LIMIT = 200;
+
+const adminInclude = { model: Admin, as: 'admin', attributes: ['id', 'username', 'role'] };
+
+// Admins bound to a mosque only see that mosque's entries
+function scopeFor(req) {
+  if (req.admin.mosqueId) return { mosqueId: req.admin.mosqueId };
+  return req.query.mosqueId ? { mosqueId: req.query.mosqueId } : {};
+}
+
+const getAll = async (req, res) => {
+  try {
+    const { adminId, action, entityType, entityId, from, to } = req.query;
+    const whereClause = scopeFor(req);
+
+    if (adminId) whereClause.adminId = adminId;
+    if (action) whereClause.action = action;
+    if (entityType) whereClause.entityType = entityType;
+    if (entityId) whereClause.entityId = entityId;
+    if (from || to) {
+      const range = {};
+      if (from) {
+        const start = new Date(from);
+        if (isNaN(start)) return res.status(400).json({ error: 'Invalid from date' });
+        range[Op.gte] = start;
+      }
+      if (to) {
+        // A bare date includes the whole day
+        const end = new Date(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999` : to);
+        if (isNaN(end)) return res.status(400).json({ error: 'Invalid to date' });
+        range[Op.lte] = end;
+      }
+      whereClause.created_at = range;
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_LIMIT);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    const { count, rows } = await AuditLog.findAndCountAll({
+      where: whereClause,
+      include: [adminInclude],
+      order: [['created_at', 'DESC']],
+      limit,
+      offset
+    });
+    res.json({ total: count, limit, offset, entries: rows });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const getById = async (req, res) => {
+  try {
+    const entry = await AuditLog.findOne({
+      where: { id: req.params.id, ...scopeFor(req) },
+      include: [adminInclude]
+    });
+    if (!entry) {
+      return res.status(404).json({ error: 'Audit entry not found' });
+    }
+    res.json(entry);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = { getAll, getById };
@@ -1,16 +1,28 @@
 const bcrypt = require('bcryptjs');
-const { User } = require('../models');
+const { User, DeviceToken } = require('../models');
+const { MIN_PASSWORD_LENGTH, issueTokens, getUserForRefreshToken, revokeTokens, toUserData } = require('../services/userAuthService');
+const { findValidToken, consumeToken, sendPasswordResetEmail, sendVerificationEmail } = require('../services/userTokenService');
+const { getLockout, recordLoginFailure, clearLoginFailures } = require('../services/rateLimitService');
+const { sendLockedOut } = require('../middleware/rateLimit');
+const { checkPassword } = require('../utils/password');
+const { withDefaults, validatePreferences, mergePreferences, replanPreAlerts } = require('../services/notificationPreferences');
+
+// Language tags such as 'ar' or 'ms-MY'
+const LOCALE_PATTERN = /^[a-zA-Z]{2,3}([-_][a-zA-Z0-9]{2,4})?$/;
 
 const register = async (req, res) => {
   try {
-    const { name, email, phone, password } = req.body;
+    const { name, email, phone, password, locale } = req.body;
 
     if (!name || !email || !phone || !password) {
       return res.status(400).json({ error: 'All fields are required' });
     }
+    if (locale && !LOCALE_PATTERN.test(locale)) {
+      return res.status(400).json({ error: `Invalid locale: ${locale}` });
+    }
 
-    if (password.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
     }
 
     const existing = await User.findOne({ where: { email } });
@@ -25,13 +37,14 @@ const register = async (req, res) => {
       email,
       phone,
       password: hashedPassword,
+      locale: locale || null,
       lastLoginAt: new Date(),
     });
 
-    const userData = user.toJSON();
-    delete userData.password;
+    sendVerificationEmail(user)
+      .catch(err => console.error('Verification email error:', err.message));
 
-    res.status(201).json(userData);
+    res.status(201).json({ ...toUserData(user), ...issueTokens(user) });
   } catch (error) {
     console.error('Registration error:', error.message);
     res.status(500).json({ error: 'Registration failed' });
@@ -46,26 +59,242 @@ const login = async (req, res) => {
       return res.status(400).json({ error: 'Email and password are required' });
     }
 
-    const user = await User.findOne({ where: { email } });
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid email or password' });
+    const lockedFor = await getLockout('user', email);
+    if (lockedFor) {
+      return sendLockedOut(res, lockedFor);
     }
 
-    const isMatch = await bcrypt.compare(password, user.password);
+    const user = await User.findOne({ where: { email } });
+    const isMatch = await checkPassword(user, password);
     if (!isMatch) {
+      const lockout = await recordLoginFailure('user', email);
+      if (lockout) {
+        return sendLockedOut(res, lockout);
+      }
       return res.status(401).json({ error: 'Invalid email or password' });
     }
+    await clearLoginFailures('user', email);
 
     await user.update({ lastLoginAt: new Date() });
 
-    const userData = user.toJSON();
-    delete userData.password;
-
-    res.json(userData);
+    res.json({ ...toUserData(user), ...issueTokens(user) });
   } catch (error) {
     console.error('Login error:', error.message);
     res.status(500).json({ error: 'Login failed' });
   }
 };
 
-module.exports = { register, login };
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const user = await getUserForRefreshToken(refreshToken);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json(issueTokens(user));
+  } catch (error) {
+    console.error('Token refresh error:', error.message);
+    res.status(500).json({ error: 'Token refresh failed' });
+  }
+};
+
+const logout = async (req, res) => {
+  try {
+    await revokeTokens(req.user);
+    // Signed-out devices stop receiving this user's notifications, and their preferences
+    const devices = await DeviceToken.findAll({ where: { userId: req.user.id }, attributes: ['mosqueId'] });
+    await DeviceToken.update({ userId: null }, { where: { userId: req.user.id } });
+    replanPreAlerts(devices.map(device => device.mosqueId));
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error.message);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+};
+
+const me = async (req, res) => {
+  res.json(toUserData(req.user));
+};
+
+const updateMe = async (req, res) => {
+  try {
+    const { name, phone, locale } = req.body;
+    const updates = {};
+    if (name !== undefined) {
+      if (!name) return res.status(400).json({ error: 'Name cannot be empty' });
+      updates.name = name;
+    }
+    if (phone !== undefined) {
+      if (!phone) return res.status(400).json({ error: 'Phone cannot be empty' });
+      updates.phone = phone;
+    }
+    if (locale !== undefined) {
+      if (locale && !LOCALE_PATTERN.test(locale)) {
+        return res.status(400).json({ error: `Invalid locale: ${locale}` });
+      }
+      updates.locale = locale || null;
+    }
+
+    await req.user.update(updates);
+    res.json(toUserData(req.user));
+  } catch (error) {
+    console.error('Profile update error:', error.message);
+    res.status(500).json({ error: 'Profile update failed' });
+  }
+};
+
+// Notification preferences inherited by the user's devices; each device may override them
+const getPreferences = async (req, res) => {
+  res.json(withDefaults(req.user.preferences));
+};
+
+const updatePreferences = async (req, res) => {
+  try {
+    const validationError = validatePreferences(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const previousLead = withDefaults(req.user.preferences).preAlertMinutes;
+    await req.user.update({ preferences: mergePreferences(req.user.preferences, req.body) });
+    const preferences = withDefaults(req.user.preferences);
+
+    if (preferences.preAlertMinutes !== previousLead) {
+      const devices = await DeviceToken.findAll({ where: { userId: req.user.id }, attributes: ['mosqueId'] });
+      replanPreAlerts(devices.map(device => device.mosqueId));
+    }
+    res.json(preferences);
+  } catch (error) {
+    console.error('Preferences update error:', error.message);
+    res.status(500).json({ error: 'Preferences update failed' });
+  }
+};
+
+// Always answers the same way so the endpoint does not reveal which emails are registered
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    // Not awaited, so the response takes as long whether or not the email exists
+    const user = await User.findOne({ where: { email } });
+    if (user) {
+      sendPasswordResetEmail(user)
+        .catch(err => console.error('Password reset email error:', err.message));
+    }
+    res.json({ message: 'If the email is registered, a reset link has been sent' });
+  } catch (error) {
+    console.error('Password reset request error:', error.message);
+    res.status(500).json({ error: 'Could not send reset email' });
+  }
+};
+
+const checkResetToken = async (req, res) => {
+  try {
+    const record = await findValidToken(req.params.token, 'password_reset');
+    if (!record) {
+      return res.status(400).json({ error: 'Invalid or expired reset link' });
+    }
+    res.json({ valid: true, email: record.user.email });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and password are required' });
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const record = await findValidToken(token, 'password_reset');
+    if (!record || !await consumeToken(record)) {
+      return res.status(400).json({ error: 'Invalid or expired reset link' });
+    }
+
+    // Signs out every session; receiving the link also proves the email address
+    const { user } = record;
+    await user.update({
+      password: await bcrypt.hash(password, 10),
+      tokenVersion: user.tokenVersion + 1,
+      emailVerifiedAt: user.emailVerifiedAt || new Date()
+    });
+    res.json({ message: 'Password has been reset' });
+  } catch (error) {
+    console.error('Password reset error:', error.message);
+    res.status(500).json({ error: 'Password reset failed' });
+  }
+};
+
+const requestVerification = async (req, res) => {
+  try {
+    if (req.user.emailVerifiedAt) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+    await sendVerificationEmail(req.user);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Verification request error:', error.message);
+    res.status(500).json({ error: 'Could not send verification email' });
+  }
+};
+
+const checkVerificationToken = async (req, res) => {
+  try {
+    const record = await findValidToken(req.params.token, 'email_verification');
+    if (!record) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+    res.json({ valid: true, email: record.user.email });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ error: 'Token is required' });
+    }
+
+    const record = await findValidToken(token, 'email_verification');
+    if (!record || !await consumeToken(record)) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+
+    await record.user.update({ emailVerifiedAt: new Date() });
+    res.json({ message: 'Email verified', user: toUserData(record.user) });
+  } catch (error) {
+    console.error('Email verification error:', error.message);
+    res.status(500).json({ error: 'Email verification failed' });
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  logout,
+  me,
+  updateMe,
+  getPreferences,
+  updatePreferences,
+  forgotPassword,
+  checkResetToken,
+  resetPassword,
+  requestVerification,
+  checkVerificationToken,
+  verifyEmail
+};
@@ -1,20 +1,80 @@
-const { DeviceToken } = require('../models');
+const { DeviceToken, User } = require('../models');
+const { isValidTimezone } = require('../utils/timezone');
+const { withDefaults, devicePreferences, validatePreferences, mergePreferences, replanPreAlerts } = require('../services/notificationPreferences');
+const { PROVIDERS, getTransport } = require('../services/pushTransports');
+const { transports } = require('../config/push');
 
+// A device linked to a user is only reachable with that user's token
+function isOwnDevice(req, device) {
+  return !device.userId || Boolean(req.user && req.user.id === device.userId);
+}
+
+async function findOwnDevice(req, res) {
+  const device = await DeviceToken.findOne({
+    where: { token: req.params.token },
+    include: [{ model: User, as: 'user', attributes: ['id', 'preferences'] }]
+  });
+  if (!device) {
+    res.status(404).json({ error: 'Device not found' });
+    return null;
+  }
+  if (!isOwnDevice(req, device)) {
+    res.status(403).json({ error: 'This device belongs to another user' });
+    return null;
+  }
+  return device;
+}
+
+// Browsers send their push subscription ({ endpoint, keys }) instead of a token
+function tokenFrom(body) {
+  return body.subscription ? body.subscription.endpoint : body.token;
+}
+
+// The app registers on every start, so this also records when the device was last seen
 const register = async (req, res) => {
   try {
-    const { token, platform } = req.body;
+    const { subscription, platform, appVersion, locale, timezone } = req.body;
+    const token = tokenFrom(req.body);
+    const keys = subscription ? subscription.keys : null;
+    const provider = req.body.provider || (subscription ? 'webpush' : 'expo');
 
     if (!token) {
-      return res.status(400).json({ error: 'Token is required' });
+      return res.status(400).json({ error: 'Token or subscription is required' });
+    }
+    if (!PROVIDERS.includes(provider)) {
+      return res.status(400).json({ error: `Invalid provider: ${provider}` });
+    }
+    if (!getTransport(provider).isValidToken(token, keys)) {
+      return res.status(400).json({ error: `Invalid ${provider} token` });
+    }
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: `Invalid timezone: ${timezone}` });
     }
 
+    // A device follows the mosque it last registered with, and the user signed in on it
+    const deviceData = {
+      platform: platform || (provider === 'webpush' ? 'web' : 'android'),
+      provider,
+      keys,
+      mosqueId: req.mosque.id,
+      lastSeenAt: new Date()
+    };
+    if (req.user) deviceData.userId = req.user.id;
+    if (appVersion !== undefined) deviceData.appVersion = appVersion || null;
+    if (locale !== undefined) deviceData.locale = locale || null;
+    if (timezone !== undefined) deviceData.timezone = timezone || null;
+
     const [device, created] = await DeviceToken.findOrCreate({
       where: { token },
-      defaults: { token, platform: platform || 'android' }
+      defaults: { token, ...deviceData }
     });
-
-    if (!created && device.platform !== platform) {
-      await device.update({ platform });
+    const previous = { mosqueId: device.mosqueId, userId: device.userId };
+    if (!created) {
+      await device.update(deviceData);
+    }
+    // The device brings its (or its user's) lead times to the mosque
+    if (created || previous.mosqueId !== device.mosqueId || previous.userId !== device.userId) {
+      replanPreAlerts([previous.mosqueId, device.mosqueId]);
     }
 
     res.json({ message: created ? 'Device registered' : 'Device already registered', device });
@@ -25,17 +85,66 @@ const register = async (req, res) => {
 
 const unregister = async (req, res) => {
   try {
-    const { token } = req.body;
+    const token = tokenFrom(req.body);
 
     if (!token) {
       return res.status(400).json({ error: 'Token is required' });
     }
 
-    const deleted = await DeviceToken.destroy({ where: { token } });
-    res.json({ message: deleted ? 'Device unregistered' : 'Token not found' });
+    const device = await DeviceToken.findOne({ where: { token } });
+    if (!device) {
+      return res.json({ message: 'Token not found' });
+    }
+    if (!isOwnDevice(req, device)) {
+      return res.status(403).json({ error: 'This device belongs to another user' });
+    }
+    await device.destroy();
+    res.json({ message: 'Device unregistered' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const getPreferences = async (req, res) => {
+  try {
+    const device = await findOwnDevice(req, res);
+    if (!device) return;
+    res.json(withDefaults(devicePreferences(device)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const updatePreferences = async (req, res) => {
+  try {
+    const device = await findOwnDevice(req, res);
+    if (!device) return;
+
+    const validationError = validatePreferences(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // Only what the device sets is stored on it; the rest stays inherited from its user
+    const previousLead = withDefaults(devicePreferences(device)).preAlertMinutes;
+    await device.update({ preferences: mergePreferences(device.preferences, req.body) });
+    const preferences = withDefaults(devicePreferences(device));
+
+    if (preferences.preAlertMinutes !== previousLead) {
+      replanPreAlerts([device.mosqueId]);
+    }
+    res.json(preferences);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 };
 
-module.exports = { register, unregister };
+// Browsers need the VAPID public key to subscribe
+const getWebPushKey = (req, res) => {
+  if (!getTransport('webpush').isConfigured()) {
+    return res.status(404).json({ error: 'Web push is not configured' });
+  }
+  res.json({ publicKey: transports.webpush.publicKey });
+};
+
+module.exports = { register, unregister, getPreferences, updatePreferences, getWebPushKey };
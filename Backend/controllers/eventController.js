@@ -1,10 +1,58 @@
 const { Event, Voice, EventSchedule } = require('../models');
 const { sendSilentPushToAll } = require('../services/pushService');
+const { getPrayerTimes } = require('../services/prayerTimeService');
+const { getMosqueTimezone } = require('../services/mosqueService');
 const { getLocalNow } = require('../utils/timezone');
+const { emitDataUpdated } = require('../utils/dataEvents');
+const { recordAudit } = require('../services/auditService');
+const { isScheduledOn, parseTimeSource, resolveEventTime, createsAnchorCycle } = require('../utils/eventSchedule');
+
+// Returns an error message if the time source does not fit the time mode
+async function validateTimeSource(mosqueId, timeMode, timeSource, eventId = null) {
+  if (timeMode === 'calculated') {
+    const source = parseTimeSource(timeSource);
+    if (!source || source.kind !== 'calculated') {
+      return 'A valid time source is required for calculated time (e.g. calculated:Maghrib)';
+    }
+  }
+
+  if (timeMode === 'relative') {
+    const source = parseTimeSource(timeSource);
+    if (!source) {
+      return 'A valid anchor is required for relative time (e.g. calculated:Fajr or event:12)';
+    }
+    if (source.kind === 'event') {
+      const events = await Event.findAll({ where: { mosqueId }, attributes: ['id', 'timeMode', 'timeSource'] });
+      const eventsById = new Map(events.map(e => [e.id, e]));
+      if (!eventsById.has(source.eventId)) return 'Anchor event not found';
+      if (eventId && createsAnchorCycle(eventId, source.eventId, eventsById)) {
+        return 'An event cannot be anchored to itself or to an event anchored to it';
+      }
+    }
+  }
+
+  return null;
+}
+
+// Returns an error message if the voice does not belong to the mosque
+const MISSED_POLICIES = ['fire_late', 'record_missed'];
+
+// Returns an error message if the missed-trigger policy is not a known one
+function validateMissedPolicy(missedPolicy) {
+  if (!missedPolicy || MISSED_POLICIES.includes(missedPolicy)) return null;
+  return `Missed policy must be one of ${MISSED_POLICIES.join(', ')}`;
+}
+
+async function validateVoice(mosqueId, voiceId) {
+  if (!voiceId) return null;
+  const voice = await Voice.findOne({ where: { id: voiceId, mosqueId } });
+  return voice ? null : 'Voice not found';
+}
 
 const getAll = async (req, res) => {
   try {
     const events = await Event.findAll({
+      where: { mosqueId: req.mosque.id },
       include: [
         { model: Voice, as: 'voice' },
         { model: EventSchedule, as: 'schedules', order: [['date', 'ASC']] }
@@ -19,7 +67,8 @@ const getAll = async (req, res) => {
 
 const getById = async (req, res) => {
   try {
-    const event = await Event.findByPk(req.params.id, {
+    const event = await Event.findOne({
+      where: { id: req.params.id, mosqueId: req.mosque.id },
       include: [
         { model: Voice, as: 'voice' },
         { model: EventSchedule, as: 'schedules', order: [['date', 'ASC']] }
@@ -36,55 +85,28 @@ const getById = async (req, res) => {
 
 const getTodayList = async (req, res) => {
   try {
-    const local = getLocalNow();
+    const local = getLocalNow(getMosqueTimezone(req.mosque));
     const today = local.date;
     const todayWeekday = local.weekday;
     console.log(`[getTodayList] today=${today}, weekday=${todayWeekday}, time=${local.time}, ${local.offsetDisplay}`);
 
+    // Inactive events are loaded too since relative events may be anchored to them
     const events = await Event.findAll({
-      where: { isActive: true },
+      where: { mosqueId: req.mosque.id },
       include: [
         { model: Voice, as: 'voice' },
         { model: EventSchedule, as: 'schedules' }
       ]
     });
+    const eventsById = new Map(events.map(e => [e.id, e]));
+    const prayerTimes = getPrayerTimes(today, req.mosque);
 
     const todayEvents = [];
     for (const event of events) {
-      // Skip if today's weekday is in inactiveDays
-      const inactiveDays = event.inactiveDays || [];
-      if (inactiveDays.includes(todayWeekday)) continue;
-
-      let applicable = false;
-
-      if (event.scheduleMode === 'daily') {
-        applicable = true;
-      } else if (event.scheduleMode === 'weekly') {
-        const weekdays = event.weekdays || [];
-        if (!weekdays.includes(todayWeekday)) continue;
-        // Optional date bounds for weekly
-        if (event.startDate && event.endDate) {
-          applicable = today >= event.startDate && today <= event.endDate;
-        } else {
-          applicable = true;
-        }
-      } else if (event.scheduleMode === 'date_range') {
-        if (event.startDate && event.endDate) {
-          applicable = today >= event.startDate && today <= event.endDate;
-        }
-      }
-
-      if (!applicable) continue;
-
-      // Resolve time
-      let time = null;
-      if (event.timeMode === 'custom') {
-        const schedule = event.schedules.find(s => s.date === today);
-        time = schedule ? schedule.time : event.fixedTime; // fallback to fixedTime
-      } else {
-        time = event.fixedTime;
-      }
+      if (!event.isActive) continue;
+      if (!isScheduledOn(event, today, todayWeekday)) continue;
 
+      const time = resolveEventTime(event, today, { eventsById, prayerTimes });
       if (time) {
         todayEvents.push({
           id: event.id,
@@ -107,9 +129,17 @@ const getTodayList = async (req, res) => {
 
 const create = async (req, res) => {
   try {
-    const { name, type, voiceId, scheduleMode, startDate, endDate, timeMode, fixedTime, isActive, weekdays, inactiveDays, schedules } = req.body;
+    const { name, type, voiceId, scheduleMode, startDate, endDate, timeMode, fixedTime, timeSource, offsetMinutes, missedPolicy, isActive, weekdays, inactiveDays, schedules } = req.body;
+
+    const validationError = await validateTimeSource(req.mosque.id, timeMode, timeSource)
+      || await validateVoice(req.mosque.id, voiceId)
+      || validateMissedPolicy(missedPolicy);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
 
     const event = await Event.create({
+      mosqueId: req.mosque.id,
       name,
       type,
       voiceId,
@@ -120,6 +150,9 @@ const create = async (req, res) => {
       endDate: (scheduleMode === 'date_range' || scheduleMode === 'weekly') ? endDate : null,
       timeMode,
       fixedTime: fixedTime || null,
+      timeSource: (timeMode === 'calculated' || timeMode === 'relative') ? timeSource : null,
+      offsetMinutes: timeMode === 'relative' ? parseInt(offsetMinutes, 10) || 0 : 0,
+      missedPolicy: missedPolicy || 'fire_late',
       isActive: isActive !== undefined ? isActive : true
     });
 
@@ -137,8 +170,9 @@ const create = async (req, res) => {
       ]
     });
 
-    req.app.get('io').emit('data:updated', { type: 'event' });
-    sendSilentPushToAll({ type: 'data_updated', entity: 'event' })
+    await recordAudit(req, { action: 'create', entityType: 'event', entityId: event.id, after: created });
+    emitDataUpdated(req.app.get('io'), { type: 'event', mosqueId: req.mosque.id });
+    sendSilentPushToAll({ type: 'data_updated', entity: 'event' }, { mosqueId: req.mosque.id })
       .catch(err => console.error('Silent push error:', err));
     res.status(201).json(created);
   } catch (error) {
@@ -148,12 +182,23 @@ const create = async (req, res) => {
 
 const update = async (req, res) => {
   try {
-    const event = await Event.findByPk(req.params.id);
+    const event = await Event.findOne({
+      where: { id: req.params.id, mosqueId: req.mosque.id },
+      include: [{ model: EventSchedule, as: 'schedules' }]
+    });
     if (!event) {
       return res.status(404).json({ error: 'Event not found' });
     }
+    const before = event.toJSON();
 
-    const { name, type, voiceId, scheduleMode, startDate, endDate, timeMode, fixedTime, isActive, weekdays, inactiveDays, schedules } = req.body;
+    const { name, type, voiceId, scheduleMode, startDate, endDate, timeMode, fixedTime, timeSource, offsetMinutes, missedPolicy, isActive, weekdays, inactiveDays, schedules } = req.body;
+
+    const validationError = await validateTimeSource(req.mosque.id, timeMode, timeSource, event.id)
+      || await validateVoice(req.mosque.id, voiceId)
+      || validateMissedPolicy(missedPolicy);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
 
     await event.update({
       name,
@@ -166,6 +211,9 @@ const update = async (req, res) => {
       endDate: (scheduleMode === 'date_range' || scheduleMode === 'weekly') ? endDate : null,
       timeMode,
       fixedTime: fixedTime || null,
+      timeSource: (timeMode === 'calculated' || timeMode === 'relative') ? timeSource : null,
+      offsetMinutes: timeMode === 'relative' ? parseInt(offsetMinutes, 10) || 0 : 0,
+      missedPolicy: missedPolicy || 'fire_late',
       isActive: isActive !== undefined ? isActive : true
     });
 
@@ -184,8 +232,9 @@ const update = async (req, res) => {
       ]
     });
 
-    req.app.get('io').emit('data:updated', { type: 'event' });
-    sendSilentPushToAll({ type: 'data_updated', entity: 'event' })
+    await recordAudit(req, { action: 'update', entityType: 'event', entityId: event.id, before, after: updated });
+    emitDataUpdated(req.app.get('io'), { type: 'event', mosqueId: req.mosque.id });
+    sendSilentPushToAll({ type: 'data_updated', entity: 'event' }, { mosqueId: req.mosque.id })
       .catch(err => console.error('Silent push error:', err));
     res.json(updated);
   } catch (error) {
@@ -195,14 +244,19 @@ const update = async (req, res) => {
 
 const remove = async (req, res) => {
   try {
-    const event = await Event.findByPk(req.params.id);
+    const event = await Event.findOne({ where: { id: req.params.id, mosqueId: req.mosque.id } });
     if (!event) {
       return res.status(404).json({ error: 'Event not found' });
     }
+    const anchoredCount = await Event.count({ where: { mosqueId: req.mosque.id, timeMode: 'relative', timeSource: `event:${event.id}` } });
+    if (anchoredCount > 0) {
+      return res.status(400).json({ error: `Cannot delete event. ${anchoredCount} event(s) are scheduled relative to it.` });
+    }
     await EventSchedule.destroy({ where: { eventId: event.id } });
     await event.destroy();
-    req.app.get('io').emit('data:updated', { type: 'event' });
-    sendSilentPushToAll({ type: 'data_updated', entity: 'event' })
+    await recordAudit(req, { action: 'delete', entityType: 'event', entityId: event.id, before: event });
+    emitDataUpdated(req.app.get('io'), { type: 'event', mosqueId: req.mosque.id });
+    sendSilentPushToAll({ type: 'data_updated', entity: 'event' }, { mosqueId: req.mosque.id })
       .catch(err => console.error('Silent push error:', err));
     res.json({ message: 'Event deleted successfully' });
   } catch (error) {
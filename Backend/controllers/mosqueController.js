@@ -0,0 +1,149 @@
+const { Mosque, Event, Voice, Prayer, DeviceToken, Admin } = require('../models');
+const { isValidTimezone } = require('../utils/timezone');
+const { METHODS, ASR_FACTORS, HIGH_LAT_RULES } = require('../utils/prayerTimes');
+const { emitDataUpdated } = require('../utils/dataEvents');
+const { recordAudit } = require('../services/auditService');
+
+// Returns an error message if any provided field is invalid
+function validateMosque({ timezone, latitude, longitude, calculationMethod, asrMethod, highLatRule }) {
+  if (timezone && !isValidTimezone(timezone)) {
+    return 'Timezone must be an IANA zone name, e.g. Asia/Kolkata';
+  }
+  if (latitude !== undefined && latitude !== null && latitude !== '') {
+    const lat = Number(latitude);
+    if (!Number.isFinite(lat) || lat < -90 || lat > 90) return 'Latitude must be between -90 and 90';
+  }
+  if (longitude !== undefined && longitude !== null && longitude !== '') {
+    const lng = Number(longitude);
+    if (!Number.isFinite(lng) || lng < -180 || lng > 180) return 'Longitude must be between -180 and 180';
+  }
+  if (calculationMethod && !METHODS[calculationMethod]) {
+    return `Calculation method must be one of: ${Object.keys(METHODS).join(', ')}`;
+  }
+  if (asrMethod && !ASR_FACTORS[asrMethod]) {
+    return `Asr method must be one of: ${Object.keys(ASR_FACTORS).join(', ')}`;
+  }
+  if (highLatRule && !HIGH_LAT_RULES.includes(highLatRule)) {
+    return `High latitude rule must be one of: ${HIGH_LAT_RULES.join(', ')}`;
+  }
+  return null;
+}
+
+// Blank coordinates clear the location
+const toCoordinate = (value) => (value === '' || value === null ? null : Number(value));
+
+function buildMosqueData(body) {
+  const data = {};
+  for (const key of ['name', 'calculationMethod', 'asrMethod', 'highLatRule', 'announcementSound', 'isActive']) {
+    if (body[key] !== undefined) data[key] = body[key];
+  }
+  if (body.timezone !== undefined) data.timezone = body.timezone || null;
+  if (body.latitude !== undefined) data.latitude = toCoordinate(body.latitude);
+  if (body.longitude !== undefined) data.longitude = toCoordinate(body.longitude);
+  return data;
+}
+
+const getAll = async (req, res) => {
+  try {
+    const mosques = await Mosque.findAll({ order: [['id', 'ASC']] });
+    res.json(mosques);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const getById = async (req, res) => {
+  try {
+    const mosque = await Mosque.findByPk(req.params.id);
+    if (!mosque) {
+      return res.status(404).json({ error: 'Mosque not found' });
+    }
+    res.json(mosque);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const create = async (req, res) => {
+  try {
+    // Admins tied to one mosque manage only that mosque
+    if (req.admin.mosqueId) {
+      return res.status(403).json({ error: 'Not allowed to create mosques' });
+    }
+    if (!req.body.name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+    const validationError = validateMosque(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const mosque = await Mosque.create(buildMosqueData(req.body));
+    await recordAudit(req, { action: 'create', entityType: 'mosque', entityId: mosque.id, after: mosque, mosqueId: mosque.id });
+    emitDataUpdated(req.app.get('io'), { type: 'mosque', mosqueId: mosque.id });
+    res.status(201).json(mosque);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+const update = async (req, res) => {
+  try {
+    const mosque = await Mosque.findByPk(req.params.id);
+    if (!mosque) {
+      return res.status(404).json({ error: 'Mosque not found' });
+    }
+    if (req.admin.mosqueId && req.admin.mosqueId !== mosque.id) {
+      return res.status(403).json({ error: 'Not allowed for this mosque' });
+    }
+    const validationError = validateMosque(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const before = mosque.toJSON();
+    await mosque.update(buildMosqueData(req.body));
+    await recordAudit(req, { action: 'update', entityType: 'mosque', entityId: mosque.id, before, after: mosque, mosqueId: mosque.id });
+    emitDataUpdated(req.app.get('io'), { type: 'mosque', mosqueId: mosque.id });
+    res.json(mosque);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+const remove = async (req, res) => {
+  try {
+    const mosque = await Mosque.findByPk(req.params.id);
+    if (!mosque) {
+      return res.status(404).json({ error: 'Mosque not found' });
+    }
+    if (req.admin.mosqueId) {
+      return res.status(403).json({ error: 'Not allowed to delete mosques' });
+    }
+    if (await Mosque.count() <= 1) {
+      return res.status(400).json({ error: 'Cannot delete the only mosque' });
+    }
+    // Deleting would null these rows' mosque; for an admin that means access to every mosque
+    const where = { mosqueId: mosque.id };
+    const counts = [
+      [await Event.count({ where }), 'event(s)'],
+      [await Voice.count({ where }), 'voice(s)'],
+      [await Prayer.count({ where }), 'prayer(s)'],
+      [await DeviceToken.count({ where }), 'device(s)'],
+      [await Admin.count({ where }), 'admin(s)'],
+    ].filter(([count]) => count > 0);
+    if (counts.length > 0) {
+      const summary = counts.map(([count, label]) => `${count} ${label}`).join(', ');
+      return res.status(400).json({ error: `Cannot delete mosque. It has ${summary}.` });
+    }
+
+    await mosque.destroy();
+    await recordAudit(req, { action: 'delete', entityType: 'mosque', entityId: mosque.id, before: mosque, mosqueId: null });
+    emitDataUpdated(req.app.get('io'), { type: 'mosque', mosqueId: mosque.id });
+    res.json({ message: 'Mosque deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = { getAll, getById, create, update, remove };
@@ -0,0 +1,85 @@
+const { NotificationTemplate } = require('../models');
+const { recordAudit } = require('../services/auditService');
+const {
+  LOCALES,
+  TEMPLATE_TYPES,
+  PLACEHOLDERS,
+  DEFAULT_TEMPLATES,
+  validateTemplate,
+  listTemplates
+} = require('../services/notificationTemplates');
+
+// Returns an error message if the type or locale in the path is unknown
+function validateKey({ type, locale }) {
+  if (!TEMPLATE_TYPES.includes(type)) return `Type must be one of ${TEMPLATE_TYPES.join(', ')}`;
+  if (!LOCALES.includes(locale)) return `Locale must be one of ${LOCALES.join(', ')}`;
+  return null;
+}
+
+const getAll = async (req, res) => {
+  try {
+    res.json({
+      locales: LOCALES,
+      types: TEMPLATE_TYPES,
+      placeholders: PLACEHOLDERS,
+      templates: await listTemplates(req.mosque.id)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const update = async (req, res) => {
+  try {
+    const { type, locale } = req.params;
+    const validationError = validateKey(req.params) || validateTemplate(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const title = req.body.title.trim();
+    const body = req.body.body.trim();
+    const existing = await NotificationTemplate.findOne({ where: { mosqueId: req.mosque.id, type, locale } });
+    const before = existing ? existing.toJSON() : null;
+
+    let template;
+    if (existing) {
+      template = await existing.update({ title, body });
+    } else {
+      template = await NotificationTemplate.create({ mosqueId: req.mosque.id, type, locale, title, body });
+    }
+
+    await recordAudit(req, {
+      action: existing ? 'update' : 'create',
+      entityType: 'notification_template',
+      entityId: template.id,
+      before,
+      after: template
+    });
+    res.json({ type, locale, title, body, custom: true });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Go back to the built-in text
+const reset = async (req, res) => {
+  try {
+    const { type, locale } = req.params;
+    const validationError = validateKey(req.params);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const template = await NotificationTemplate.findOne({ where: { mosqueId: req.mosque.id, type, locale } });
+    if (template) {
+      await template.destroy();
+      await recordAudit(req, { action: 'delete', entityType: 'notification_template', entityId: template.id, before: template });
+    }
+    res.json({ type, locale, ...DEFAULT_TEMPLATES[type][locale], custom: false });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = { getAll, update, reset };
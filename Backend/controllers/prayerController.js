@@ -1,10 +1,15 @@
 const { Prayer } = require('../models');
 const { deleteCloudinaryFile } = require('../utils/cloudinaryHelper');
+const { getPrayerTimes } = require('../services/prayerTimeService');
+const { getMosqueTimezone } = require('../services/mosqueService');
+const { getLocalNow } = require('../utils/timezone');
+const { emitDataUpdated } = require('../utils/dataEvents');
+const { recordAudit } = require('../services/auditService');
 
 const getAll = async (req, res) => {
   try {
     const { date } = req.query;
-    const whereClause = {};
+    const whereClause = { mosqueId: req.mosque.id };
 
     if (date) {
       whereClause.date = date;
@@ -22,7 +27,7 @@ const getAll = async (req, res) => {
 
 const getById = async (req, res) => {
   try {
-    const prayer = await Prayer.findByPk(req.params.id);
+    const prayer = await Prayer.findOne({ where: { id: req.params.id, mosqueId: req.mosque.id } });
     if (!prayer) {
       return res.status(404).json({ error: 'Prayer not found' });
     }
@@ -35,10 +40,11 @@ const getById = async (req, res) => {
 const getTodayList = async (req, res) => {
   try {
     console.log("-----------------------------Callllllllll-------------------")
-    const today = new Date().toISOString().split('T')[0];
+    const today = getLocalNow(getMosqueTimezone(req.mosque)).date;
 
     const prayers = await Prayer.findAll({
       where: {
+        mosqueId: req.mosque.id,
         date: today,
         isActive: true
       },
@@ -51,6 +57,24 @@ const getTodayList = async (req, res) => {
   }
 };
 
+const getCalculated = async (req, res) => {
+  try {
+    const date = req.query.date || getLocalNow(getMosqueTimezone(req.mosque)).date;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+    }
+
+    const times = getPrayerTimes(date, req.mosque);
+    if (!times) {
+      return res.status(400).json({ error: 'Mosque location is not configured' });
+    }
+
+    res.json({ date, times });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
 const create = async (req, res) => {
   try {
     const { name, time, date, isActive } = req.body;
@@ -60,6 +84,7 @@ const create = async (req, res) => {
     }
 
     const prayer = await Prayer.create({
+      mosqueId: req.mosque.id,
       name,
       time,
       date,
@@ -67,7 +92,8 @@ const create = async (req, res) => {
       isActive: isActive === 'true' || isActive === true
     });
 
-    req.app.get('io').emit('data:updated', { type: 'prayer' });
+    await recordAudit(req, { action: 'create', entityType: 'prayer', entityId: prayer.id, after: prayer });
+    emitDataUpdated(req.app.get('io'), { type: 'prayer', mosqueId: req.mosque.id });
     res.status(201).json(prayer);
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -83,11 +109,12 @@ const update = async (req, res) => {
       updateData.isActive = isActive === 'true' || isActive === true;
     }
 
-    const prayer = await Prayer.findByPk(req.params.id);
+    const prayer = await Prayer.findOne({ where: { id: req.params.id, mosqueId: req.mosque.id } });
 
     if (!prayer) {
       return res.status(404).json({ error: 'Prayer not found' });
     }
+    const before = prayer.toJSON();
 
     if (req.file) {
       // Delete old file from Cloudinary if replacing
@@ -96,7 +123,8 @@ const update = async (req, res) => {
     }
 
     await prayer.update(updateData);
-    req.app.get('io').emit('data:updated', { type: 'prayer' });
+    await recordAudit(req, { action: 'update', entityType: 'prayer', entityId: prayer.id, before, after: prayer });
+    emitDataUpdated(req.app.get('io'), { type: 'prayer', mosqueId: req.mosque.id });
     res.json(prayer);
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -105,7 +133,7 @@ const update = async (req, res) => {
 
 const remove = async (req, res) => {
   try {
-    const prayer = await Prayer.findByPk(req.params.id);
+    const prayer = await Prayer.findOne({ where: { id: req.params.id, mosqueId: req.mosque.id } });
 
     if (!prayer) {
       return res.status(404).json({ error: 'Prayer not found' });
@@ -115,11 +143,12 @@ const remove = async (req, res) => {
     await deleteCloudinaryFile(prayer.soundFile);
 
     await prayer.destroy();
-    req.app.get('io').emit('data:updated', { type: 'prayer' });
+    await recordAudit(req, { action: 'delete', entityType: 'prayer', entityId: prayer.id, before: prayer });
+    emitDataUpdated(req.app.get('io'), { type: 'prayer', mosqueId: req.mosque.id });
     res.json({ message: 'Prayer deleted successfully' });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 };
 
-module.exports = { getAll, getById, getTodayList, create, update, remove };
+module.exports = { getAll, getById, getTodayList, getCalculated, create, update, remove };
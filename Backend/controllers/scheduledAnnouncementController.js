@@ -0,0 +1,256 @@
+const { ScheduledAnnouncement, Admin } = require('../models');
+const { getMosqueTimezone } = require('../services/mosqueService');
+const { validateContent, deleteUploadIfUnused } = require('../services/announcementService');
+const { recordAudit } = require('../services/auditService');
+const { getLocalNow } = require('../utils/timezone');
+const { emitDataUpdated } = require('../utils/dataEvents');
+
+const SCHEDULE_MODES = ['once', 'daily', 'weekly'];
+const STATUSES = ['scheduled', 'sent', 'cancelled'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_EXPIRY_MINUTES = 365 * 24 * 60;
+
+const createdByInclude = { model: Admin, as: 'createdBy', attributes: ['id', 'username'] };
+
+// Multipart forms send booleans as strings
+const toBoolean = (value) => value === true || value === 'true' || value === '1';
+
+const uploadedPath = (req, field) => (req.files && req.files[field] ? req.files[field][0].path : null);
+
+/**
+ * Validate what an announcement carries against what it has so far
+ * (`current`, when editing). New files replace the old ones; removeAudio
+ * and removeImage drop them. Returns { error } or { fields } with whatever
+ * changed.
+ */
+function parseContent(req, current = {}) {
+  const fields = {};
+  if (req.body.body !== undefined) {
+    fields.body = typeof req.body.body === 'string' && req.body.body.trim() ? req.body.body.trim() : null;
+  }
+
+  const audioUrl = uploadedPath(req, 'audioFile');
+  if (audioUrl) fields.audioUrl = audioUrl;
+  else if (toBoolean(req.body.removeAudio)) fields.audioUrl = null;
+  const imageUrl = uploadedPath(req, 'imageFile');
+  if (imageUrl) fields.imageUrl = imageUrl;
+  else if (toBoolean(req.body.removeImage)) fields.imageUrl = null;
+
+  if (req.body.isPinned !== undefined) fields.isPinned = toBoolean(req.body.isPinned);
+  if (req.body.expiresAfterMinutes !== undefined) {
+    if (req.body.expiresAfterMinutes === null || req.body.expiresAfterMinutes === '') {
+      fields.expiresAfterMinutes = null;
+    } else {
+      const minutes = Number(req.body.expiresAfterMinutes);
+      if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_EXPIRY_MINUTES) {
+        return { error: `Expiry must be a whole number of minutes from 1 to ${MAX_EXPIRY_MINUTES}` };
+      }
+      fields.expiresAfterMinutes = minutes;
+    }
+  }
+
+  const error = validateContent({
+    body: fields.body !== undefined ? fields.body : current.body,
+    audioUrl: fields.audioUrl !== undefined ? fields.audioUrl : current.audioUrl,
+    imageUrl: fields.imageUrl !== undefined ? fields.imageUrl : current.imageUrl
+  });
+  return error ? { error } : { fields };
+}
+
+// Multipart forms send weekdays as JSON or "5,6"
+function parseWeekdays(weekdays) {
+  if (weekdays === undefined || weekdays === null || weekdays === '') return [];
+  if (Array.isArray(weekdays)) return weekdays.map(Number);
+  const text = String(weekdays).trim();
+  if (text.startsWith('[')) {
+    try {
+      return JSON.parse(text).map(Number);
+    } catch {
+      return [NaN];
+    }
+  }
+  return text.split(',').map(Number);
+}
+
+/**
+ * Validate the schedule in a request body against the mosque's local time.
+ * Returns { error } or { fields } ready to save.
+ */
+function parseSchedule(body, mosque) {
+  const scheduleMode = body.scheduleMode || 'once';
+  const { time } = body;
+  const startDate = body.startDate || null;
+  const endDate = body.endDate || null;
+
+  if (!SCHEDULE_MODES.includes(scheduleMode)) {
+    return { error: `Schedule mode must be one of ${SCHEDULE_MODES.join(', ')}` };
+  }
+  if (!TIME_PATTERN.test(time || '')) return { error: 'A time is required (HH:mm)' };
+  if (startDate && !DATE_PATTERN.test(startDate)) return { error: 'Invalid start date' };
+  if (endDate && !DATE_PATTERN.test(endDate)) return { error: 'Invalid end date' };
+
+  if (scheduleMode === 'once') {
+    if (!startDate) return { error: 'A date is required for a one-off announcement' };
+    const local = getLocalNow(getMosqueTimezone(mosque));
+    if (`${startDate} ${time}` <= `${local.date} ${local.time}`) {
+      return { error: 'The announcement time must be in the future' };
+    }
+    return { fields: { scheduleMode, startDate, endDate: null, weekdays: null, time } };
+  }
+
+  if (startDate && endDate && endDate < startDate) return { error: 'End date must be on or after the start date' };
+
+  let weekdays = null;
+  if (scheduleMode === 'weekly') {
+    weekdays = [...new Set(parseWeekdays(body.weekdays))].sort((a, b) => a - b);
+    if (weekdays.length === 0) return { error: 'Pick at least one weekday' };
+    if (weekdays.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      return { error: 'Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)' };
+    }
+  }
+  return { fields: { scheduleMode, startDate, endDate, weekdays, time } };
+}
+
+function notifyChanged(req) {
+  emitDataUpdated(req.app.get('io'), { type: 'announcement', mosqueId: req.mosque.id });
+}
+
+const getAll = async (req, res) => {
+  try {
+    const where = { mosqueId: req.mosque.id };
+    if (req.query.status) {
+      if (!STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ error: `Status must be one of ${STATUSES.join(', ')}` });
+      }
+      where.status = req.query.status;
+    }
+
+    const scheduled = await ScheduledAnnouncement.findAll({
+      where,
+      include: [createdByInclude],
+      order: [['created_at', 'DESC']]
+    });
+    res.json(scheduled);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const getById = async (req, res) => {
+  try {
+    const scheduled = await ScheduledAnnouncement.findOne({
+      where: { id: req.params.id, mosqueId: req.mosque.id },
+      include: [createdByInclude]
+    });
+    if (!scheduled) {
+      return res.status(404).json({ error: 'Scheduled announcement not found' });
+    }
+    res.json(scheduled);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const create = async (req, res) => {
+  try {
+    const content = parseContent(req);
+    if (content.error) {
+      return res.status(400).json({ error: content.error });
+    }
+    const { error, fields } = parseSchedule(req.body, req.mosque);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const scheduled = await ScheduledAnnouncement.create({
+      mosqueId: req.mosque.id,
+      title: req.body.title || (content.fields.audioUrl ? 'Announcement' : 'Notice'),
+      createdById: req.admin.id,
+      ...content.fields,
+      ...fields
+    });
+
+    await recordAudit(req, { action: 'create', entityType: 'scheduled_announcement', entityId: scheduled.id, after: scheduled });
+    notifyChanged(req);
+    res.status(201).json(scheduled);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+const update = async (req, res) => {
+  try {
+    const scheduled = await ScheduledAnnouncement.findOne({ where: { id: req.params.id, mosqueId: req.mosque.id } });
+    if (!scheduled) {
+      return res.status(404).json({ error: 'Scheduled announcement not found' });
+    }
+    if (scheduled.status !== 'scheduled') {
+      return res.status(400).json({ error: `Cannot edit an announcement that was already ${scheduled.status}` });
+    }
+    const before = scheduled.toJSON();
+
+    const content = parseContent(req, before);
+    if (content.error) {
+      return res.status(400).json({ error: content.error });
+    }
+    const { error, fields } = parseSchedule(req.body, req.mosque);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const changes = { ...content.fields, ...fields };
+    if (req.body.title !== undefined) changes.title = req.body.title || 'Announcement';
+    await scheduled.update(changes);
+    // Files that were replaced or removed
+    if (scheduled.audioUrl !== before.audioUrl) await deleteUploadIfUnused(before.audioUrl);
+    if (scheduled.imageUrl !== before.imageUrl) await deleteUploadIfUnused(before.imageUrl);
+
+    await recordAudit(req, { action: 'update', entityType: 'scheduled_announcement', entityId: scheduled.id, before, after: scheduled });
+    notifyChanged(req);
+    res.json(scheduled);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Stop it from being sent (again), keeping it for the record
+const cancel = async (req, res) => {
+  try {
+    const scheduled = await ScheduledAnnouncement.findOne({ where: { id: req.params.id, mosqueId: req.mosque.id } });
+    if (!scheduled) {
+      return res.status(404).json({ error: 'Scheduled announcement not found' });
+    }
+    if (scheduled.status !== 'scheduled') {
+      return res.status(400).json({ error: `Cannot cancel an announcement that was already ${scheduled.status}` });
+    }
+
+    const before = scheduled.toJSON();
+    await scheduled.update({ status: 'cancelled' });
+    await recordAudit(req, { action: 'cancel', entityType: 'scheduled_announcement', entityId: scheduled.id, before, after: scheduled });
+    notifyChanged(req);
+    res.json(scheduled);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const remove = async (req, res) => {
+  try {
+    const scheduled = await ScheduledAnnouncement.findOne({ where: { id: req.params.id, mosqueId: req.mosque.id } });
+    if (!scheduled) {
+      return res.status(404).json({ error: 'Scheduled announcement not found' });
+    }
+
+    await scheduled.destroy();
+    await deleteUploadIfUnused(scheduled.audioUrl);
+    await deleteUploadIfUnused(scheduled.imageUrl);
+    await recordAudit(req, { action: 'delete', entityType: 'scheduled_announcement', entityId: scheduled.id, before: scheduled });
+    notifyChanged(req);
+    res.json({ message: 'Scheduled announcement deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = { getAll, getById, create, update, cancel, remove };
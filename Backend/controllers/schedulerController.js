@@ -0,0 +1,26 @@
+const { getPlan, isFired } = require('../services/triggerPlan');
+
+const getCurrentPlan = async (req, res) => {
+  try {
+    const plan = getPlan(req.mosque.id);
+    if (!plan) {
+      return res.status(503).json({ error: 'Day plan has not been built yet' });
+    }
+
+    res.json({
+      mosqueId: plan.mosqueId,
+      timezone: plan.timezone,
+      date: plan.date,
+      builtAt: plan.builtAt,
+      occurrences: plan.occurrences.map(o => ({
+        ...o,
+        fireAt: new Date(o.fireAt).toISOString(),
+        fired: isFired(o.key)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = { getCurrentPlan };
@@ -0,0 +1,35 @@
+const { getSettings, updateSettings } = require('../services/settingsService');
+const { isValidTimezone, getLocalNow } = require('../utils/timezone');
+const { emitDataUpdated } = require('../utils/dataEvents');
+const { recordAudit } = require('../services/auditService');
+
+const get = async (req, res) => {
+  try {
+    res.json({ ...getSettings(), now: getLocalNow() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const update = async (req, res) => {
+  try {
+    // Server-wide: it shifts the schedule of every mosque without a timezone of its own
+    if (req.admin.mosqueId) {
+      return res.status(403).json({ error: 'Only admins of all mosques can change server settings' });
+    }
+    const { timezone } = req.body;
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: 'Timezone must be an IANA zone name, e.g. Asia/Kolkata' });
+    }
+
+    const before = getSettings();
+    const settings = await updateSettings({ timezone });
+    await recordAudit(req, { action: 'update', entityType: 'settings', before, after: settings });
+    emitDataUpdated(req.app.get('io'), { type: 'settings' });
+    res.json({ ...settings, now: getLocalNow() });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+module.exports = { get, update };
@@ -2,10 +2,11 @@ const { Voice, Event, User } = require('../models');
 
 const getStats = async (req, res) => {
   try {
-    const totalVoices = await Voice.count();
-    const activeVoices = await Voice.count({ where: { isActive: true } });
-    const totalEvents = await Event.count();
-    const activeEvents = await Event.count({ where: { isActive: true } });
+    const mosqueId = req.mosque.id;
+    const totalVoices = await Voice.count({ where: { mosqueId } });
+    const activeVoices = await Voice.count({ where: { mosqueId, isActive: true } });
+    const totalEvents = await Event.count({ where: { mosqueId } });
+    const activeEvents = await Event.count({ where: { mosqueId, isActive: true } });
     const totalUsers = await User.count();
     res.json({ totalVoices, activeVoices, totalEvents, activeEvents, totalUsers });
   } catch (error) {
@@ -0,0 +1,69 @@
+const { sequelize, TriggerLog, PushTicket } = require('../models');
+
+const MAX_LIMIT = 200;
+
+const getAll = async (req, res) => {
+  try {
+    const { date, kind, source, sourceId, status } = req.query;
+    const whereClause = { mosqueId: req.mosque.id };
+
+    if (date) whereClause.occurrenceDate = date;
+    if (kind) {
+      if (!['trigger', 'pre_alert'].includes(kind)) {
+        return res.status(400).json({ error: "Kind must be 'trigger' or 'pre_alert'" });
+      }
+      whereClause.kind = kind;
+    }
+    if (source) {
+      if (!['prayer', 'event', 'announcement'].includes(source)) {
+        return res.status(400).json({ error: "Source must be 'prayer', 'event' or 'announcement'" });
+      }
+      whereClause.source = source;
+    }
+    if (sourceId) whereClause.sourceId = sourceId;
+    if (status) {
+      if (!['fired', 'missed'].includes(status)) {
+        return res.status(400).json({ error: "Status must be 'fired' or 'missed'" });
+      }
+      whereClause.status = status;
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_LIMIT);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    const { count, rows } = await TriggerLog.findAndCountAll({
+      where: whereClause,
+      order: [['occurrence_date', 'DESC'], ['occurrence_time', 'DESC']],
+      limit,
+      offset
+    });
+    res.json({ total: count, limit, offset, triggers: rows });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const getById = async (req, res) => {
+  try {
+    const trigger = await TriggerLog.findOne({ where: { id: req.params.id, mosqueId: req.mosque.id } });
+    if (!trigger) {
+      return res.status(404).json({ error: 'Trigger not found' });
+    }
+
+    // Push outcomes by status, as known from tickets and receipts so far
+    const counts = await PushTicket.findAll({
+      where: { triggerLogId: trigger.id },
+      attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['status'],
+      raw: true
+    });
+    const delivery = { pending: 0, delivered: 0, failed: 0, expired: 0 };
+    for (const { status, count } of counts) delivery[status] = Number(count);
+
+    res.json({ ...trigger.toJSON(), delivery });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = { getAll, getById };
@@ -1,9 +1,15 @@
-const { User } = require('../models');
+const { User, DeviceToken } = require('../models');
 
 const getAll = async (req, res) => {
   try {
+    // Admins tied to a mosque only see users with a device registered with it
+    const include = req.admin.mosqueId
+      ? [{ model: DeviceToken, as: 'devices', where: { mosqueId: req.admin.mosqueId }, attributes: [] }]
+      : [];
+
     const users = await User.findAll({
-      attributes: { exclude: ['password'] },
+      attributes: { exclude: ['password', 'tokenVersion'] },
+      include,
       order: [['last_login_at', 'DESC']]
     });
     res.json(users);
@@ -12,4 +18,28 @@ const getAll = async (req, res) => {
   }
 };
 
-module.exports = { getAll };
+const getDevices = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Admins tied to a mosque only see devices registered with it
+    const whereClause = { userId: user.id };
+    if (req.admin.mosqueId) whereClause.mosqueId = req.admin.mosqueId;
+
+    const devices = await DeviceToken.findAll({
+      where: whereClause,
+      order: [['last_seen_at', 'DESC']]
+    });
+    if (req.admin.mosqueId && devices.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(devices);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = { getAll, getDevices };
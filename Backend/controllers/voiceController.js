@@ -1,9 +1,11 @@
 const { Voice, Event } = require('../models');
 const { deleteCloudinaryFile } = require('../utils/cloudinaryHelper');
+const { emitDataUpdated } = require('../utils/dataEvents');
+const { recordAudit } = require('../services/auditService');
 
 const getAll = async (req, res) => {
   try {
-    const whereClause = {};
+    const whereClause = { mosqueId: req.mosque.id };
     if (req.query.active === 'true') {
       whereClause.isActive = true;
     }
@@ -19,7 +21,7 @@ const getAll = async (req, res) => {
 
 const getById = async (req, res) => {
   try {
-    const voice = await Voice.findByPk(req.params.id);
+    const voice = await Voice.findOne({ where: { id: req.params.id, mosqueId: req.mosque.id } });
     if (!voice) {
       return res.status(404).json({ error: 'Voice not found' });
     }
@@ -37,11 +39,13 @@ const create = async (req, res) => {
       return res.status(400).json({ error: 'Audio file is required' });
     }
     const voice = await Voice.create({
+      mosqueId: req.mosque.id,
       name,
       soundFile: req.file.path,
       isActive: isActive === 'true' || isActive === true
     });
-    req.app.get('io').emit('data:updated', { type: 'voice' });
+    await recordAudit(req, { action: 'create', entityType: 'voice', entityId: voice.id, after: voice });
+    emitDataUpdated(req.app.get('io'), { type: 'voice', mosqueId: req.mosque.id });
     res.status(201).json(voice);
   } catch (error) {
     console.log("error",error)
@@ -51,10 +55,11 @@ const create = async (req, res) => {
 
 const update = async (req, res) => {
   try {
-    const voice = await Voice.findByPk(req.params.id);
+    const voice = await Voice.findOne({ where: { id: req.params.id, mosqueId: req.mosque.id } });
     if (!voice) {
       return res.status(404).json({ error: 'Voice not found' });
     }
+    const before = voice.toJSON();
     const updateData = {};
     if (req.body.name !== undefined) updateData.name = req.body.name;
     if (req.body.isActive !== undefined) {
@@ -66,7 +71,8 @@ const update = async (req, res) => {
       updateData.soundFile = req.file.path;
     }
     await voice.update(updateData);
-    req.app.get('io').emit('data:updated', { type: 'voice' });
+    await recordAudit(req, { action: 'update', entityType: 'voice', entityId: voice.id, before, after: voice });
+    emitDataUpdated(req.app.get('io'), { type: 'voice', mosqueId: req.mosque.id });
     res.json(voice);
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -75,11 +81,11 @@ const update = async (req, res) => {
 
 const remove = async (req, res) => {
   try {
-    const voice = await Voice.findByPk(req.params.id);
+    const voice = await Voice.findOne({ where: { id: req.params.id, mosqueId: req.mosque.id } });
     if (!voice) {
       return res.status(404).json({ error: 'Voice not found' });
     }
-    const eventCount = await Event.count({ where: { voiceId: voice.id } });
+    const eventCount = await Event.count({ where: { mosqueId: req.mosque.id, voiceId: voice.id } });
     if (eventCount > 0) {
       return res.status(400).json({ error: `Cannot delete voice. It is used by ${eventCount} event(s).` });
     }
@@ -88,7 +94,8 @@ const remove = async (req, res) => {
     await deleteCloudinaryFile(voice.soundFile);
 
     await voice.destroy();
-    req.app.get('io').emit('data:updated', { type: 'voice' });
+    await recordAudit(req, { action: 'delete', entityType: 'voice', entityId: voice.id, before: voice });
+    emitDataUpdated(req.app.get('io'), { type: 'voice', mosqueId: req.mosque.id });
     res.json({ message: 'Voice deleted successfully' });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -1,208 +1,339 @@
 const cron = require('node-cron');
-const { Op } = require('sequelize');
-const { Prayer, Event, Voice, EventSchedule } = require('../models');
+const { UniqueConstraintError } = require('sequelize');
+const { Mosque, TriggerLog, ScheduledAnnouncement, Admin } = require('../models');
 const { sendPushToAll } = require('../services/pushService');
+const { push: pushConfig } = require('../config/push');
+const { withDefaults, devicePreferences, resolveMode } = require('../services/notificationPreferences');
+const { getTextRenderer } = require('../services/notificationTemplates');
+const { broadcastAnnouncement, pushAnnouncement } = require('../services/announcementService');
+const { GRACE_MS, rebuildPlan, removePlan, getPlan, getAllPlans, markFired, isFired } = require('../services/triggerPlan');
+const { getMosqueTimezone, mosqueRoom } = require('../services/mosqueService');
+const { dataEvents } = require('../utils/dataEvents');
 const { getLocalNow } = require('../utils/timezone');
+const { getFullUploadUrl } = require('../utils/cloudinaryHelper');
 
-function getFullAudioUrl(soundFile) {
-  if (!soundFile) return null;
-  if (soundFile.startsWith('http')) return soundFile;
-  const base = (process.env.SERVER_URL || '').replace(/\/+$/, '');
-  return `${base}/${soundFile}`;
+// An occurrence is due from its time until the end of that minute
+const DUE_WINDOW_MS = 60 * 1000;
+
+// How often plans that failed to build are retried
+const RETRY_MS = 60 * 1000;
+
+/**
+ * Claim an occurrence in the trigger log. Resolves to the log row, or null
+ * when another process (or an earlier run) already claimed it.
+ */
+async function claimOccurrence(occurrence, { status = 'fired', late = false } = {}) {
+  try {
+    return await TriggerLog.create({
+      mosqueId: occurrence.mosqueId,
+      kind: occurrence.kind,
+      source: occurrence.source,
+      sourceId: occurrence.sourceId,
+      name: occurrence.name,
+      occurrenceDate: occurrence.date,
+      occurrenceTime: occurrence.time,
+      status,
+      late,
+      firedAt: status === 'fired' ? new Date() : null
+    });
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) return null;
+    throw error;
+  }
+}
+
+/**
+ * Record an occurrence that was not fired in time and will not be fired late.
+ */
+async function recordMissed(occurrence) {
+  const log = await claimOccurrence(occurrence, { status: 'missed' });
+  if (log) {
+    console.warn(`[Cron] Recorded ${occurrence.key} as missed`);
+  }
+}
+
+/**
+ * Push a pre-alert to the devices that asked for this lead time. Clients
+ * connected over the socket count down to the trigger themselves.
+ */
+async function sendPreAlert(occurrence, triggerLogId) {
+  const textFor = await getTextRenderer(occurrence.mosqueId, 'pre_alert', {
+    name: occurrence.name,
+    time: occurrence.triggerTime,
+    minutes: occurrence.leadMinutes
+  });
+  const { title, body } = textFor();
+  return sendPushToAll(title, body, {
+    type: 'pre_alert',
+    eventId: occurrence.sourceId,
+    name: occurrence.name,
+    time: occurrence.triggerTime,
+    leadMinutes: occurrence.leadMinutes,
+  }, {
+    mosqueId: occurrence.mosqueId,
+    triggerLogId,
+    // Useless once the trigger itself is due
+    expiresAt: new Date(occurrence.fireAt + occurrence.leadMinutes * 60 * 1000),
+    textFor,
+    deliveryFor: (device) => (withDefaults(devicePreferences(device)).preAlertMinutes === occurrence.leadMinutes
+      ? resolveMode(devicePreferences(device), occurrence)
+      : 'off')
+  });
+}
+
+/**
+ * Broadcast a scheduled announcement like a live one, with a visible push.
+ * A one-off is marked sent; one cancelled since the plan was built is skipped.
+ */
+async function fireAnnouncement(io, occurrence, log) {
+  const scheduled = await ScheduledAnnouncement.findOne({
+    where: { id: occurrence.sourceId, status: 'scheduled' },
+    include: [{ model: Admin, as: 'createdBy', attributes: ['username'] }]
+  });
+  if (!scheduled) {
+    console.log(`[Cron] Skipping ${occurrence.key}: no longer scheduled`);
+    if (log) await log.update({ errors: ['No longer scheduled'] });
+    return;
+  }
+
+  console.log(`[Cron] Broadcasting scheduled announcement ${scheduled.id}: ${scheduled.title}`);
+  const announcement = await broadcastAnnouncement(io, {
+    mosqueId: occurrence.mosqueId,
+    title: scheduled.title,
+    body: scheduled.body,
+    audioUrl: scheduled.audioUrl,
+    imageUrl: scheduled.imageUrl,
+    expiresAt: scheduled.expiresAfterMinutes ? new Date(Date.now() + scheduled.expiresAfterMinutes * 60 * 1000) : null,
+    isPinned: scheduled.isPinned,
+    senderId: scheduled.createdById,
+    senderName: scheduled.createdBy ? scheduled.createdBy.username : null,
+    scheduledAnnouncementId: scheduled.id
+  });
+  await scheduled.update({
+    lastSentAt: announcement.sentAt,
+    ...(scheduled.scheduleMode === 'once' ? { status: 'sent' } : {})
+  });
+
+  let push = { sent: 0, failed: 0, errors: [] };
+  try {
+    push = await pushAnnouncement(announcement, {
+      triggerLogId: log ? log.id : null,
+      expiresAt: new Date(occurrence.fireAt + pushConfig.triggerTtlMs),
+      sourceId: scheduled.id
+    });
+  } catch (err) {
+    console.error(`Announcement push error (${occurrence.key}):`, err);
+    push.errors.push(err.message);
+  }
+
+  if (log) {
+    await log.update({
+      socketRecipients: announcement.recipients,
+      pushSent: push.sent,
+      pushFailed: push.failed,
+      errors: push.errors.length > 0 ? push.errors : null
+    });
+  }
+}
+
+async function fireOccurrence(io, occurrence, late = false) {
+  let log = null;
+  try {
+    log = await claimOccurrence(occurrence, { late });
+    if (!log) {
+      console.log(`[Cron] Skipping ${occurrence.key}: already triggered`);
+      return;
+    }
+  } catch (error) {
+    // Without the log we cannot dedupe, but a missed azan is worse than a duplicate
+    console.error(`[Cron] Could not record ${occurrence.key} in trigger log, firing anyway:`, error);
+  }
+
+  if (occurrence.kind === 'pre_alert') {
+    console.log(`[Cron] Sending pre-alert for ${occurrence.source}: ${occurrence.name} at ${occurrence.triggerTime} (${occurrence.leadMinutes} min)`);
+    let push = { sent: 0, failed: 0, errors: [] };
+    try {
+      push = await sendPreAlert(occurrence, log ? log.id : null);
+    } catch (err) {
+      console.error(`Pre-alert push error (${occurrence.source}):`, err);
+      push.errors.push(err.message);
+    }
+    if (log) {
+      await log.update({ pushSent: push.sent, pushFailed: push.failed, errors: push.errors.length > 0 ? push.errors : null });
+    }
+    return;
+  }
+
+  if (occurrence.source === 'announcement') {
+    await fireAnnouncement(io, occurrence, log);
+    return;
+  }
+
+  if (occurrence.source === 'event' && !occurrence.soundFile) {
+    console.warn(`[Cron] WARNING: Event "${occurrence.name}" has NO voice/soundFile — audio won't play!`);
+  }
+
+  const payload = {
+    id: occurrence.sourceId,
+    name: occurrence.name,
+    time: occurrence.time,
+    soundFile: occurrence.soundFile,
+    type: occurrence.type,
+    late,
+    triggeredAt: new Date().toISOString(),
+  };
+  console.log(`[Cron] Emitting${late ? ' late' : ''} azan:trigger for ${occurrence.source}: ${occurrence.name} (type=${occurrence.type}), voice=${occurrence.voiceName || 'NONE'}, soundFile=${payload.soundFile || 'NONE'}`);
+  const room = mosqueRoom(occurrence.mosqueId);
+  io.to(room).emit('azan:trigger', payload);
+  const socketRecipients = io.sockets.adapter.rooms.get(room)?.size || 0;
+
+  const soundUrl = getFullUploadUrl(occurrence.soundFile);
+  console.log(`[Push] Sending to mosque ${occurrence.mosqueId} devices for ${occurrence.source}: ${occurrence.name}, soundFile: ${soundUrl}`);
+  let push = { sent: 0, failed: 0, errors: [] };
+  try {
+    const textFor = await getTextRenderer(occurrence.mosqueId, occurrence.type, { name: occurrence.name, time: occurrence.time });
+    const { title, body } = textFor();
+    push = await sendPushToAll(title, body, {
+      type: 'azan',
+      eventId: occurrence.sourceId,
+      name: occurrence.name,
+      time: occurrence.time,
+      soundFile: soundUrl,
+      late,
+    }, {
+      mosqueId: occurrence.mosqueId,
+      triggerLogId: log ? log.id : null,
+      expiresAt: new Date(occurrence.fireAt + pushConfig.triggerTtlMs),
+      textFor,
+      deliveryFor: (device) => resolveMode(devicePreferences(device), occurrence)
+    });
+  } catch (err) {
+    console.error(`Push error (${occurrence.source}):`, err);
+    push.errors.push(err.message);
+  }
+
+  if (log) {
+    await log.update({
+      socketRecipients,
+      pushSent: push.sent,
+      pushFailed: push.failed,
+      errors: push.errors.length > 0 ? push.errors : null
+    });
+  }
 }
 
 function startAzanScheduler(io) {
   const startInfo = getLocalNow();
-  console.log(`[Cron] Azan scheduler started. offset=${startInfo.offsetDisplay}, time=${startInfo.time}, date=${startInfo.date}`);
-  cron.schedule('* * * * *', async () => {
-    const local = getLocalNow();
-    const currentTime = local.time;
-    const today = local.date;
-    const todayWeekday = local.weekday;
-    console.log(`[Cron] Checking at ${currentTime} on ${today} (weekday: ${todayWeekday}, ${local.offsetDisplay})`);
+  console.log(`[Cron] Azan scheduler started. timezone=${startInfo.timezone} (${startInfo.offsetDisplay}), time=${startInfo.time}, date=${startInfo.date}`);
 
-    try {
-      // Check legacy Prayer model
-      const prayers = await Prayer.findAll({
-        where: {
-          time: currentTime,
-          isActive: true,
-          date: today
-        }
-      });
+  // Per mosque: the running rebuild, and whether another was requested
+  // meanwhile (with whether any request wanted missed occurrences caught up)
+  const rebuilding = new Map();
+  const rebuildRequested = new Map();
 
-      for (const prayer of prayers) {
-        const payload = {
-          id: prayer.id,
-          name: prayer.name,
-          time: prayer.time,
-          soundFile: prayer.soundFile || null,
-          type: 'prayer',
-          triggeredAt: new Date().toISOString(),
-        };
-        console.log(`Emitting azan:trigger for prayer: ${prayer.name}`);
-        io.emit('azan:trigger', payload);
-
-        const prayerSoundUrl = getFullAudioUrl(prayer.soundFile);
-        console.log(`[Push] Sending to all devices for prayer: ${prayer.name}, soundFile: ${prayerSoundUrl}`);
-        sendPushToAll(`Azan - ${prayer.name}`, `It's time for ${prayer.name}`, {
-          type: 'azan',
-          eventId: prayer.id,
-          name: prayer.name,
-          time: prayer.time,
-          soundFile: prayerSoundUrl,
-        }).catch(err => console.error('Push error (prayer):', err));
-      }
+  // Mosques left without a plan by a failed build, and whether loading the
+  // mosque list failed; both are retried on the tick
+  const failedMosques = new Set();
+  let loadFailed = false;
+  let lastRetryAt = Date.now();
 
-      // --- Event model queries ---
-
-      // 1. Daily + fixed time
-      const dailyFixedEvents = await Event.findAll({
-        where: {
-          isActive: true,
-          scheduleMode: 'daily',
-          timeMode: 'fixed',
-          fixedTime: currentTime
-        },
-        include: [{ model: Voice, as: 'voice' }]
+  // Rebuild one mosque's day plan; a request made while a rebuild runs is queued once
+  const requestRebuild = (mosqueId, reason, { catchUp = false } = {}) => {
+    if (rebuilding.has(mosqueId)) {
+      rebuildRequested.set(mosqueId, catchUp || rebuildRequested.get(mosqueId) || false);
+      return;
+    }
+    const promise = Mosque.findByPk(mosqueId)
+      .then(async (mosque) => {
+        failedMosques.delete(mosqueId);
+        if (!mosque || !mosque.isActive) {
+          removePlan(mosqueId);
+          return;
+        }
+        const date = getLocalNow(getMosqueTimezone(mosque)).date;
+        const plan = await rebuildPlan(mosque, date, { catchUp });
+        console.log(`[Cron] Day plan for mosque ${mosqueId} on ${plan.date} built (${reason}): ${plan.occurrences.length} occurrence(s)`);
+      })
+      .catch((err) => {
+        console.error(`[Cron] Failed to build day plan for mosque ${mosqueId}:`, err);
+        if (!getPlan(mosqueId)) failedMosques.add(mosqueId);
+      })
+      .finally(() => {
+        rebuilding.delete(mosqueId);
+        if (rebuildRequested.has(mosqueId)) {
+          const queuedCatchUp = rebuildRequested.get(mosqueId);
+          rebuildRequested.delete(mosqueId);
+          requestRebuild(mosqueId, 'queued', { catchUp: queuedCatchUp });
+        }
       });
+    rebuilding.set(mosqueId, promise);
+  };
 
-      // 2. Daily + custom time (lookup via EventSchedule)
-      const dailyCustomSchedules = await EventSchedule.findAll({
-        where: {
-          date: today,
-          time: currentTime
-        },
-        include: [{
-          model: Event,
-          as: 'event',
-          where: {
-            isActive: true,
-            scheduleMode: 'daily',
-            timeMode: 'custom'
-          },
-          include: [{ model: Voice, as: 'voice' }]
-        }]
+  // Rebuild every mosque's plan, and drop plans of mosques that are gone
+  const rebuildAll = (reason, options) => {
+    Mosque.findAll({ attributes: ['id'] })
+      .then((mosques) => {
+        loadFailed = false;
+        const ids = new Set(mosques.map(m => m.id));
+        for (const plan of getAllPlans()) {
+          if (!ids.has(plan.mosqueId)) removePlan(plan.mosqueId);
+        }
+        for (const id of ids) requestRebuild(id, reason, options);
+      })
+      .catch((err) => {
+        console.error('[Cron] Failed to load mosques:', err);
+        if (getAllPlans().length === 0) loadFailed = true;
       });
+  };
 
-      // 3. Weekly + fixed time
-      const weeklyFixedEvents = await Event.findAll({
-        where: {
-          isActive: true,
-          scheduleMode: 'weekly',
-          timeMode: 'fixed',
-          fixedTime: currentTime
-        },
-        include: [{ model: Voice, as: 'voice' }]
-      });
+  dataEvents.on('data:updated', (payload) => {
+    const reason = `${payload.type} updated`;
+    if (payload.mosqueId) {
+      requestRebuild(payload.mosqueId, reason);
+    } else {
+      rebuildAll(reason);
+    }
+  });
+  rebuildAll('startup', { catchUp: true });
 
-      // 4. Weekly + custom time (lookup via EventSchedule)
-      const weeklyCustomSchedules = await EventSchedule.findAll({
-        where: {
-          date: today,
-          time: currentTime
-        },
-        include: [{
-          model: Event,
-          as: 'event',
-          where: {
-            isActive: true,
-            scheduleMode: 'weekly',
-            timeMode: 'custom'
-          },
-          include: [{ model: Voice, as: 'voice' }]
-        }]
-      });
+  cron.schedule('* * * * * *', () => {
+    const now = Date.now();
 
-      // 5. Date range + fixed time
-      const rangeFixedEvents = await Event.findAll({
-        where: {
-          isActive: true,
-          scheduleMode: 'date_range',
-          timeMode: 'fixed',
-          fixedTime: currentTime,
-          startDate: { [Op.lte]: today },
-          endDate: { [Op.gte]: today }
-        },
-        include: [{ model: Voice, as: 'voice' }]
-      });
+    // A mosque without a plan would get no azan all day
+    if (now - lastRetryAt >= RETRY_MS && (loadFailed || failedMosques.size > 0)) {
+      lastRetryAt = now;
+      if (loadFailed) {
+        rebuildAll('retry', { catchUp: true });
+      } else {
+        for (const id of failedMosques) requestRebuild(id, 'retry', { catchUp: true });
+      }
+    }
 
-      // 6. Date range + custom time (lookup via EventSchedule)
-      const rangeCustomSchedules = await EventSchedule.findAll({
-        where: {
-          date: today,
-          time: currentTime
-        },
-        include: [{
-          model: Event,
-          as: 'event',
-          where: {
-            isActive: true,
-            scheduleMode: 'date_range',
-            timeMode: 'custom'
-          },
-          include: [{ model: Voice, as: 'voice' }]
-        }]
-      });
+    for (const plan of getAllPlans()) {
+      if (rebuilding.has(plan.mosqueId)) continue;
 
-      // Combine all triggered events
-      const allEvents = [
-        ...dailyFixedEvents,
-        ...dailyCustomSchedules.map(s => s.event),
-        ...weeklyFixedEvents.filter(e => {
-          const weekdays = e.weekdays || [];
-          return weekdays.includes(todayWeekday);
-        }),
-        ...weeklyCustomSchedules.map(s => s.event).filter(e => {
-          const weekdays = e.weekdays || [];
-          return weekdays.includes(todayWeekday);
-        }),
-        ...rangeFixedEvents,
-        ...rangeCustomSchedules.map(s => s.event)
-      ];
-
-      console.log(`[Cron] Found: ${prayers.length} prayers, ${dailyFixedEvents.length} dailyFixed, ${dailyCustomSchedules.length} dailyCustom, ${weeklyFixedEvents.length} weeklyFixed, ${weeklyCustomSchedules.length} weeklyCustom, ${rangeFixedEvents.length} rangeFixed, ${rangeCustomSchedules.length} rangeCustom`);
-
-      // Filter out inactiveDays + deduplicate by event ID
-      const seenIds = new Set();
-      const triggeredEvents = [];
-      for (const event of allEvents) {
-        if (seenIds.has(event.id)) continue;
-        const inactiveDays = event.inactiveDays || [];
-        if (inactiveDays.includes(todayWeekday)) continue;
-        seenIds.add(event.id);
-        triggeredEvents.push(event);
+      // Midnight in the mosque's timezone: start a fresh plan for the new day
+      if (plan.date !== getLocalNow(plan.timezone).date) {
+        requestRebuild(plan.mosqueId, 'new day', { catchUp: true });
+        continue;
       }
 
-      console.log(`[Cron] ${triggeredEvents.length} event(s) to trigger at ${currentTime}`);
+      for (const occurrence of plan.occurrences) {
+        if (occurrence.fireAt > now) break;
+        if (isFired(occurrence.key)) continue;
+        markFired(occurrence.key);
 
-      for (const event of triggeredEvents) {
-        if (!event.voice || !event.voice.soundFile) {
-          console.warn(`[Cron] WARNING: Event "${event.name}" has NO voice/soundFile — audio won't play!`);
-        }
-        const payload = {
-          id: event.id,
-          name: event.name,
-          time: event.fixedTime || currentTime,
-          soundFile: event.voice ? event.voice.soundFile : null,
-          type: event.type || 'azan',
-          triggeredAt: new Date().toISOString(),
-        };
-        console.log(`[Cron] Emitting azan:trigger for event: ${event.name} (type=${event.type}), voice=${event.voice?.name || 'NONE'}, soundFile=${payload.soundFile || 'NONE'}`);
-        io.emit('azan:trigger', payload);
-
-        const eventSoundUrl = getFullAudioUrl(event.voice ? event.voice.soundFile : null);
-        console.log(`[Push] Sending to all devices for event: ${event.name}, soundFile: ${eventSoundUrl}`);
-        sendPushToAll(`Azan - ${event.name}`, `It's time for ${event.name}`, {
-          type: 'azan',
-          eventId: event.id,
-          name: event.name,
-          time: event.fixedTime || currentTime,
-          soundFile: eventSoundUrl,
-        }).catch(err => console.error('Push error (event):', err));
+        const overdueMs = now - occurrence.fireAt;
+        // Too old to catch up (e.g. the server was down for hours)
+        if (overdueMs > GRACE_MS) continue;
+
+        // Missed its minute (downtime or a skipped tick): apply the event's policy
+        const late = overdueMs >= DUE_WINDOW_MS;
+        const handle = late && occurrence.missedPolicy === 'record_missed'
+          ? recordMissed(occurrence)
+          : fireOccurrence(io, occurrence, late);
+        handle.catch(error => console.error('Cron job error:', error));
       }
-    } catch (error) {
-      console.error('Cron job error:', error);
     }
   });
 }
@@ -0,0 +1,30 @@
+const cron = require('node-cron');
+const { processOutbox, purgeOldMessages } = require('../services/pushOutbox');
+
+/**
+ * Retry queued push messages every five seconds, and purge old outbox rows hourly.
+ */
+function startPushWorker() {
+  let running = false;
+
+  cron.schedule('*/5 * * * * *', async () => {
+    if (running) return;
+    running = true;
+    try {
+      const result = await processOutbox();
+      if (result.sent || result.failed || result.queued) {
+        console.log(`[Outbox] Retried: ${result.sent} sent, ${result.queued} queued again, ${result.failed} gave up`);
+      }
+    } catch (error) {
+      console.error('[Outbox] Processing failed:', error);
+    } finally {
+      running = false;
+    }
+  });
+
+  cron.schedule('0 * * * *', () => {
+    purgeOldMessages().catch(err => console.error('[Outbox] Purge failed:', err));
+  });
+}
+
+module.exports = startPushWorker;
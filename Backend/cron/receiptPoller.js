@@ -0,0 +1,27 @@
+const cron = require('node-cron');
+const { checkPushReceipts } = require('../services/pushService');
+
+/**
+ * Check Expo push receipts every five minutes so failures reported after
+ * sending (and uninstalled apps) are recorded and dead tokens pruned.
+ */
+function startReceiptPoller() {
+  let running = false;
+
+  cron.schedule('*/5 * * * *', async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await checkPushReceipts();
+      if (summary.delivered || summary.failed || summary.expired) {
+        console.log(`[Receipts] ${summary.delivered} delivered, ${summary.failed} failed (${summary.pruned} token(s) pruned), ${summary.expired} expired`);
+      }
+    } catch (error) {
+      console.error('[Receipts] Receipt check failed:', error);
+    } finally {
+      running = false;
+    }
+  });
+}
+
+module.exports = startReceiptPoller;
@@ -0,0 +1,103 @@
+const { Admin, User } = require('../models');
+const { verifyToken } = require('../services/tokenService');
+const { hasPermission } = require('../config/permissions');
+
+/**
+ * Build middleware that requires a valid admin access token
+ * (Authorization: Bearer <token>) and sets `req.admin`. Tokens issued before
+ * the admin's last logout or password change are rejected. Admins tied to a
+ * mosque may only act on that mosque, and admins with a pending forced
+ * password reset only reach routes that allow it.
+ */
+const authenticateAdmin = ({ allowPasswordReset = false } = {}) => async (req, res, next) => {
+  try {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    let payload;
+    try {
+      payload = verifyToken(token, 'access');
+    } catch (error) {
+      const expired = error.name === 'TokenExpiredError';
+      return res.status(401).json({ error: expired ? 'Token expired' : 'Invalid token' });
+    }
+
+    const admin = await Admin.findByPk(payload.sub);
+    if (!admin || !admin.isActive || admin.tokenVersion !== payload.version) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+    if (admin.mustChangePassword && !allowPasswordReset) {
+      return res.status(403).json({ error: 'Password change required', code: 'PASSWORD_CHANGE_REQUIRED' });
+    }
+    if (admin.mosqueId && req.mosque && req.mosque.id !== admin.mosqueId) {
+      return res.status(403).json({ error: 'Not allowed for this mosque' });
+    }
+
+    req.admin = admin;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const requireAdmin = authenticateAdmin();
+
+// For the password change itself and session routes such as /me and logout
+const requireAdminPendingReset = authenticateAdmin({ allowPasswordReset: true });
+
+/**
+ * Require the signed-in admin's role to grant a permission. Use after requireAdmin.
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.admin || !hasPermission(req.admin.role, permission)) {
+      return res.status(403).json({ error: 'You do not have permission to do this' });
+    }
+    next();
+  };
+}
+
+/**
+ * Build middleware that reads an app user access token
+ * (Authorization: Bearer <token>) and sets `req.user`. Tokens issued before
+ * the user's last logout or password reset are rejected. When optional, a
+ * request without a token continues anonymously; a bad token is still rejected.
+ */
+const authenticateUser = ({ optional = false } = {}) => async (req, res, next) => {
+  try {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      if (optional) return next();
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    let payload;
+    try {
+      payload = verifyToken(token, 'user_access');
+    } catch (error) {
+      const expired = error.name === 'TokenExpiredError';
+      return res.status(401).json({ error: expired ? 'Token expired' : 'Invalid token' });
+    }
+
+    const user = await User.findByPk(payload.sub);
+    if (!user || user.tokenVersion !== payload.version) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const requireUser = authenticateUser();
+
+// For endpoints open to anonymous devices that link to the user when signed in
+const optionalUser = authenticateUser({ optional: true });
+
+module.exports = { requireAdmin, requireAdminPendingReset, requirePermission, requireUser, optionalUser };
@@ -0,0 +1,32 @@
+const { Mosque } = require('../models');
+const { getDefaultMosque } = require('../services/mosqueService');
+
+/**
+ * Resolve the mosque a request is for and set `req.mosque`.
+ * Taken from the X-Mosque-Id header or `mosqueId` query param, falling
+ * back to the default mosque so single-mosque clients need not send it.
+ */
+async function resolveMosque(req, res, next) {
+  try {
+    const requestedId = req.get('X-Mosque-Id') || req.query.mosqueId;
+
+    if (requestedId) {
+      const mosque = await Mosque.findByPk(requestedId);
+      if (!mosque || !mosque.isActive) {
+        return res.status(404).json({ error: 'Mosque not found' });
+      }
+      req.mosque = mosque;
+    } else {
+      req.mosque = await getDefaultMosque();
+      if (!req.mosque) {
+        return res.status(503).json({ error: 'No mosque is configured' });
+      }
+    }
+
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+module.exports = { resolveMosque };
@@ -0,0 +1,60 @@
+const { rateLimit: limits } = require('../config/rateLimit');
+const { getStore } = require('../services/rateLimitService');
+
+function sendTooManyRequests(res, retryAfter, message) {
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ error: message, retryAfter });
+}
+
+// For an account locked after too many failed logins
+function sendLockedOut(res, retryAfter) {
+  sendTooManyRequests(res, retryAfter, `Too many failed attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s)`);
+}
+
+/**
+ * Build middleware allowing `max` requests per `windowMs` for each key
+ * (by default the client IP). If the store is unavailable requests are let
+ * through rather than locking everyone out.
+ */
+function rateLimit({ name, windowMs, max, key = (req) => req.ip, message = 'Too many requests, please try again later' }) {
+  return async (req, res, next) => {
+    let counter;
+    try {
+      counter = await getStore().hit(`${name}:${key(req)}`, windowMs);
+    } catch (error) {
+      console.error(`[RateLimit] ${name} check failed:`, error.message);
+      return next();
+    }
+
+    const retryAfter = Math.max(Math.ceil((counter.resetAt - Date.now()) / 1000), 1);
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(max - counter.count, 0)));
+    res.set('RateLimit-Reset', String(retryAfter));
+    if (counter.count > max) {
+      return sendTooManyRequests(res, retryAfter, message);
+    }
+    next();
+  };
+}
+
+const loginLimiter = rateLimit({
+  name: 'login',
+  ...limits.login,
+  message: 'Too many login attempts, please try again later'
+});
+
+const accountEmailLimiter = rateLimit({
+  name: 'account-email',
+  ...limits.accountEmail,
+  message: 'Too many email requests, please try again later'
+});
+
+// Per admin; use after requireAdmin
+const announcementLimiter = rateLimit({
+  name: 'announcement',
+  ...limits.announcements,
+  key: (req) => req.admin.id,
+  message: 'Too many announcements, please wait before broadcasting again'
+});
+
+module.exports = { rateLimit, sendTooManyRequests, sendLockedOut, loginLimiter, accountEmailLimiter, announcementLimiter };
@@ -3,15 +3,24 @@ const path = require('path');
 const { CloudinaryStorage } = require('multer-storage-cloudinary');
 const { cloudinary, isCloudinaryConfigured } = require('../config/cloudinary');
 
+// Uploads are audio, except images sent as imageFile (announcement pictures)
+const isImageField = (file) => file.fieldname === 'imageFile';
+
 let storage;
 if (isCloudinaryConfigured) {
   storage = new CloudinaryStorage({
     cloudinary: cloudinary,
-    params: {
-      folder: 'azan-audio',
-      resource_type: 'video', // Cloudinary treats audio as video type
-      allowed_formats: ['mp3', 'wav', 'm4a', 'webm'],
-    }
+    params: async (req, file) => (isImageField(file)
+      ? {
+        folder: 'azan-images',
+        resource_type: 'image',
+        allowed_formats: ['jpg', 'jpeg', 'png', 'webp', 'gif'],
+      }
+      : {
+        folder: 'azan-audio',
+        resource_type: 'video', // Cloudinary treats audio as video type
+        allowed_formats: ['mp3', 'wav', 'm4a', 'webm'],
+      })
   });
 } else {
   storage = multer.diskStorage({
@@ -36,9 +45,17 @@ const allowedMimetypes = [
   'audio/webm',       // .webm (browser MediaRecorder)
 ];
 
+const allowedImageMimetypes = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
 const upload = multer({
   storage: storage,
   fileFilter: (req, file, cb) => {
+    if (isImageField(file)) {
+      const extValid = /\.(jpe?g|png|webp|gif)$/i.test(file.originalname);
+      const mimeValid = allowedImageMimetypes.includes(file.mimetype);
+      return extValid && mimeValid ? cb(null, true) : cb(new Error('Only image files are allowed'));
+    }
+
     const allowedExtensions = /\.(mp3|wav|m4a|webm)$/i;
     const extValid = allowedExtensions.test(file.originalname);
     const mimeValid = allowedMimetypes.includes(file.mimetype);
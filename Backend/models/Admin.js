@@ -5,6 +5,15 @@ module.exports = (sequelize, DataTypes) => {
       primaryKey: true,
       autoIncrement: true
     },
+    mosqueId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'mosque_id',
+      references: {
+        model: 'mosques',
+        key: 'id'
+      }
+    },
     username: {
       type: DataTypes.STRING,
       allowNull: false,
@@ -13,6 +22,37 @@ module.exports = (sequelize, DataTypes) => {
     password: {
       type: DataTypes.STRING,
       allowNull: false
+    },
+    // See config/permissions for what each role may do
+    role: {
+      type: DataTypes.ENUM('super_admin', 'scheduler', 'announcer', 'viewer'),
+      allowNull: false,
+      defaultValue: 'viewer'
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      field: 'is_active'
+    },
+    // Set when an account is created or reset by another admin
+    mustChangePassword: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'must_change_password'
+    },
+    // Bumped on logout/password change to invalidate issued refresh tokens
+    tokenVersion: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'token_version'
+    },
+    lastLoginAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'last_login_at'
     }
   }, {
     tableName: 'admins',
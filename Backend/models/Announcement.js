@@ -0,0 +1,103 @@
+// An announcement as broadcast: a recording, a text notice (optionally with a
+// picture) or both. Kept so offline clients can catch up, and shown on the
+// notice board until it expires.
+module.exports = (sequelize, DataTypes) => {
+  const Announcement = sequelize.define('Announcement', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    mosqueId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'mosque_id',
+      references: {
+        model: 'mosques',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    audioUrl: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'audio_url'
+    },
+    imageUrl: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'image_url'
+    },
+    // Off the notice board after this; null keeps it
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'expires_at'
+    },
+    // Listed first on the notice board
+    isPinned: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'is_pinned'
+    },
+    senderId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'sender_id',
+      references: {
+        model: 'admins',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    // Username at the time, kept after the admin is deleted
+    senderName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'sender_name'
+    },
+    // Set when broadcast by the scheduler
+    scheduledAnnouncementId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'scheduled_announcement_id',
+      references: {
+        model: 'scheduled_announcements',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'sent_at'
+    },
+    // Clients connected over the socket when it was broadcast
+    recipients: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'announcements',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['mosque_id', 'sent_at'] }
+    ]
+  });
+
+  return Announcement;
+};
@@ -0,0 +1,69 @@
+module.exports = (sequelize, DataTypes) => {
+  const AuditLog = sequelize.define('AuditLog', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    mosqueId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'mosque_id',
+      references: {
+        model: 'mosques',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    adminId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'admin_id',
+      references: {
+        model: 'admins',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    // Username at the time, kept when the admin account is deleted
+    actor: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    action: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    entityType: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      field: 'entity_type'
+    },
+    entityId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'entity_id'
+    },
+    // { field: { from, to } } for changed fields only
+    changes: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    ip: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    tableName: 'audit_logs',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      { fields: ['entity_type', 'entity_id'] },
+      { fields: ['created_at'] }
+    ]
+  });
+
+  return AuditLog;
+};
@@ -5,15 +5,71 @@ module.exports = (sequelize, DataTypes) => {
       primaryKey: true,
       autoIncrement: true
     },
+    mosqueId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'mosque_id',
+      references: {
+        model: 'mosques',
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    // Push token, or the subscription endpoint for web push
     token: {
-      type: DataTypes.STRING,
+      type: DataTypes.TEXT,
       allowNull: false,
       unique: true
     },
     platform: {
-      type: DataTypes.ENUM('ios', 'android'),
+      type: DataTypes.ENUM('ios', 'android', 'web'),
       allowNull: false,
       defaultValue: 'android'
+    },
+    // Push transport the token belongs to; see services/pushTransports
+    provider: {
+      type: DataTypes.ENUM('expo', 'fcm', 'apns', 'webpush'),
+      allowNull: false,
+      defaultValue: 'expo'
+    },
+    // Web push subscription keys (p256dh, auth)
+    keys: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    appVersion: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'app_version'
+    },
+    locale: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // IANA zone reported by the device
+    timezone: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    lastSeenAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'last_seen_at'
+    },
+    // Notification preferences; see services/notificationPreferences
+    preferences: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: null
     }
   }, {
     tableName: 'device_tokens',
@@ -5,6 +5,15 @@ module.exports = (sequelize, DataTypes) => {
       primaryKey: true,
       autoIncrement: true
     },
+    mosqueId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'mosque_id',
+      references: {
+        model: 'mosques',
+        key: 'id'
+      }
+    },
     name: {
       type: DataTypes.STRING,
       allowNull: false
@@ -50,7 +59,7 @@ module.exports = (sequelize, DataTypes) => {
       field: 'end_date'
     },
     timeMode: {
-      type: DataTypes.ENUM('fixed', 'custom'),
+      type: DataTypes.ENUM('fixed', 'custom', 'calculated', 'relative'),
       allowNull: false,
       defaultValue: 'fixed',
       field: 'time_mode'
@@ -60,6 +69,23 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       field: 'fixed_time'
     },
+    timeSource: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'time_source'
+    },
+    offsetMinutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'offset_minutes'
+    },
+    missedPolicy: {
+      type: DataTypes.ENUM('fire_late', 'record_missed'),
+      allowNull: false,
+      defaultValue: 'fire_late',
+      field: 'missed_policy'
+    },
     isActive: {
       type: DataTypes.BOOLEAN,
       defaultValue: true,
@@ -0,0 +1,63 @@
+module.exports = (sequelize, DataTypes) => {
+  const Mosque = sequelize.define('Mosque', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    timezone: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    latitude: {
+      type: DataTypes.DOUBLE,
+      allowNull: true
+    },
+    longitude: {
+      type: DataTypes.DOUBLE,
+      allowNull: true
+    },
+    calculationMethod: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'MWL',
+      field: 'calculation_method'
+    },
+    asrMethod: {
+      type: DataTypes.ENUM('Standard', 'Hanafi'),
+      allowNull: false,
+      defaultValue: 'Standard',
+      field: 'asr_method'
+    },
+    highLatRule: {
+      type: DataTypes.ENUM('None', 'NightMiddle', 'OneSeventh', 'AngleBased'),
+      allowNull: false,
+      defaultValue: 'NightMiddle',
+      field: 'high_lat_rule'
+    },
+    // Off sends announcement pushes without sound
+    announcementSound: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      field: 'announcement_sound'
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+      field: 'is_active'
+    }
+  }, {
+    tableName: 'mosques',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  return Mosque;
+};
@@ -0,0 +1,50 @@
+// A mosque's wording for one kind of notification in one language;
+// kinds without a row use the built-in text in services/notificationTemplates
+module.exports = (sequelize, DataTypes) => {
+  const NotificationTemplate = sequelize.define('NotificationTemplate', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    mosqueId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'mosque_id',
+      references: {
+        model: 'mosques',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    // Event type ('azan', 'other', 'prayer'), 'pre_alert' or 'announcement'
+    type: {
+      type: DataTypes.ENUM('azan', 'other', 'prayer', 'pre_alert', 'announcement'),
+      allowNull: false
+    },
+    // Language code, e.g. 'ar'
+    locale: {
+      type: DataTypes.STRING(10),
+      allowNull: false
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    body: {
+      type: DataTypes.STRING(500),
+      allowNull: false
+    }
+  }, {
+    tableName: 'notification_templates',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { unique: true, fields: ['mosque_id', 'type', 'locale'] }
+    ]
+  });
+
+  return NotificationTemplate;
+};
@@ -5,6 +5,15 @@ module.exports = (sequelize, DataTypes) => {
       primaryKey: true,
       autoIncrement: true
     },
+    mosqueId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'mosque_id',
+      references: {
+        model: 'mosques',
+        key: 'id'
+      }
+    },
     name: {
       type: DataTypes.ENUM('Fajr', 'Dhuhr', 'Asr', 'Maghrib', 'Isha'),
       allowNull: false
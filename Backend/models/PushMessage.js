@@ -0,0 +1,99 @@
+// Push outbox: one row per message to a device, sent and retried by the push worker
+module.exports = (sequelize, DataTypes) => {
+  const PushMessage = sequelize.define('PushMessage', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    deviceTokenId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'device_token_id',
+      references: {
+        model: 'device_tokens',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    provider: {
+      type: DataTypes.ENUM('expo', 'fcm', 'apns', 'webpush'),
+      allowNull: false,
+      defaultValue: 'expo'
+    },
+    token: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    // Web push subscription keys, copied from the device
+    keys: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    triggerLogId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'trigger_log_id',
+      references: {
+        model: 'trigger_logs',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    // Provider-neutral message (title, body, data, sound, channelId, ...); see services/pushTransports
+    message: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    // 'sending' rows are claimed by a worker until locked_until
+    status: {
+      type: DataTypes.ENUM('queued', 'sending', 'sent', 'failed', 'expired'),
+      allowNull: false,
+      defaultValue: 'queued'
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    nextAttemptAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'next_attempt_at'
+    },
+    lockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'locked_until'
+    },
+    // Not sent after this; too late to matter
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'expires_at'
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: 'last_error'
+    },
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'sent_at'
+    }
+  }, {
+    tableName: 'push_outbox',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['status', 'next_attempt_at'] },
+      { fields: ['trigger_log_id'] }
+    ]
+  });
+
+  return PushMessage;
+};
@@ -0,0 +1,75 @@
+// One row per push message sent to a device, updated from Expo's receipt when it has one
+module.exports = (sequelize, DataTypes) => {
+  const PushTicket = sequelize.define('PushTicket', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // Expo ticket id, used to fetch the receipt; null if the send failed outright
+    // or went through a transport that confirms on send
+    ticketId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      unique: true,
+      field: 'ticket_id'
+    },
+    deviceTokenId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'device_token_id',
+      references: {
+        model: 'device_tokens',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    // Kept after the device is pruned
+    token: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    triggerLogId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'trigger_log_id',
+      references: {
+        model: 'trigger_logs',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    // pending until the receipt is checked; expired if Expo never had one
+    status: {
+      type: DataTypes.ENUM('pending', 'delivered', 'failed', 'expired'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    // Expo error code, e.g. DeviceNotRegistered or MessageRateExceeded
+    error: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    message: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    checkedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'checked_at'
+    }
+  }, {
+    tableName: 'push_tickets',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['status', 'created_at'] },
+      { fields: ['trigger_log_id'] }
+    ]
+  });
+
+  return PushTicket;
+};
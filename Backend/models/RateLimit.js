@@ -0,0 +1,28 @@
+// Fixed-window counters for the Postgres rate limit store
+module.exports = (sequelize, DataTypes) => {
+  const RateLimit = sequelize.define('RateLimit', {
+    key: {
+      type: DataTypes.STRING,
+      primaryKey: true
+    },
+    count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    resetAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'reset_at'
+    }
+  }, {
+    tableName: 'rate_limits',
+    underscored: true,
+    timestamps: false,
+    indexes: [
+      { fields: ['reset_at'] }
+    ]
+  });
+
+  return RateLimit;
+};
@@ -0,0 +1,110 @@
+// An announcement queued for a later time, once or on a recurrence; the
+// scheduler broadcasts it like a live one when it is due
+module.exports = (sequelize, DataTypes) => {
+  const ScheduledAnnouncement = sequelize.define('ScheduledAnnouncement', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    mosqueId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'mosque_id',
+      references: {
+        model: 'mosques',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Like a live announcement: a message, audio or both, and an image
+    // only alongside a message
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    audioUrl: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'audio_url'
+    },
+    imageUrl: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'image_url'
+    },
+    // Each announcement sent leaves the notice board this long after it is
+    // sent; null keeps it. Relative, so it also works for repeats
+    expiresAfterMinutes: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'expires_after_minutes'
+    },
+    isPinned: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'is_pinned'
+    },
+    // 'once' on startDate; 'daily' and 'weekly' (on weekdays, 0=Sunday)
+    // from startDate until endDate when set
+    scheduleMode: {
+      type: DataTypes.ENUM('once', 'daily', 'weekly'),
+      allowNull: false,
+      defaultValue: 'once',
+      field: 'schedule_mode'
+    },
+    startDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      field: 'start_date'
+    },
+    endDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      field: 'end_date'
+    },
+    weekdays: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    // Mosque-local "HH:mm"
+    time: {
+      type: DataTypes.STRING(5),
+      allowNull: false
+    },
+    // A one-off becomes 'sent' once broadcast
+    status: {
+      type: DataTypes.ENUM('scheduled', 'sent', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'scheduled'
+    },
+    createdById: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'created_by_id',
+      references: {
+        model: 'admins',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    lastSentAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'last_sent_at'
+    }
+  }, {
+    tableName: 'scheduled_announcements',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  return ScheduledAnnouncement;
+};
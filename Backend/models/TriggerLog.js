@@ -0,0 +1,101 @@
+module.exports = (sequelize, DataTypes) => {
+  const TriggerLog = sequelize.define('TriggerLog', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    mosqueId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'mosque_id',
+      references: {
+        model: 'mosques',
+        key: 'id'
+      }
+    },
+    // A pre-alert is logged at its own time, ahead of the trigger
+    kind: {
+      type: DataTypes.ENUM('trigger', 'pre_alert'),
+      allowNull: false,
+      defaultValue: 'trigger'
+    },
+    source: {
+      type: DataTypes.ENUM('prayer', 'event', 'announcement'),
+      allowNull: false
+    },
+    sourceId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'source_id'
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    occurrenceDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      field: 'occurrence_date'
+    },
+    occurrenceTime: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      field: 'occurrence_time'
+    },
+    status: {
+      type: DataTypes.ENUM('fired', 'missed'),
+      allowNull: false,
+      defaultValue: 'fired'
+    },
+    late: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    firedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'fired_at'
+    },
+    socketRecipients: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'socket_recipients'
+    },
+    pushSent: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'push_sent'
+    },
+    pushFailed: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'push_failed'
+    },
+    errors: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: null
+    }
+  }, {
+    tableName: 'trigger_logs',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      // One row per occurrence: claiming it is what makes a trigger fire once
+      {
+        unique: true,
+        name: 'trigger_logs_occurrence_unique',
+        fields: ['kind', 'source', 'source_id', 'occurrence_date', 'occurrence_time']
+      }
+    ]
+  });
+
+  return TriggerLog;
+};
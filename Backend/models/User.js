@@ -22,6 +22,29 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING,
       allowNull: false
     },
+    // Preferred language for notifications, e.g. 'ar'; devices may report their own
+    locale: {
+      type: DataTypes.STRING(10),
+      allowNull: true
+    },
+    // Notification preferences the user's devices inherit; see services/notificationPreferences
+    preferences: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: null
+    },
+    emailVerifiedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'email_verified_at'
+    },
+    // Bumped to revoke every refresh token issued so far
+    tokenVersion: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'token_version'
+    },
     lastLoginAt: {
       type: DataTypes.DATE,
       allowNull: true,
@@ -0,0 +1,48 @@
+module.exports = (sequelize, DataTypes) => {
+  const UserToken = sequelize.define('UserToken', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    type: {
+      type: DataTypes.ENUM('password_reset', 'email_verification'),
+      allowNull: false
+    },
+    // SHA-256 of the token sent by email; the token itself is never stored
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      field: 'token_hash'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'expires_at'
+    },
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'used_at'
+    }
+  }, {
+    tableName: 'user_tokens',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  return UserToken;
+};
@@ -1,6 +1,7 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../config/database');
 
+const Mosque = require('./Mosque')(sequelize, DataTypes);
 const Prayer = require('./Prayer')(sequelize, DataTypes);
 const Voice = require('./Voice')(sequelize, DataTypes);
 const Event = require('./Event')(sequelize, DataTypes);
@@ -8,8 +9,51 @@ const EventSchedule = require('./EventSchedule')(sequelize, DataTypes);
 const Admin = require('./Admin')(sequelize, DataTypes);
 const User = require('./User')(sequelize, DataTypes);
 const DeviceToken = require('./DeviceToken')(sequelize, DataTypes);
+const TriggerLog = require('./TriggerLog')(sequelize, DataTypes);
+const Setting = require('./Setting')(sequelize, DataTypes);
+const AuditLog = require('./AuditLog')(sequelize, DataTypes);
+const UserToken = require('./UserToken')(sequelize, DataTypes);
+const RateLimit = require('./RateLimit')(sequelize, DataTypes);
+const PushTicket = require('./PushTicket')(sequelize, DataTypes);
+const PushMessage = require('./PushMessage')(sequelize, DataTypes);
+const NotificationTemplate = require('./NotificationTemplate')(sequelize, DataTypes);
+const Announcement = require('./Announcement')(sequelize, DataTypes);
+const ScheduledAnnouncement = require('./ScheduledAnnouncement')(sequelize, DataTypes);
 
 // Associations
+Mosque.hasMany(Event, { foreignKey: 'mosque_id', as: 'events' });
+Event.belongsTo(Mosque, { foreignKey: 'mosque_id', as: 'mosque' });
+Mosque.hasMany(Voice, { foreignKey: 'mosque_id', as: 'voices' });
+Voice.belongsTo(Mosque, { foreignKey: 'mosque_id', as: 'mosque' });
+Mosque.hasMany(Prayer, { foreignKey: 'mosque_id', as: 'prayers' });
+Prayer.belongsTo(Mosque, { foreignKey: 'mosque_id', as: 'mosque' });
+Mosque.hasMany(DeviceToken, { foreignKey: 'mosque_id', as: 'devices' });
+DeviceToken.belongsTo(Mosque, { foreignKey: 'mosque_id', as: 'mosque' });
+Mosque.hasMany(Admin, { foreignKey: 'mosque_id', as: 'admins', onDelete: 'RESTRICT' });
+Admin.belongsTo(Mosque, { foreignKey: 'mosque_id', as: 'mosque' });
+Admin.hasMany(AuditLog, { foreignKey: 'admin_id', as: 'auditLogs' });
+AuditLog.belongsTo(Admin, { foreignKey: 'admin_id', as: 'admin' });
+User.hasMany(DeviceToken, { foreignKey: 'user_id', as: 'devices' });
+DeviceToken.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+User.hasMany(UserToken, { foreignKey: 'user_id', as: 'tokens', onDelete: 'CASCADE' });
+UserToken.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+DeviceToken.hasMany(PushTicket, { foreignKey: 'device_token_id', as: 'tickets' });
+PushTicket.belongsTo(DeviceToken, { foreignKey: 'device_token_id', as: 'device' });
+TriggerLog.hasMany(PushTicket, { foreignKey: 'trigger_log_id', as: 'tickets' });
+PushTicket.belongsTo(TriggerLog, { foreignKey: 'trigger_log_id', as: 'triggerLog' });
+DeviceToken.hasMany(PushMessage, { foreignKey: 'device_token_id', as: 'outbox' });
+PushMessage.belongsTo(DeviceToken, { foreignKey: 'device_token_id', as: 'device' });
+Mosque.hasMany(NotificationTemplate, { foreignKey: 'mosque_id', as: 'notificationTemplates', onDelete: 'CASCADE' });
+NotificationTemplate.belongsTo(Mosque, { foreignKey: 'mosque_id', as: 'mosque' });
+Mosque.hasMany(Announcement, { foreignKey: 'mosque_id', as: 'announcements', onDelete: 'CASCADE' });
+Announcement.belongsTo(Mosque, { foreignKey: 'mosque_id', as: 'mosque' });
+Admin.hasMany(Announcement, { foreignKey: 'sender_id', as: 'announcements' });
+Announcement.belongsTo(Admin, { foreignKey: 'sender_id', as: 'sender' });
+Mosque.hasMany(ScheduledAnnouncement, { foreignKey: 'mosque_id', as: 'scheduledAnnouncements', onDelete: 'CASCADE' });
+ScheduledAnnouncement.belongsTo(Mosque, { foreignKey: 'mosque_id', as: 'mosque' });
+ScheduledAnnouncement.belongsTo(Admin, { foreignKey: 'created_by_id', as: 'createdBy' });
+ScheduledAnnouncement.hasMany(Announcement, { foreignKey: 'scheduled_announcement_id', as: 'announcements' });
+Announcement.belongsTo(ScheduledAnnouncement, { foreignKey: 'scheduled_announcement_id', as: 'scheduledAnnouncement' });
 Voice.hasMany(Event, { foreignKey: 'voice_id', as: 'events' });
 Event.belongsTo(Voice, { foreignKey: 'voice_id', as: 'voice' });
 Event.hasMany(EventSchedule, { foreignKey: 'event_id', as: 'schedules', onDelete: 'CASCADE' });
@@ -17,11 +61,22 @@ EventSchedule.belongsTo(Event, { foreignKey: 'event_id', as: 'event' });
 
 module.exports = {
   sequelize,
+  Mosque,
   Prayer,
   Voice,
   Event,
   EventSchedule,
   Admin,
   User,
-  DeviceToken
+  DeviceToken,
+  TriggerLog,
+  Setting,
+  AuditLog,
+  UserToken,
+  RateLimit,
+  PushTicket,
+  PushMessage,
+  NotificationTemplate,
+  Announcement,
+  ScheduledAnnouncement
 };
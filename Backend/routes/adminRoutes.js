@@ -1,7 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
+const adminAccountController = require('../controllers/adminAccountController');
+const { requireAdmin, requireAdminPendingReset, requirePermission } = require('../middleware/auth');
+const { loginLimiter } = require('../middleware/rateLimit');
 
-router.post('/login', adminController.login);
+router.post('/login', loginLimiter, adminController.login);
+router.post('/refresh', adminController.refresh);
+router.post('/logout', requireAdminPendingReset, adminController.logout);
+router.get('/me', requireAdminPendingReset, adminController.me);
+router.put('/password', requireAdminPendingReset, adminController.changePassword);
+
+// Account management
+const manageAdmins = [requireAdmin, requirePermission('admins:manage')];
+router.get('/accounts', manageAdmins, adminAccountController.getAll);
+router.get('/accounts/:id', manageAdmins, adminAccountController.getById);
+router.post('/accounts', manageAdmins, adminAccountController.create);
+router.put('/accounts/:id', manageAdmins, adminAccountController.update);
+router.delete('/accounts/:id', manageAdmins, adminAccountController.remove);
+router.post('/accounts/:id/reset-password', manageAdmins, adminAccountController.resetPassword);
 
 module.exports = router;
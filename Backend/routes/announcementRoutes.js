@@ -1,8 +1,29 @@
 const express = require('express');
 const router = express.Router();
 const announcementController = require('../controllers/announcementController');
+const scheduledAnnouncementController = require('../controllers/scheduledAnnouncementController');
+const { requireAdmin, requirePermission } = require('../middleware/auth');
+const { announcementLimiter } = require('../middleware/rateLimit');
 const upload = require('../middleware/upload');
 
-router.post('/', upload.single('audioFile'), announcementController.broadcast);
+const canBroadcast = [requireAdmin, requirePermission('announcements:broadcast')];
+const announcementFiles = upload.fields([{ name: 'audioFile', maxCount: 1 }, { name: 'imageFile', maxCount: 1 }]);
+
+// Recent, active and scheduled must come before /:id to avoid param conflict
+router.get('/recent', announcementController.getRecent);
+router.get('/active', announcementController.getActive);
+
+router.get('/scheduled', requireAdmin, scheduledAnnouncementController.getAll);
+router.get('/scheduled/:id', requireAdmin, scheduledAnnouncementController.getById);
+router.post('/scheduled', ...canBroadcast, announcementFiles, scheduledAnnouncementController.create);
+router.put('/scheduled/:id', ...canBroadcast, announcementFiles, scheduledAnnouncementController.update);
+router.post('/scheduled/:id/cancel', ...canBroadcast, scheduledAnnouncementController.cancel);
+router.delete('/scheduled/:id', ...canBroadcast, scheduledAnnouncementController.remove);
+
+router.get('/', requireAdmin, announcementController.getAll);
+router.get('/:id', requireAdmin, announcementController.getById);
+router.post('/', ...canBroadcast, announcementLimiter, announcementFiles, announcementController.broadcast);
+router.put('/:id', ...canBroadcast, announcementController.update);
+router.delete('/:id', ...canBroadcast, announcementController.remove);
 
 module.exports = router;
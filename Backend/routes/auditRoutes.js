@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const { requireAdmin, requirePermission } = require('../middleware/auth');
+
+router.use(requireAdmin, requirePermission('audit:read'));
+
+router.get('/', auditController.getAll);
+router.get('/:id', auditController.getById);
+
+module.exports = router;
@@ -1,8 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const { requireUser } = require('../middleware/auth');
+const { loginLimiter, accountEmailLimiter } = require('../middleware/rateLimit');
 
 router.post('/register', authController.register);
-router.post('/login', authController.login);
+router.post('/login', loginLimiter, authController.login);
+router.post('/refresh', authController.refresh);
+router.post('/logout', requireUser, authController.logout);
+router.get('/me', requireUser, authController.me);
+router.put('/me', requireUser, authController.updateMe);
+router.get('/me/preferences', requireUser, authController.getPreferences);
+router.put('/me/preferences', requireUser, authController.updatePreferences);
+
+router.post('/password/forgot', accountEmailLimiter, authController.forgotPassword);
+router.get('/password/reset/:token', authController.checkResetToken);
+router.post('/password/reset', authController.resetPassword);
+
+router.post('/email/verification', requireUser, accountEmailLimiter, authController.requestVerification);
+router.get('/email/verify/:token', authController.checkVerificationToken);
+router.post('/email/verify', authController.verifyEmail);
 
 module.exports = router;
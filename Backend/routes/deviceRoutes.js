@@ -1,8 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const deviceController = require('../controllers/deviceController');
+const { optionalUser } = require('../middleware/auth');
 
-router.post('/register', deviceController.register);
-router.post('/unregister', deviceController.unregister);
+router.post('/register', optionalUser, deviceController.register);
+router.post('/unregister', optionalUser, deviceController.unregister);
+router.get('/webpush/public-key', deviceController.getWebPushKey);
+router.get('/:token/preferences', optionalUser, deviceController.getPreferences);
+router.put('/:token/preferences', optionalUser, deviceController.updatePreferences);
 
 module.exports = router;
@@ -1,14 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const eventController = require('../controllers/eventController');
+const { requireAdmin, requirePermission } = require('../middleware/auth');
 
 // Today's list must come before /:id to avoid param conflict
 router.get('/today/list', eventController.getTodayList);
 
 router.get('/', eventController.getAll);
 router.get('/:id', eventController.getById);
-router.post('/', eventController.create);
-router.put('/:id', eventController.update);
-router.delete('/:id', eventController.remove);
+router.post('/', requireAdmin, requirePermission('schedule:write'), eventController.create);
+router.put('/:id', requireAdmin, requirePermission('schedule:write'), eventController.update);
+router.delete('/:id', requireAdmin, requirePermission('schedule:write'), eventController.remove);
 
 module.exports = router;
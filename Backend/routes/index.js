@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { resolveMosque } = require('../middleware/mosque');
 
 const prayerRoutes = require('./prayerRoutes');
 const voiceRoutes = require('./voiceRoutes');
@@ -10,15 +11,28 @@ const announcementRoutes = require('./announcementRoutes');
 const authRoutes = require('./authRoutes');
 const userRoutes = require('./userRoutes');
 const deviceRoutes = require('./deviceRoutes');
+const schedulerRoutes = require('./schedulerRoutes');
+const triggerRoutes = require('./triggerRoutes');
+const settingsRoutes = require('./settingsRoutes');
+const mosqueRoutes = require('./mosqueRoutes');
+const auditRoutes = require('./auditRoutes');
+const notificationTemplateRoutes = require('./notificationTemplateRoutes');
 
-router.use('/prayers', prayerRoutes);
-router.use('/voices', voiceRoutes);
-router.use('/events', eventRoutes);
+// Mosque-scoped resources; see middleware/mosque
+router.use('/prayers', resolveMosque, prayerRoutes);
+router.use('/voices', resolveMosque, voiceRoutes);
+router.use('/events', resolveMosque, eventRoutes);
 router.use('/admin', adminRoutes);
-router.use('/stats', statsRoutes);
-router.use('/announcements', announcementRoutes);
+router.use('/stats', resolveMosque, statsRoutes);
+router.use('/announcements', resolveMosque, announcementRoutes);
 router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
-router.use('/devices', deviceRoutes);
+router.use('/devices', resolveMosque, deviceRoutes);
+router.use('/scheduler', resolveMosque, schedulerRoutes);
+router.use('/triggers', resolveMosque, triggerRoutes);
+router.use('/notification-templates', resolveMosque, notificationTemplateRoutes);
+router.use('/settings', settingsRoutes);
+router.use('/mosques', mosqueRoutes);
+router.use('/audit', auditRoutes);
 
 module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const mosqueController = require('../controllers/mosqueController');
+const { requireAdmin, requirePermission } = require('../middleware/auth');
+
+router.get('/', mosqueController.getAll);
+router.get('/:id', mosqueController.getById);
+router.post('/', requireAdmin, requirePermission('settings:manage'), mosqueController.create);
+router.put('/:id', requireAdmin, requirePermission('settings:manage'), mosqueController.update);
+router.delete('/:id', requireAdmin, requirePermission('settings:manage'), mosqueController.remove);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const notificationTemplateController = require('../controllers/notificationTemplateController');
+const { requireAdmin, requirePermission } = require('../middleware/auth');
+
+router.get('/', requireAdmin, notificationTemplateController.getAll);
+router.put('/:type/:locale', requireAdmin, requirePermission('schedule:write'), notificationTemplateController.update);
+router.delete('/:type/:locale', requireAdmin, requirePermission('schedule:write'), notificationTemplateController.reset);
+
+module.exports = router;
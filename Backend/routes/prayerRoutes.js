@@ -1,15 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const prayerController = require('../controllers/prayerController');
+const { requireAdmin, requirePermission } = require('../middleware/auth');
 const upload = require('../middleware/upload');
 
-// Today's list must come before /:id to avoid param conflict
+// Today's list and calculated times must come before /:id to avoid param conflict
 router.get('/today/list', prayerController.getTodayList);
+router.get('/calculated', prayerController.getCalculated);
 
 router.get('/', prayerController.getAll);
 router.get('/:id', prayerController.getById);
-router.post('/', upload.single('soundFile'), prayerController.create);
-router.put('/:id', upload.single('soundFile'), prayerController.update);
-router.delete('/:id', prayerController.remove);
+router.post('/', requireAdmin, requirePermission('schedule:write'), upload.single('soundFile'), prayerController.create);
+router.put('/:id', requireAdmin, requirePermission('schedule:write'), upload.single('soundFile'), prayerController.update);
+router.delete('/:id', requireAdmin, requirePermission('schedule:write'), prayerController.remove);
 
 module.exports = router;
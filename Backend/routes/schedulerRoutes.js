@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const schedulerController = require('../controllers/schedulerController');
+const { requireAdmin } = require('../middleware/auth');
+
+router.get('/plan', requireAdmin, schedulerController.getCurrentPlan);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const settingsController = require('../controllers/settingsController');
+const { requireAdmin, requirePermission } = require('../middleware/auth');
+
+router.get('/', settingsController.get);
+router.put('/', requireAdmin, requirePermission('settings:manage'), settingsController.update);
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const statsController = require('../controllers/statsController');
+const { requireAdmin } = require('../middleware/auth');
 
-router.get('/', statsController.getStats);
+router.get('/', requireAdmin, statsController.getStats);
 
 module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const triggerController = require('../controllers/triggerController');
+const { requireAdmin } = require('../middleware/auth');
+
+router.get('/', requireAdmin, triggerController.getAll);
+router.get('/:id', requireAdmin, triggerController.getById);
+
+module.exports = router;
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
+const { requireAdmin } = require('../middleware/auth');
 
-router.get('/', userController.getAll);
+router.get('/', requireAdmin, userController.getAll);
+router.get('/:id/devices', requireAdmin, userController.getDevices);
 
 module.exports = router;
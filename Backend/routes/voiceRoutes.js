@@ -1,12 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const voiceController = require('../controllers/voiceController');
+const { requireAdmin, requirePermission } = require('../middleware/auth');
 const upload = require('../middleware/upload');
 
 router.get('/', voiceController.getAll);
 router.get('/:id', voiceController.getById);
-router.post('/', upload.single('soundFile'), voiceController.create);
-router.put('/:id', upload.single('soundFile'), voiceController.update);
-router.delete('/:id', voiceController.remove);
+router.post('/', requireAdmin, requirePermission('schedule:write'), upload.single('soundFile'), voiceController.create);
+router.put('/:id', requireAdmin, requirePermission('schedule:write'), upload.single('soundFile'), voiceController.update);
+router.delete('/:id', requireAdmin, requirePermission('schedule:write'), voiceController.remove);
 
 module.exports = router;
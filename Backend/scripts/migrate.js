@@ -0,0 +1,33 @@
+/**
+ * Bring the database schema up to date with the models: creates missing
+ * tables, adds new columns and enum values, then assigns existing rows to
+ * the default mosque and makes sure an admin can manage the install.
+ *
+ * The server only alters the schema on start outside production, so run
+ * this once after each upgrade in production:
+ *
+ *   npm run migrate
+ */
+const dotenv = require('dotenv');
+dotenv.config();
+
+const { sequelize } = require('../models');
+const { ensureDefaultMosque } = require('../services/mosqueService');
+const { ensureDefaultAdmin } = require('../services/adminAuthService');
+
+async function migrate() {
+  await sequelize.authenticate();
+  await sequelize.sync({ alter: true });
+  console.log('Database schema updated');
+
+  await ensureDefaultMosque();
+  await ensureDefaultAdmin();
+}
+
+migrate()
+  .then(() => sequelize.close())
+  .catch(async (error) => {
+    console.error('Migration failed:', error);
+    await sequelize.close();
+    process.exitCode = 1;
+  });
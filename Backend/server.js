@@ -4,8 +4,14 @@ dotenv.config();
 const http = require('http');
 const { Server } = require('socket.io');
 const app = require('./app');
-const { sequelize } = require('./models');
+const { sequelize, Mosque } = require('./models');
 const startAzanScheduler = require('./cron/azanScheduler');
+const startReceiptPoller = require('./cron/receiptPoller');
+const startPushWorker = require('./cron/pushWorker');
+const { loadSettings } = require('./services/settingsService');
+const { ensureDefaultMosque, getDefaultMosque, mosqueRoom } = require('./services/mosqueService');
+const { ensureDefaultAdmin } = require('./services/adminAuthService');
+const { registerLiveStream } = require('./services/liveStreamService');
 
 const isProduction = process.env.NODE_ENV === 'production';
 
@@ -18,11 +24,38 @@ const io = new Server(server, {
 // Make io accessible to controllers via req.app.get('io')
 app.set('io', io);
 
+// Clients receive triggers and updates for one mosque (the default if
+// unspecified). Resolved before the connection is accepted, so no event a
+// client sends is handled without its mosque
+io.use(async (socket, next) => {
+  try {
+    const requested = socket.handshake.query.mosqueId || socket.handshake.auth?.mosqueId;
+    let mosque;
+    if (requested) {
+      const id = Number(requested);
+      mosque = Number.isInteger(id) && id > 0 ? await Mosque.findOne({ where: { id, isActive: true } }) : null;
+      if (!mosque) return next(new Error(`Unknown mosque: ${requested}`));
+    } else {
+      mosque = await getDefaultMosque();
+    }
+    if (mosque) socket.data.mosqueId = mosque.id;
+    next();
+  } catch (error) {
+    console.error('Socket mosque lookup error:', error);
+    next(new Error('Could not look up the mosque'));
+  }
+});
+
 io.on('connection', (socket) => {
   console.log(`Socket connected: ${socket.id}`);
   socket.on('disconnect', () => {
     console.log(`Socket disconnected: ${socket.id}`);
   });
+
+  if (socket.data.mosqueId) socket.join(mosqueRoom(socket.data.mosqueId));
+
+  // Admins stream live announcements to the mosque's room
+  registerLiveStream(io, socket);
 });
 
 // Test database connection
@@ -30,20 +63,32 @@ sequelize.authenticate()
   .then(() => console.log('PostgreSQL connected'))
   .catch(err => console.error('PostgreSQL connection error:', err));
 
-// Sync database (creates tables if they don't exist)
+// Sync database (creates tables if they don't exist; in production the
+// schema is only altered by `npm run migrate`), then load settings such as
+// the timezone and make sure a mosque exists before the scheduler
+// builds its first day plans
 sequelize.sync({ alter: !isProduction })
   .then(() => console.log('Database synced'))
-  .catch(err => console.error('Database sync error:', err));
-
-// Start cron job with Socket.IO instance
-startAzanScheduler(io);
+  .catch(err => console.error('Database sync error:', err))
+  .then(() => loadSettings())
+  .catch(err => console.error('Settings load error:', err))
+  .then(() => ensureDefaultMosque())
+  .catch(err => console.error('Default mosque error:', err))
+  .then(() => ensureDefaultAdmin())
+  .catch(err => console.error('Default admin error:', err))
+  .then(() => {
+    // Start cron job with Socket.IO instance
+    startAzanScheduler(io);
+    startPushWorker();
+    startReceiptPoller();
+  });
 
 const PORT = process.env.PORT || 5001;
 server.listen(PORT, () => {
-  const { getLocalNow } = require('./utils/timezone');
+  const { getLocalNow, isTimezoneFixed } = require('./utils/timezone');
   const local = getLocalNow();
   console.log(`Server running on port ${PORT}`);
-  console.log(`Server offset: ${local.offsetDisplay} (UTC_OFFSET_MINUTES=${local.offsetMinutes})`);
+  console.log(`Server timezone: ${local.timezone} (${local.offsetDisplay})${isTimezoneFixed() ? ' from UTC_OFFSET_MINUTES' : ''}`);
   console.log(`Server local time: ${local.date} ${local.time} (weekday: ${local.weekday})`);
 });
 
@@ -0,0 +1,100 @@
+const bcrypt = require('bcryptjs');
+const { Admin } = require('../models');
+const { auth } = require('../config/auth');
+const { signToken, verifyToken } = require('./tokenService');
+const { ROLE_PERMISSIONS } = require('../config/permissions');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Issue a short-lived access token and a longer-lived refresh token for an
+ * admin. Both carry the admin's mosque so requests can be scoped without
+ * a lookup, and the token version so logging out or a password change
+ * revokes every token issued before.
+ */
+function issueTokens(admin) {
+  const claims = { sub: admin.id, username: admin.username, role: admin.role, mosqueId: admin.mosqueId, version: admin.tokenVersion };
+
+  const token = signToken({ ...claims, type: 'access' }, auth.accessTokenTtl);
+  const refreshToken = signToken({ sub: admin.id, version: admin.tokenVersion, type: 'refresh' }, auth.refreshTokenTtl);
+
+  return { token, refreshToken, expiresIn: auth.accessTokenTtl };
+}
+
+/**
+ * Resolve a refresh token to its admin. Resolves to null if the token is
+ * invalid, expired or revoked.
+ */
+async function getAdminForRefreshToken(refreshToken) {
+  let payload;
+  try {
+    payload = verifyToken(refreshToken, 'refresh');
+  } catch {
+    return null;
+  }
+  const admin = await Admin.findByPk(payload.sub);
+  if (!admin || !admin.isActive || admin.tokenVersion !== payload.version) return null;
+  return admin;
+}
+
+/**
+ * Revoke every access and refresh token issued to an admin so far.
+ */
+async function revokeTokens(admin) {
+  await admin.increment('tokenVersion');
+}
+
+/**
+ * Create the first admin from ADMIN_USERNAME/ADMIN_PASSWORD if no admin
+ * exists yet. If admins exist but none is an active super admin (as after
+ * upgrading from before roles, when every admin became a viewer), the
+ * oldest active admin is promoted. Call once at startup after the database
+ * is synced.
+ */
+async function ensureDefaultAdmin() {
+  if (await Admin.count() > 0) {
+    if (await Admin.count({ where: { role: 'super_admin', isActive: true } }) > 0) return;
+
+    const admin = await Admin.findOne({ where: { isActive: true }, order: [['id', 'ASC']] });
+    if (admin) {
+      await admin.update({ role: 'super_admin' });
+      console.log(`No super admin found; promoted "${admin.username}" to super admin`);
+    }
+    return;
+  }
+
+  const username = process.env.ADMIN_USERNAME;
+  const password = process.env.ADMIN_PASSWORD;
+  if (!username || !password) {
+    console.warn('No admin account exists. Set ADMIN_USERNAME and ADMIN_PASSWORD to create one.');
+    return;
+  }
+
+  await Admin.create({ username, password: await bcrypt.hash(password, 10), role: 'super_admin' });
+  console.log(`Created admin account "${username}"`);
+}
+
+/**
+ * Admin as returned by the API: no secrets, plus the role's permissions so
+ * the panel can hide what the admin cannot do.
+ */
+function toAdminData(admin) {
+  const adminData = admin.toJSON();
+  delete adminData.password;
+  delete adminData.tokenVersion;
+  adminData.permissions = ROLE_PERMISSIONS[admin.role] || [];
+  return adminData;
+}
+
+/**
+ * Hash and store a new password, revoking existing refresh tokens.
+ */
+async function setPassword(admin, password, { mustChangePassword = false } = {}) {
+  await admin.update({
+    password: await bcrypt.hash(password, 10),
+    mustChangePassword,
+    tokenVersion: admin.tokenVersion + 1
+  });
+}
+
+module.exports = { MIN_PASSWORD_LENGTH, toAdminData, setPassword, issueTokens, getAdminForRefreshToken, revokeTokens, ensureDefaultAdmin };
@@ -0,0 +1,148 @@
+const { Op } = require('sequelize');
+const { Announcement, ScheduledAnnouncement, Mosque } = require('../models');
+const { push: pushConfig } = require('../config/push');
+const { mosqueRoom, getMosqueTimezone } = require('./mosqueService');
+const { sendPushToAll } = require('./pushService');
+const { devicePreferences, resolveMode } = require('./notificationPreferences');
+const { getTextRenderer } = require('./notificationTemplates');
+const { deleteCloudinaryFile, getFullUploadUrl } = require('../utils/cloudinaryHelper');
+const { getLocalNow } = require('../utils/timezone');
+
+// Android channel the app registers for announcements, apart from 'prayer-times'
+const ANNOUNCEMENT_CHANNEL_ID = 'announcements';
+
+// Longest text notice shown in a push; the app opens the full one
+const MAX_PUSH_BODY_LENGTH = 180;
+
+const MAX_BODY_LENGTH = 5000;
+
+// The live:announcement payload, also the shape apps get when catching up
+function toPayload(announcement) {
+  return {
+    id: announcement.id,
+    title: announcement.title,
+    body: announcement.body,
+    audioUrl: announcement.audioUrl,
+    imageUrl: announcement.imageUrl,
+    expiresAt: announcement.expiresAt ? announcement.expiresAt.toISOString() : null,
+    isPinned: announcement.isPinned,
+    timestamp: announcement.sentAt.toISOString(),
+  };
+}
+
+/**
+ * Record an announcement and emit it to the mosque's connected clients.
+ * Used for live broadcasts and by the scheduler. Resolves to the stored
+ * announcement, with the number of clients that were listening.
+ */
+async function broadcastAnnouncement(io, {
+  mosqueId, title, body = null, audioUrl = null, imageUrl = null, expiresAt = null, isPinned = false,
+  senderId = null, senderName = null, scheduledAnnouncementId = null
+}) {
+  const announcement = await Announcement.create({
+    mosqueId,
+    title,
+    body,
+    audioUrl,
+    imageUrl,
+    expiresAt,
+    isPinned,
+    senderId,
+    senderName,
+    scheduledAnnouncementId,
+    sentAt: new Date()
+  });
+
+  const room = mosqueRoom(mosqueId);
+  io.to(room).emit('live:announcement', toPayload(announcement));
+  await announcement.update({ recipients: io.sockets.adapter.rooms.get(room)?.size || 0 });
+  return announcement;
+}
+
+/**
+ * Send a visible push for an announcement to the mosque's devices, with the
+ * audio and image URLs for the app. A text notice is its own push body;
+ * otherwise the 'announcement' template gives it. Devices follow their
+ * 'announcement' preferences (`sourceId` is the scheduled announcement, if
+ * any), and the mosque's announcementSound switched off makes it silent for
+ * everyone. Resolves to the push result.
+ */
+async function pushAnnouncement(announcement, { triggerLogId = null, expiresAt = null, sourceId = null } = {}) {
+  const mosque = await Mosque.findByPk(announcement.mosqueId);
+  const occurrence = { source: 'announcement', sourceId, type: 'announcement' };
+  const renderText = await getTextRenderer(announcement.mosqueId, 'announcement', {
+    name: announcement.title,
+    time: getLocalNow(getMosqueTimezone(mosque)).time
+  });
+  const textFor = announcement.body
+    ? (device) => ({ title: renderText(device).title, body: truncate(announcement.body, MAX_PUSH_BODY_LENGTH) })
+    : renderText;
+  const { title, body } = textFor();
+
+  return sendPushToAll(title, body, {
+    type: 'announcement',
+    announcementId: announcement.id,
+    title: announcement.title,
+    audioUrl: getFullUploadUrl(announcement.audioUrl),
+    imageUrl: getFullUploadUrl(announcement.imageUrl),
+  }, {
+    mosqueId: announcement.mosqueId,
+    triggerLogId,
+    expiresAt: expiresAt || new Date(announcement.sentAt.getTime() + pushConfig.triggerTtlMs),
+    channelId: ANNOUNCEMENT_CHANNEL_ID,
+    textFor,
+    deliveryFor: (device) => {
+      const mode = resolveMode(devicePreferences(device), occurrence);
+      return mode === 'sound' && mosque && !mosque.announcementSound ? 'silent' : mode;
+    }
+  });
+}
+
+/**
+ * Whether a scheduled announcement is due on a local date/weekday.
+ */
+function isDueOn(scheduled, date, weekday) {
+  if (scheduled.status !== 'scheduled') return false;
+  if (scheduled.scheduleMode === 'once') return scheduled.startDate === date;
+
+  if (scheduled.startDate && date < scheduled.startDate) return false;
+  if (scheduled.endDate && date > scheduled.endDate) return false;
+  if (scheduled.scheduleMode === 'weekly') return (scheduled.weekdays || []).includes(weekday);
+  return scheduled.scheduleMode === 'daily';
+}
+
+/**
+ * Delete an uploaded audio or image file once no announcement uses it; a
+ * scheduled announcement and everything it sent share one file.
+ */
+async function deleteUploadIfUnused(url) {
+  if (!url) return;
+  const uses = await Announcement.count({ where: { [Op.or]: [{ audioUrl: url }, { imageUrl: url }] } })
+    + await ScheduledAnnouncement.count({ where: { [Op.or]: [{ audioUrl: url }, { imageUrl: url }] } });
+  if (uses === 0) await deleteCloudinaryFile(url);
+}
+
+/**
+ * Check what an announcement carries: a message, audio or both, and an
+ * image only alongside a message. Returns an error message or null.
+ */
+function validateContent({ body, audioUrl, imageUrl }) {
+  if (!body && !audioUrl) return 'A message or an audio file is required';
+  if (imageUrl && !body) return 'An image needs a message to go with it';
+  if (body && body.length > MAX_BODY_LENGTH) return `Message must be at most ${MAX_BODY_LENGTH} characters`;
+  return null;
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+module.exports = {
+  ANNOUNCEMENT_CHANNEL_ID,
+  toPayload,
+  validateContent,
+  broadcastAnnouncement,
+  pushAnnouncement,
+  isDueOn,
+  deleteUploadIfUnused
+};
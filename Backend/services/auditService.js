@@ -0,0 +1,59 @@
+const { AuditLog } = require('../models');
+
+// Never stored in the audit trail
+const HIDDEN_FIELDS = ['password', 'tokenVersion'];
+// Change on every write, so not worth recording
+const IGNORED_FIELDS = ['created_at', 'updated_at', 'createdAt', 'updatedAt'];
+
+const toPlain = (value) => (value && typeof value.toJSON === 'function' ? value.toJSON() : value);
+
+/**
+ * Field-by-field difference between two snapshots, as { field: { from, to } }.
+ * Either side may be null (create/delete).
+ */
+function diff(before, after) {
+  const a = toPlain(before) || {};
+  const b = toPlain(after) || {};
+  const changes = {};
+
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (IGNORED_FIELDS.includes(key)) continue;
+    // Skip included associations (e.g. voice, schedules)
+    if ((a[key] && typeof a[key] === 'object' && !Array.isArray(a[key]) && !(a[key] instanceof Date))
+      || (b[key] && typeof b[key] === 'object' && !Array.isArray(b[key]) && !(b[key] instanceof Date))) {
+      continue;
+    }
+    if (JSON.stringify(a[key]) === JSON.stringify(b[key])) continue;
+
+    changes[key] = HIDDEN_FIELDS.includes(key)
+      ? { from: '[hidden]', to: '[hidden]' }
+      : { from: a[key] === undefined ? null : a[key], to: b[key] === undefined ? null : b[key] };
+  }
+
+  return changes;
+}
+
+/**
+ * Record an administrative change made by the request's admin. Pass
+ * `before`/`after` snapshots (model instances or plain objects) to store a diff.
+ * Failures are logged, never thrown: auditing must not break the change itself.
+ */
+async function recordAudit(req, { action, entityType, entityId = null, before = null, after = null, mosqueId }) {
+  try {
+    const changes = before || after ? diff(before, after) : null;
+    await AuditLog.create({
+      mosqueId: mosqueId !== undefined ? mosqueId : (req.mosque ? req.mosque.id : null),
+      adminId: req.admin ? req.admin.id : null,
+      actor: req.admin ? req.admin.username : null,
+      action,
+      entityType,
+      entityId,
+      changes,
+      ip: req.ip
+    });
+  } catch (error) {
+    console.error(`[Audit] Failed to record ${action} ${entityType}:`, error);
+  }
+}
+
+module.exports = { diff, recordAudit };
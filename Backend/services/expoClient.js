@@ -0,0 +1,19 @@
+const { Expo } = require('expo-server-sdk');
+
+let client = null;
+
+/**
+ * The Expo push client. Tests and local setups can install a stub with the
+ * same methods (chunkPushNotifications, sendPushNotificationsAsync,
+ * chunkPushNotificationReceiptIds, getPushNotificationReceiptsAsync).
+ */
+function getExpoClient() {
+  if (!client) client = new Expo();
+  return client;
+}
+
+function setExpoClient(custom) {
+  client = custom;
+}
+
+module.exports = { getExpoClient, setExpoClient };
@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Admin, Announcement } = require('../models');
+const { hasPermission } = require('../config/permissions');
+const { cloudinary, isCloudinaryConfigured } = require('../config/cloudinary');
+const { verifyToken } = require('./tokenService');
+const { mosqueRoom } = require('./mosqueService');
+const { toPayload, pushAnnouncement } = require('./announcementService');
+const { recordAudit } = require('./auditService');
+const { getStore } = require('./rateLimitService');
+const { rateLimit: limits } = require('../config/rateLimit');
+const { deleteCloudinaryFile } = require('../utils/cloudinaryHelper');
+
+/**
+ * Live announcements streamed over Socket.IO. An admin's socket sends
+ * MediaRecorder chunks, which are relayed to the mosque's room as they
+ * arrive and written to a file; when the stream stops the file is kept as
+ * an announcement for replay and pushed to devices.
+ *
+ *   admin → server     live:start { title, mimeType }, live:chunk <binary>,
+ *                      live:stop (each with an ack callback)
+ *   server → listeners live:stream:start { sessionId, title, mimeType, startedAt },
+ *                      live:stream:chunk { sessionId, seq, data },
+ *                      live:stream:end { sessionId, announcement }
+ *
+ * Clients joining mid-stream get live:stream:start and the first chunk,
+ * which carries the container header, then the rest as it comes.
+ */
+const UPLOAD_DIR = 'uploads';
+const MAX_CHUNK_BYTES = 256 * 1024;
+const MAX_SESSION_BYTES = 50 * 1024 * 1024;
+
+// Recording format → file extension
+const EXTENSIONS = {
+  'audio/webm': '.webm',
+  'audio/ogg': '.ogg',
+  'audio/mp4': '.m4a',
+};
+
+// The live session of each mosque, by mosque id
+const sessions = new Map();
+
+// The admin behind a socket, if allowed to broadcast; throws otherwise
+async function authenticateBroadcaster(socket) {
+  const token = socket.handshake.auth?.token;
+  if (!token) throw new Error('Authentication required');
+
+  let payload;
+  try {
+    payload = verifyToken(token, 'access');
+  } catch (error) {
+    throw new Error(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+  }
+
+  const admin = await Admin.findByPk(payload.sub);
+  if (!admin || !admin.isActive || admin.tokenVersion !== payload.version) throw new Error('Invalid token');
+  if (admin.mustChangePassword) throw new Error('Password change required');
+  if (!hasPermission(admin.role, 'announcements:broadcast')) throw new Error('You do not have permission to do this');
+  if (admin.mosqueId && admin.mosqueId !== socket.data.mosqueId) throw new Error('Not allowed for this mosque');
+  return admin;
+}
+
+/**
+ * Count a live announcement against the admin's announcement limit, the
+ * same counter as POST /api/announcements uses. Throws once it is used up;
+ * like the HTTP limiter it lets the stream start if the store is unavailable.
+ */
+async function checkAnnouncementLimit(admin) {
+  let counter;
+  try {
+    counter = await getStore().hit(`announcement:${admin.id}`, limits.announcements.windowMs);
+  } catch (error) {
+    console.error('[RateLimit] announcement check failed:', error.message);
+    return;
+  }
+  if (counter.count > limits.announcements.max) {
+    throw new Error('Too many announcements, please wait before broadcasting again');
+  }
+}
+
+// Clients in the mosque's room, apart from the broadcaster
+function countListeners(io, session) {
+  const size = io.sockets.adapter.rooms.get(mosqueRoom(session.mosqueId))?.size || 0;
+  return Math.max(size - 1, 0);
+}
+
+function closeFile(file) {
+  return new Promise((resolve, reject) => {
+    file.once('error', reject);
+    file.end(resolve);
+  });
+}
+
+// Local path of the recording, or its Cloudinary URL when configured
+async function storeRecording(filePath) {
+  if (!isCloudinaryConfigured) return filePath;
+  const result = await cloudinary.uploader.upload(filePath, { resource_type: 'video', folder: 'azan-audio' });
+  await fs.promises.unlink(filePath);
+  return result.secure_url;
+}
+
+async function startSession(io, socket, { title, mimeType } = {}) {
+  const mosqueId = socket.data.mosqueId;
+  if (!mosqueId) throw new Error('No mosque is configured');
+  const admin = await authenticateBroadcaster(socket);
+
+  const format = typeof mimeType === 'string' ? mimeType.split(';')[0].trim() : '';
+  if (!EXTENSIONS[format]) {
+    throw new Error(`Recording format must be one of ${Object.keys(EXTENSIONS).join(', ')}`);
+  }
+  if (sessions.has(mosqueId)) throw new Error('Another live announcement is in progress');
+  await checkAnnouncementLimit(admin);
+  // Another stream may have started while the limit was checked
+  if (sessions.has(mosqueId)) throw new Error('Another live announcement is in progress');
+
+  const id = crypto.randomUUID();
+  const filePath = path.join(UPLOAD_DIR, `live-${Date.now()}${EXTENSIONS[format]}`);
+  const session = {
+    id,
+    mosqueId,
+    admin,
+    ip: socket.handshake.address,
+    socketId: socket.id,
+    title: (typeof title === 'string' && title.trim()) || 'Live Announcement',
+    mimeType,
+    startedAt: new Date(),
+    filePath,
+    file: fs.createWriteStream(filePath),
+    header: null,
+    seq: 0,
+    bytes: 0,
+    listeners: 0,
+  };
+  session.file.on('error', (error) => console.error(`[Live] Write error for ${filePath}:`, error));
+  sessions.set(mosqueId, session);
+
+  session.listeners = countListeners(io, session);
+  socket.to(mosqueRoom(mosqueId)).emit('live:stream:start', startPayload(session));
+  console.log(`[Live] ${admin.username} started "${session.title}" for mosque ${mosqueId}`);
+  return { sessionId: id, listeners: session.listeners };
+}
+
+function startPayload(session) {
+  return {
+    sessionId: session.id,
+    title: session.title,
+    mimeType: session.mimeType,
+    startedAt: session.startedAt.toISOString(),
+  };
+}
+
+function relayChunk(io, socket, data) {
+  const session = sessions.get(socket.data.mosqueId);
+  if (!session || session.socketId !== socket.id) throw new Error('No live announcement in progress');
+  if (!Buffer.isBuffer(data) || data.length === 0) throw new Error('Chunks must be binary audio data');
+  if (data.length > MAX_CHUNK_BYTES) throw new Error(`Chunks must be at most ${MAX_CHUNK_BYTES} bytes`);
+  if (session.bytes + data.length > MAX_SESSION_BYTES) throw new Error('Live announcement is too long');
+
+  if (!session.header) session.header = data;
+  session.file.write(data);
+  session.bytes += data.length;
+
+  const seq = session.seq++;
+  socket.to(mosqueRoom(session.mosqueId)).emit('live:stream:chunk', { sessionId: session.id, seq, data });
+  session.listeners = Math.max(session.listeners, countListeners(io, session));
+  return { seq };
+}
+
+/**
+ * End a session: save the recording as an announcement, tell listeners
+ * and push it to devices that were not listening. Resolves to the saved
+ * announcement's payload and push result, or nulls if nothing was sent.
+ * Listeners are told the stream ended even if saving fails, with no
+ * announcement; the recording is then discarded and the error rethrown.
+ */
+async function finishSession(io, session) {
+  sessions.delete(session.mosqueId);
+  const room = mosqueRoom(session.mosqueId);
+  const endStream = (payload) => io.to(room).emit('live:stream:end', { sessionId: session.id, announcement: payload });
+  const discardRecording = () => fs.promises.unlink(session.filePath).catch(() => {});
+
+  let audioUrl = null;
+  let announcement = null;
+  try {
+    await closeFile(session.file);
+    if (session.bytes > 0) {
+      audioUrl = await storeRecording(session.filePath);
+      announcement = await Announcement.create({
+        mosqueId: session.mosqueId,
+        title: session.title,
+        audioUrl,
+        senderId: session.admin.id,
+        senderName: session.admin.username,
+        sentAt: session.startedAt,
+        recipients: session.listeners
+      });
+    }
+  } catch (error) {
+    console.error(`[Live] Failed to save "${session.title}":`, error);
+    endStream(null);
+    await discardRecording();
+    await deleteCloudinaryFile(audioUrl).catch(() => {});
+    throw error;
+  }
+
+  if (!announcement) {
+    await discardRecording();
+    endStream(null);
+    return { announcement: null, push: null };
+  }
+
+  const payload = toPayload(announcement);
+  endStream(payload);
+  console.log(`[Live] Saved "${session.title}" as announcement ${announcement.id} (${session.bytes} bytes)`);
+
+  await recordAudit(
+    { admin: session.admin, mosque: { id: session.mosqueId }, ip: session.ip },
+    { action: 'broadcast', entityType: 'announcement', entityId: announcement.id, after: announcement }
+  );
+
+  let push = null;
+  try {
+    const { sent, failed, queued } = await pushAnnouncement(announcement);
+    push = { sent, failed, queued };
+  } catch (error) {
+    console.error('Live announcement push error:', error);
+  }
+  return { announcement: payload, push };
+}
+
+// Replies to a client event with its result, or { error } if it fails
+function handle(handler) {
+  return async (...args) => {
+    const ack = typeof args[args.length - 1] === 'function' ? args.pop() : () => {};
+    try {
+      ack(await handler(...args));
+    } catch (error) {
+      ack({ error: error.message });
+    }
+  };
+}
+
+/**
+ * Handle live streaming events on a connected socket. `socket.data.mosqueId`
+ * must be set to the mosque it joined.
+ */
+function registerLiveStream(io, socket) {
+  socket.on('live:start', handle((options) => startSession(io, socket, options)));
+  socket.on('live:chunk', handle((data) => relayChunk(io, socket, data)));
+  socket.on('live:stop', handle(() => {
+    const session = sessions.get(socket.data.mosqueId);
+    if (!session || session.socketId !== socket.id) throw new Error('No live announcement in progress');
+    return finishSession(io, session);
+  }));
+
+  // Keep what was streamed if the broadcaster drops
+  socket.on('disconnect', () => {
+    const session = sessions.get(socket.data.mosqueId);
+    if (session && session.socketId === socket.id) {
+      // Failures are logged by finishSession
+      finishSession(io, session).catch(() => {});
+    }
+  });
+
+  // Join a stream already in progress
+  const session = sessions.get(socket.data.mosqueId);
+  if (session && session.socketId !== socket.id) {
+    socket.emit('live:stream:start', startPayload(session));
+    if (session.header) socket.emit('live:stream:chunk', { sessionId: session.id, seq: 0, data: session.header });
+  }
+}
+
+module.exports = { registerLiveStream };
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { mail } = require('../config/mail');
+
+/**
+ * Transports deliver a message ({ from, to, subject, text }) and return a
+ * promise. MAIL_TRANSPORT picks one; tests can install their own with setTransport.
+ */
+const transports = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport(mail.smtp);
+    return { send: (message) => transporter.sendMail(message) };
+  },
+  // One JSON file per message, for development and tests
+  file: () => ({
+    send: async (message) => {
+      await fs.promises.mkdir(mail.fileDir, { recursive: true });
+      const file = path.join(mail.fileDir, `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`);
+      await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+    }
+  }),
+  console: () => ({
+    send: async (message) => {
+      console.log(`[Mail] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`);
+    }
+  }),
+};
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    if (!mail.transport) throw new Error('Mail is not configured (set MAIL_TRANSPORT)');
+    const factory = transports[mail.transport];
+    if (!factory) throw new Error(`Unknown mail transport: ${mail.transport}`);
+    transport = factory();
+  }
+  return transport;
+}
+
+function setTransport(custom) {
+  transport = custom;
+}
+
+async function sendMail({ to, subject, text }) {
+  await getTransport().send({ from: mail.from, to, subject, text });
+}
+
+module.exports = { sendMail, setTransport };
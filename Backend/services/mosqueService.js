@@ -0,0 +1,57 @@
+const { Op } = require('sequelize');
+const { Mosque, Event, Voice, Prayer, DeviceToken, TriggerLog } = require('../models');
+const { prayerCalculation, isLocationConfigured } = require('../config/prayerCalculation');
+const { getTimezone } = require('../utils/timezone');
+
+/**
+ * The mosque used when a request does not name one. Single-congregation
+ * installs only ever have this one.
+ */
+async function getDefaultMosque() {
+  return Mosque.findOne({ where: { isActive: true }, order: [['id', 'ASC']] });
+}
+
+/**
+ * Create the first mosque if none exists (from the LATITUDE/LONGITUDE/etc.
+ * env config) and assign rows created before multi-mosque support to it.
+ * Call once at startup after the database is synced.
+ */
+async function ensureDefaultMosque() {
+  let mosque = await getDefaultMosque();
+  if (!mosque) {
+    mosque = await Mosque.create({
+      name: process.env.MOSQUE_NAME || 'Main Mosque',
+      timezone: getTimezone(),
+      latitude: isLocationConfigured ? prayerCalculation.latitude : null,
+      longitude: isLocationConfigured ? prayerCalculation.longitude : null,
+      calculationMethod: prayerCalculation.method,
+      asrMethod: prayerCalculation.asrMethod,
+      highLatRule: prayerCalculation.highLatRule
+    });
+    console.log(`Created default mosque "${mosque.name}" (id=${mosque.id})`);
+  }
+
+  const unassigned = { where: { mosqueId: { [Op.is]: null } } };
+  for (const model of [Event, Voice, Prayer, DeviceToken, TriggerLog]) {
+    const [count] = await model.update({ mosqueId: mosque.id }, unassigned);
+    if (count > 0) console.log(`Assigned ${count} ${model.name} row(s) to default mosque`);
+  }
+
+  return mosque;
+}
+
+/**
+ * IANA timezone of a mosque, falling back to the server-wide setting.
+ */
+function getMosqueTimezone(mosque) {
+  return (mosque && mosque.timezone) || getTimezone();
+}
+
+/**
+ * Socket.IO room that a mosque's clients join.
+ */
+function mosqueRoom(mosqueId) {
+  return `mosque:${mosqueId}`;
+}
+
+module.exports = { getDefaultMosque, ensureDefaultMosque, getMosqueTimezone, mosqueRoom };
@@ -0,0 +1,131 @@
+/**
+ * Notification preferences, stored as JSON on User and on DeviceToken
+ * (null means nothing set). A device linked to a user inherits the user's
+ * preferences; what the device sets itself wins, key by key for `types`
+ * and `overrides`. Unset fields take the defaults:
+ *
+ *   enabled          false mutes everything
+ *   sound            false turns every notification silent
+ *   preAlertMinutes  also notify this many minutes before each trigger (0 = off)
+ *   types            mode per event type, e.g. { other: 'silent' }; legacy
+ *                    prayer rows have type 'prayer' and live or scheduled
+ *                    announcements 'announcement'
+ *   overrides        mode per trigger source, e.g. { 'event:12': 'off' };
+ *                    takes precedence over `types`
+ *
+ * A mode is 'sound', 'silent' (shown without sound) or 'off'.
+ */
+const { dataEvents } = require('../utils/dataEvents');
+
+const MODES = ['sound', 'silent', 'off'];
+const TYPES = ['azan', 'other', 'prayer', 'announcement'];
+const MAX_PRE_ALERT_MINUTES = 120;
+
+const DEFAULT_PREFERENCES = {
+  enabled: true,
+  sound: true,
+  preAlertMinutes: 0,
+  types: {},
+  overrides: {},
+};
+
+const OVERRIDE_KEY = /^(event|prayer|announcement):\d+$/;
+
+function withDefaults(preferences) {
+  return { ...DEFAULT_PREFERENCES, ...(preferences || {}) };
+}
+
+/**
+ * A device's own preferences layered over its user's, if it is linked to
+ * one and `device.user` is loaded with its preferences.
+ */
+function devicePreferences(device) {
+  const own = device.preferences || {};
+  const inherited = (device.user && device.user.preferences) || {};
+  return {
+    ...inherited,
+    ...own,
+    types: { ...inherited.types, ...own.types },
+    overrides: { ...inherited.overrides, ...own.overrides },
+  };
+}
+
+// Returns an error message if a (partial) preferences update is invalid
+function validatePreferences(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return 'Preferences must be an object';
+  }
+  const { enabled, sound, preAlertMinutes, types, overrides } = input;
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') return 'enabled must be true or false';
+  if (sound !== undefined && typeof sound !== 'boolean') return 'sound must be true or false';
+  if (preAlertMinutes !== undefined
+    && (!Number.isInteger(preAlertMinutes) || preAlertMinutes < 0 || preAlertMinutes > MAX_PRE_ALERT_MINUTES)) {
+    return `preAlertMinutes must be a whole number from 0 to ${MAX_PRE_ALERT_MINUTES}`;
+  }
+  if (types !== undefined) {
+    if (!types || typeof types !== 'object' || Array.isArray(types)) return 'types must be an object';
+    for (const [type, mode] of Object.entries(types)) {
+      if (!TYPES.includes(type)) return `Unknown type: ${type}`;
+      if (!MODES.includes(mode)) return `Mode must be one of ${MODES.join(', ')}`;
+    }
+  }
+  if (overrides !== undefined) {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) return 'overrides must be an object';
+    for (const [key, mode] of Object.entries(overrides)) {
+      if (!OVERRIDE_KEY.test(key)) return `Invalid override key: ${key} (e.g. event:12)`;
+      if (!MODES.includes(mode)) return `Mode must be one of ${MODES.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Apply a validated update. Top-level fields not in the update are kept
+ * (or left unset, to stay inherited); `types` and `overrides` are replaced
+ * as a whole when given.
+ */
+function mergePreferences(current, input) {
+  const merged = { ...(current || {}) };
+  for (const field of Object.keys(DEFAULT_PREFERENCES)) {
+    if (input[field] !== undefined) merged[field] = input[field];
+  }
+  return merged;
+}
+
+/**
+ * How a device should be notified of an occurrence: 'sound', 'silent' or 'off'.
+ */
+function resolveMode(preferences, { source, sourceId, type }) {
+  const prefs = withDefaults(preferences);
+  if (!prefs.enabled) return 'off';
+  const mode = prefs.overrides[`${source}:${sourceId}`] || prefs.types[type] || 'sound';
+  return mode === 'sound' && !prefs.sound ? 'silent' : mode;
+}
+
+/**
+ * The distinct pre-alert lead times, in minutes, used by a set of devices
+ * (loaded with their user's preferences).
+ */
+function preAlertLeads(devices) {
+  const leads = new Set();
+  for (const device of devices) {
+    const prefs = withDefaults(devicePreferences(device));
+    if (prefs.enabled && prefs.preAlertMinutes > 0) leads.add(prefs.preAlertMinutes);
+  }
+  return [...leads].sort((a, b) => a - b);
+}
+
+/**
+ * Have the scheduler re-plan the given mosques' pre-alerts, which are
+ * planned per lead time in use, after the lead times of their devices may
+ * have changed (a device registered, moved or linked to another user, or
+ * preferences changed).
+ */
+function replanPreAlerts(mosqueIds) {
+  for (const mosqueId of new Set(mosqueIds.filter(Boolean))) {
+    dataEvents.emit('data:updated', { type: 'preferences', mosqueId });
+  }
+}
+
+module.exports = { replanPreAlerts, DEFAULT_PREFERENCES, withDefaults, devicePreferences, validatePreferences, mergePreferences, resolveMode, preAlertLeads };
@@ -0,0 +1,129 @@
+const { NotificationTemplate } = require('../models');
+
+/**
+ * Notification wording per type and language. Each mosque may override the
+ * built-in text below with its own NotificationTemplate rows.
+ *
+ *   types         event types ('azan', 'other', 'prayer' for legacy prayer
+ *                 rows), 'pre_alert' and 'announcement'
+ *   placeholders  {name} of the event or announcement, {time} it is at, and
+ *                 {minutes} left (pre-alerts only)
+ *
+ * A device gets its own locale, else its user's, else English.
+ */
+const LOCALES = ['en', 'ar', 'ur', 'tr', 'ms'];
+const DEFAULT_LOCALE = 'en';
+const TEMPLATE_TYPES = ['azan', 'other', 'prayer', 'pre_alert', 'announcement'];
+const PLACEHOLDERS = ['name', 'time', 'minutes'];
+
+const MAX_TITLE_LENGTH = 255;
+const MAX_BODY_LENGTH = 500;
+
+const AZAN_TEMPLATES = {
+  en: { title: 'Azan - {name}', body: "It's time for {name}" },
+  ar: { title: 'الأذان - {name}', body: 'حان الآن موعد {name}' },
+  ur: { title: 'اذان - {name}', body: '{name} کا وقت ہو گیا ہے' },
+  tr: { title: 'Ezan - {name}', body: '{name} vakti geldi' },
+  ms: { title: 'Azan - {name}', body: 'Telah masuk waktu {name}' },
+};
+
+const DEFAULT_TEMPLATES = {
+  azan: AZAN_TEMPLATES,
+  prayer: AZAN_TEMPLATES,
+  other: {
+    en: { title: '{name}', body: "It's time for {name}" },
+    ar: { title: '{name}', body: 'حان الآن موعد {name}' },
+    ur: { title: '{name}', body: '{name} کا وقت ہو گیا ہے' },
+    tr: { title: '{name}', body: '{name} zamanı geldi' },
+    ms: { title: '{name}', body: 'Sudah tiba masa untuk {name}' },
+  },
+  pre_alert: {
+    en: { title: '{name} in {minutes} minutes', body: '{name} is at {time}' },
+    ar: { title: '{name} بعد {minutes} دقيقة', body: 'موعد {name} الساعة {time}' },
+    ur: { title: '{name} میں {minutes} منٹ باقی', body: '{name} کا وقت {time} ہے' },
+    tr: { title: '{name} için {minutes} dakika kaldı', body: '{name} saat {time}' },
+    ms: { title: '{name} dalam {minutes} minit', body: '{name} pada pukul {time}' },
+  },
+  announcement: {
+    en: { title: '{name}', body: 'New announcement, tap to listen' },
+    ar: { title: '{name}', body: 'إعلان جديد، اضغط للاستماع' },
+    ur: { title: '{name}', body: 'نیا اعلان، سننے کے لیے ٹیپ کریں' },
+    tr: { title: '{name}', body: 'Yeni duyuru, dinlemek için dokunun' },
+    ms: { title: '{name}', body: 'Pengumuman baharu, ketik untuk mendengar' },
+  },
+};
+
+// 'ar-SA' or 'ar_SA' → 'ar'; null if not a supported language
+function normalizeLocale(locale) {
+  if (!locale || typeof locale !== 'string') return null;
+  const language = locale.split(/[-_]/)[0].toLowerCase();
+  return LOCALES.includes(language) ? language : null;
+}
+
+function fill(text, vars) {
+  return text.replace(/\{(\w+)\}/g, (match, key) => (vars[key] !== undefined && vars[key] !== null ? String(vars[key]) : match));
+}
+
+// Returns an error message if a template's title or body is invalid
+function validateTemplate({ title, body } = {}) {
+  for (const [field, value, max] of [['title', title, MAX_TITLE_LENGTH], ['body', body, MAX_BODY_LENGTH]]) {
+    if (typeof value !== 'string' || !value.trim()) return `${field} is required`;
+    if (value.length > max) return `${field} must be at most ${max} characters`;
+    for (const [, key] of value.matchAll(/\{(\w+)\}/g)) {
+      if (!PLACEHOLDERS.includes(key)) {
+        return `Unknown placeholder {${key}} in ${field}; use ${PLACEHOLDERS.map(p => `{${p}}`).join(', ')}`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Every type and language for a mosque, with its own text where it has
+ * some (`custom: true`) and the built-in text otherwise.
+ */
+async function listTemplates(mosqueId) {
+  const rows = await NotificationTemplate.findAll({ where: { mosqueId } });
+  const custom = new Map(rows.map(row => [`${row.type}:${row.locale}`, row]));
+
+  const templates = [];
+  for (const type of TEMPLATE_TYPES) {
+    for (const locale of LOCALES) {
+      const row = custom.get(`${type}:${locale}`);
+      const { title, body } = row || DEFAULT_TEMPLATES[type][locale];
+      templates.push({ type, locale, title, body, custom: Boolean(row) });
+    }
+  }
+  return templates;
+}
+
+/**
+ * Load a mosque's wording for one type and resolve to a function giving the
+ * { title, body } for a device, filled with `vars`. Without a device it
+ * gives the default language.
+ */
+async function getTextRenderer(mosqueId, type, vars) {
+  const rows = await NotificationTemplate.findAll({ where: { mosqueId, type } });
+  const custom = new Map(rows.map(row => [row.locale, row]));
+
+  const texts = new Map();
+  return (device) => {
+    const locale = normalizeLocale(device?.locale) || normalizeLocale(device?.user?.locale) || DEFAULT_LOCALE;
+    if (!texts.has(locale)) {
+      const { title, body } = custom.get(locale) || DEFAULT_TEMPLATES[type][locale];
+      texts.set(locale, { title: fill(title, vars), body: fill(body, vars) });
+    }
+    return texts.get(locale);
+  };
+}
+
+module.exports = {
+  LOCALES,
+  TEMPLATE_TYPES,
+  PLACEHOLDERS,
+  DEFAULT_TEMPLATES,
+  normalizeLocale,
+  validateTemplate,
+  listTemplates,
+  getTextRenderer
+};
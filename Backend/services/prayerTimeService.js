@@ -0,0 +1,38 @@
+const { calculatePrayerTimes } = require('../utils/prayerTimes');
+const { getOffsetMinutesForDate } = require('../utils/timezone');
+const { getMosqueTimezone } = require('./mosqueService');
+
+// Calculated times keyed by location, method, date and UTC offset
+const cache = new Map();
+const MAX_CACHED_ENTRIES = 256;
+
+/**
+ * Get the calculated prayer times for a date ('YYYY-MM-DD') at a mosque's
+ * location. Returns null when the mosque has no location set.
+ */
+function getPrayerTimes(date, mosque) {
+  if (!mosque || mosque.latitude === null || mosque.longitude === null) return null;
+
+  const offsetMinutes = getOffsetMinutesForDate(date, getMosqueTimezone(mosque));
+  const options = {
+    latitude: mosque.latitude,
+    longitude: mosque.longitude,
+    method: mosque.calculationMethod,
+    asrMethod: mosque.asrMethod,
+    highLatRule: mosque.highLatRule,
+    offsetMinutes,
+  };
+
+  const cacheKey = `${date}|${JSON.stringify(options)}`;
+  if (cache.has(cacheKey)) return cache.get(cacheKey);
+
+  const times = calculatePrayerTimes(date, options);
+
+  if (cache.size >= MAX_CACHED_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(cacheKey, times);
+  return times;
+}
+
+module.exports = { getPrayerTimes };
@@ -0,0 +1,187 @@
+const { Op, QueryTypes } = require('sequelize');
+const { sequelize, DeviceToken, PushMessage, PushTicket, TriggerLog } = require('../models');
+const { push } = require('../config/push');
+const { getTransport } = require('./pushTransports');
+
+// How long a worker may hold claimed messages before another may retry them
+const CLAIM_MS = 60 * 1000;
+const BATCH_SIZE = 500;
+
+// Removes a token its push service reports as no longer registered (app uninstalled, etc.)
+async function pruneToken(token) {
+  console.log(`[Push] Removing unregistered token: ${token}`);
+  await DeviceToken.destroy({ where: { token } });
+}
+
+/**
+ * Store messages ({ device, message }) in the outbox, already claimed so
+ * the caller can make the first attempt right away with deliverMessages.
+ */
+async function enqueueMessages(messages, { triggerLogId = null, expiresAt = null } = {}) {
+  const now = Date.now();
+  return PushMessage.bulkCreate(messages.map(({ device, message }) => ({
+    provider: device.provider,
+    token: device.token,
+    keys: device.keys,
+    deviceTokenId: device.id,
+    triggerLogId,
+    message: expiresAt ? { ...message, expiration: Math.floor(expiresAt.getTime() / 1000) } : message,
+    status: 'sending',
+    attempts: 1,
+    nextAttemptAt: new Date(now),
+    lockedUntil: new Date(now + CLAIM_MS),
+    expiresAt
+  })));
+}
+
+/**
+ * Claim messages due for a retry, plus any a crashed worker left claimed.
+ */
+async function claimDueMessages() {
+  const now = new Date();
+  return sequelize.query(
+    `UPDATE push_outbox SET status = 'sending', attempts = attempts + 1, locked_until = :lockedUntil, updated_at = :now
+     WHERE id IN (
+       SELECT id FROM push_outbox
+       WHERE (status = 'queued' AND next_attempt_at <= :now) OR (status = 'sending' AND locked_until < :now)
+       ORDER BY next_attempt_at
+       LIMIT :limit
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    {
+      replacements: { now, lockedUntil: new Date(now.getTime() + CLAIM_MS), limit: BATCH_SIZE },
+      type: QueryTypes.SELECT,
+      model: PushMessage,
+      mapToModel: true
+    }
+  );
+}
+
+function backoffMs(attempts) {
+  return Math.min(push.retryBaseMs * 2 ** (attempts - 1), push.retryMaxMs);
+}
+
+/**
+ * Try to send claimed messages once, each through its device's transport.
+ * Sent messages get a PushTicket, pending for the receipt poller when the
+ * transport has receipts; transient failures are queued again with backoff until
+ * they run out of attempts or expire. Retries (`initial: false`) also update
+ * their trigger's push counts, which the first attempt leaves to the caller.
+ * Resolves to { sent, failed, queued, errors } for this attempt.
+ */
+async function deliverMessages(rows, { initial = true } = {}) {
+  const result = { sent: 0, failed: 0, queued: 0, errors: [] };
+  const now = Date.now();
+
+  const dueByProvider = new Map();
+  for (const row of rows) {
+    if (row.expiresAt && row.expiresAt.getTime() <= now) {
+      await row.update({ status: 'expired', lockedUntil: null });
+      if (!initial) await countOutcome(row, 'failed');
+      result.failed++;
+      continue;
+    }
+    if (!dueByProvider.has(row.provider)) dueByProvider.set(row.provider, []);
+    dueByProvider.get(row.provider).push(row);
+  }
+
+  for (const [provider, due] of dueByProvider) {
+    const transport = getTransport(provider);
+    let outcomes;
+    if (!transport || !transport.isConfigured()) {
+      const message = `Push transport not configured: ${provider}`;
+      outcomes = due.map(() => ({ status: 'error', error: 'TransportNotConfigured', message, retryable: false }));
+    } else {
+      outcomes = await transport.send(due.map(row => ({ token: row.token, keys: row.keys, message: row.message })));
+    }
+
+    const ticketRows = [];
+    for (let i = 0; i < due.length; i++) {
+      const row = due[i];
+      const outcome = outcomes[i];
+
+      if (outcome.status === 'ok') {
+        await row.update({ status: 'sent', sentAt: new Date(), lockedUntil: null, lastError: null });
+        // Transports without receipts have confirmed delivery to the push service already
+        ticketRows.push(transport.hasReceipts
+          ? { ticketId: outcome.ticketId, token: row.token, deviceTokenId: row.deviceTokenId, triggerLogId: row.triggerLogId }
+          : { token: row.token, deviceTokenId: row.deviceTokenId, triggerLogId: row.triggerLogId, status: 'delivered', checkedAt: new Date() });
+        if (!initial) await countOutcome(row, 'sent');
+        result.sent++;
+        continue;
+      }
+
+      result.errors.push(outcome.message);
+      if (outcome.retryable && await retryLater(row, outcome.message) === 'queued') {
+        result.queued++;
+        continue;
+      }
+
+      // retryLater has already given up on it if it was out of attempts or time
+      if (row.status === 'sending') {
+        await row.update({ status: 'failed', lockedUntil: null, lastError: outcome.message });
+      }
+      if (!initial) await countOutcome(row, 'failed');
+      result.failed++;
+      const notRegistered = outcome.error === 'DeviceNotRegistered';
+      if (notRegistered) await pruneToken(row.token);
+      ticketRows.push({
+        token: row.token,
+        deviceTokenId: notRegistered ? null : row.deviceTokenId,
+        triggerLogId: row.triggerLogId,
+        status: 'failed',
+        error: outcome.error,
+        message: outcome.message,
+        checkedAt: new Date()
+      });
+    }
+
+    try {
+      await PushTicket.bulkCreate(ticketRows);
+    } catch (error) {
+      console.error('Error recording push tickets:', error);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Queue a message for another attempt, or give up when it is out of
+ * attempts or the next attempt would be too late. Resolves to the new status.
+ */
+async function retryLater(row, error) {
+  const nextAttemptAt = new Date(Date.now() + backoffMs(row.attempts));
+  let status = 'queued';
+  if (row.attempts >= push.maxAttempts) status = 'failed';
+  else if (row.expiresAt && nextAttemptAt >= row.expiresAt) status = 'expired';
+
+  await row.update({ status, nextAttemptAt, lockedUntil: null, lastError: error });
+  return status;
+}
+
+async function countOutcome(row, outcome) {
+  if (!row.triggerLogId) return;
+  await TriggerLog.increment(outcome === 'sent' ? 'pushSent' : 'pushFailed', { where: { id: row.triggerLogId } });
+}
+
+/**
+ * Send everything due in the outbox. Resolves to the combined result.
+ */
+async function processOutbox() {
+  const rows = await claimDueMessages();
+  if (rows.length === 0) return { sent: 0, failed: 0, queued: 0, errors: [] };
+  return deliverMessages(rows, { initial: false });
+}
+
+async function purgeOldMessages() {
+  await PushMessage.destroy({
+    where: {
+      status: ['sent', 'failed', 'expired'],
+      created_at: { [Op.lt]: new Date(Date.now() - push.retentionMs) }
+    }
+  });
+}
+
+module.exports = { pruneToken, enqueueMessages, deliverMessages, processOutbox, purgeOldMessages };
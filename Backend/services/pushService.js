@@ -1,92 +1,178 @@
-const { Expo } = require('expo-server-sdk');
-const { DeviceToken } = require('../models');
+const { Op } = require('sequelize');
+const { DeviceToken, PushTicket, User } = require('../models');
+const { push } = require('../config/push');
+const { getExpoClient } = require('./expoClient');
+const { pruneToken, enqueueMessages, deliverMessages } = require('./pushOutbox');
+const { getTransport } = require('./pushTransports');
 
-const expo = new Expo();
+// Android channel the app registers without sound, for silent deliveries
+const SILENT_CHANNEL_ID = 'silent';
+
+// Expo has most receipts ready within 15 minutes and keeps them for a day
+const RECEIPT_DELAY_MS = 15 * 60 * 1000;
+const RECEIPT_TTL_MS = 24 * 60 * 60 * 1000;
+const RECEIPT_BATCH_SIZE = 1000;
+
+/**
+ * Put messages in the outbox and make the first attempt now; whatever fails
+ * transiently is retried by the push worker until `expiresAt`.
+ */
+async function sendMessages(messages, { triggerLogId = null, expiresAt = null, result }) {
+  const rows = await enqueueMessages(messages, { triggerLogId, expiresAt });
+  const attempt = await deliverMessages(rows);
+  result.sent += attempt.sent;
+  result.failed += attempt.failed;
+  result.queued += attempt.queued;
+  result.errors.push(...attempt.errors);
+  return result;
+}
+
+// Whether the device's transport is set up and its token looks usable
+function canReach(device) {
+  const transport = getTransport(device.provider);
+  return Boolean(transport && transport.isConfigured() && transport.isValidToken(device.token, device.keys));
+}
+
+function deviceWhere({ mosqueId, userId }) {
+  const where = {};
+  if (mosqueId) where.mosqueId = mosqueId;
+  if (userId) where.userId = userId;
+  return where;
+}
 
 /**
- * Send a visible push notification to all registered devices.
+ * Send a visible push notification to all registered devices, or only
+ * those of one mosque (`mosqueId`) and/or one user (`userId`).
  * Used for azan triggers — shows notification with sound.
+ * `deliveryFor(device)` may return 'sound', 'silent' or 'off' per device to
+ * honour its preferences; by default every device gets sound.
+ * `textFor(device)` may return the { title, body } for each device, e.g. in
+ * its language; devices come with their user's locale and preferences.
+ * Pass `triggerLogId` to tie the messages to a trigger for delivery tracking,
+ * and `expiresAt` for when the push is too late to matter.
+ * Resolves to { sent, failed, queued, errors } for the first attempt;
+ * queued messages are retried in the background.
  */
-async function sendPushToAll(title, body, data = {}, channelId = 'prayer-times') {
-  const devices = await DeviceToken.findAll();
-  if (devices.length === 0) return;
+async function sendPushToAll(title, body, data = {}, { mosqueId, userId, triggerLogId = null, expiresAt = null, channelId = 'prayer-times', deliveryFor = () => 'sound', textFor = () => ({ title, body }) } = {}) {
+  const result = { sent: 0, failed: 0, queued: 0, errors: [] };
+  const devices = await DeviceToken.findAll({
+    where: deviceWhere({ mosqueId, userId }),
+    include: [{ model: User, as: 'user', attributes: ['id', 'locale', 'preferences'] }]
+  });
+  if (devices.length === 0) return result;
 
   const messages = [];
   for (const device of devices) {
-    if (!Expo.isExpoPushToken(device.token)) {
-      console.warn(`Invalid Expo push token: ${device.token}`);
+    if (!canReach(device)) {
+      console.warn(`Cannot push to ${device.provider} token: ${device.token}`);
+      result.failed++;
       continue;
     }
 
-    messages.push({
-      to: device.token,
-      sound: 'default',
-      title,
-      body,
-      data,
-      priority: 'high',
-      channelId,
-    });
+    const delivery = deliveryFor(device);
+    if (delivery === 'off') continue;
+
+    const message = { ...textFor(device), data, priority: 'high', channelId };
+    if (delivery === 'silent') {
+      message.data = { ...data, silent: true };
+      message.channelId = SILENT_CHANNEL_ID;
+    } else {
+      message.sound = 'default';
+    }
+    messages.push({ device, message });
   }
 
-  if (messages.length === 0) return;
+  if (messages.length === 0) return result;
 
   console.log(`[Push] Sending to ${messages.length} device(s)`);
-
-  const chunks = expo.chunkPushNotifications(messages);
-  for (const chunk of chunks) {
-    try {
-      const receipts = await expo.sendPushNotificationsAsync(chunk);
-      // Clean up invalid tokens
-      for (let i = 0; i < receipts.length; i++) {
-        if (receipts[i].status === 'error' && receipts[i].details?.error === 'DeviceNotRegistered') {
-          const badToken = chunk[i].to;
-          console.log(`Removing invalid token: ${badToken}`);
-          await DeviceToken.destroy({ where: { token: badToken } });
-        }
-      }
-    } catch (error) {
-      console.error('Error sending push chunk:', error);
-    }
-  }
+  return sendMessages(messages, { triggerLogId, expiresAt, result });
 }
 
 /**
- * Send a silent/data-only push to all registered devices.
+ * Send a silent/data-only push to all registered devices (or one mosque's or user's).
  * Used for admin data changes — wakes app to re-fetch data.
  */
-async function sendSilentPushToAll(data = {}) {
-  const devices = await DeviceToken.findAll();
+async function sendSilentPushToAll(data = {}, { mosqueId, userId } = {}) {
+  const devices = await DeviceToken.findAll({ where: deviceWhere({ mosqueId, userId }) });
   if (devices.length === 0) return;
 
   const messages = [];
   for (const device of devices) {
-    if (!Expo.isExpoPushToken(device.token)) continue;
+    if (!canReach(device)) continue;
 
     messages.push({
-      to: device.token,
-      data,
-      priority: 'high',
-      _contentAvailable: true,
+      device,
+      message: { data, priority: 'high', contentAvailable: true }
     });
   }
 
   if (messages.length === 0) return;
 
-  const chunks = expo.chunkPushNotifications(messages);
-  for (const chunk of chunks) {
+  await sendMessages(messages, {
+    expiresAt: new Date(Date.now() + push.dataTtlMs),
+    result: { sent: 0, failed: 0, queued: 0, errors: [] }
+  });
+}
+
+/**
+ * Fetch receipts for pending tickets old enough to have one, record each
+ * outcome and prune tokens of devices that are no longer registered.
+ * Tickets whose receipt is not ready stay pending until Expo drops it.
+ * Resolves to { delivered, failed, pruned, expired }.
+ */
+async function checkPushReceipts() {
+  const now = Date.now();
+  const summary = { delivered: 0, failed: 0, pruned: 0, expired: 0 };
+
+  [summary.expired] = await PushTicket.update(
+    { status: 'expired', checkedAt: new Date() },
+    { where: { status: 'pending', created_at: { [Op.lt]: new Date(now - RECEIPT_TTL_MS) } } }
+  );
+  await PushTicket.destroy({ where: { created_at: { [Op.lt]: new Date(now - push.retentionMs) } } });
+
+  const tickets = await PushTicket.findAll({
+    where: { status: 'pending', ticketId: { [Op.ne]: null }, created_at: { [Op.lte]: new Date(now - RECEIPT_DELAY_MS) } },
+    order: [['created_at', 'ASC']],
+    limit: RECEIPT_BATCH_SIZE
+  });
+  if (tickets.length === 0) return summary;
+
+  const expo = getExpoClient();
+  const ticketsById = new Map(tickets.map(t => [t.ticketId, t]));
+  for (const chunk of expo.chunkPushNotificationReceiptIds([...ticketsById.keys()])) {
+    let receipts;
     try {
-      const receipts = await expo.sendPushNotificationsAsync(chunk);
-      for (let i = 0; i < receipts.length; i++) {
-        if (receipts[i].status === 'error' && receipts[i].details?.error === 'DeviceNotRegistered') {
-          const badToken = chunk[i].to;
-          await DeviceToken.destroy({ where: { token: badToken } });
-        }
-      }
+      receipts = await expo.getPushNotificationReceiptsAsync(chunk);
     } catch (error) {
-      console.error('Error sending silent push chunk:', error);
+      console.error('Error fetching push receipts:', error);
+      continue;
+    }
+
+    const delivered = [];
+    for (const [ticketId, receipt] of Object.entries(receipts)) {
+      const ticket = ticketsById.get(ticketId);
+      if (!ticket) continue;
+      if (receipt.status === 'ok') {
+        delivered.push(ticket.id);
+        continue;
+      }
+
+      const error = receipt.details?.error || null;
+      await ticket.update({ status: 'failed', error, message: receipt.message, checkedAt: new Date() });
+      summary.failed++;
+      if (error === 'DeviceNotRegistered') {
+        await pruneToken(ticket.token);
+        summary.pruned++;
+      }
+    }
+
+    if (delivered.length > 0) {
+      await PushTicket.update({ status: 'delivered', checkedAt: new Date() }, { where: { id: delivered } });
+      summary.delivered += delivered.length;
     }
   }
+
+  return summary;
 }
 
-module.exports = { sendPushToAll, sendSilentPushToAll };
+module.exports = { pruneToken, sendPushToAll, sendSilentPushToAll, checkPushReceipts };
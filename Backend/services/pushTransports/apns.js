@@ -0,0 +1,139 @@
+const http2 = require('http2');
+const jwt = require('jsonwebtoken');
+const { transports } = require('../../config/push');
+const { sendEach } = require('./batch');
+
+const PRODUCTION_HOST = 'https://api.push.apple.com';
+const SANDBOX_HOST = 'https://api.sandbox.push.apple.com';
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Apple rejects provider tokens older than an hour and refreshed more often than every 20 minutes
+const PROVIDER_TOKEN_TTL_MS = 40 * 60 * 1000;
+
+// APNs reasons mapped to the codes the outbox acts on
+const ERROR_CODES = {
+  Unregistered: 'DeviceNotRegistered',
+  TooManyRequests: 'MessageRateExceeded',
+};
+const RETRYABLE_ERRORS = ['TooManyRequests', 'ExpiredProviderToken', 'InternalServerError', 'ServiceUnavailable', 'Shutdown'];
+
+let providerToken = null;
+let session = null;
+
+function getProviderToken() {
+  if (providerToken && providerToken.expiresAt > Date.now()) return providerToken.value;
+
+  const { keyId, teamId, privateKey } = transports.apns;
+  const value = jwt.sign({}, privateKey, { algorithm: 'ES256', issuer: teamId, keyid: keyId });
+  providerToken = { value, expiresAt: Date.now() + PROVIDER_TOKEN_TTL_MS };
+  return value;
+}
+
+// One HTTP/2 connection is shared by all requests and reopened when it drops
+function getSession() {
+  if (session && !session.closed && !session.destroyed) return session;
+
+  session = http2.connect(transports.apns.production ? PRODUCTION_HOST : SANDBOX_HOST);
+  session.on('error', (error) => console.error('[APNs] Connection error:', error.message));
+  session.on('close', () => { session = null; });
+  // Do not keep the process alive just for an idle connection
+  session.unref();
+  return session;
+}
+
+function toApnsRequest({ token, message }) {
+  const { title, body, data, sound, contentAvailable, expiration } = message;
+  const headers = {
+    ':method': 'POST',
+    ':path': `/3/device/${token}`,
+    authorization: `bearer ${getProviderToken()}`,
+    'apns-topic': transports.apns.bundleId,
+    'content-type': 'application/json'
+  };
+
+  const aps = {};
+  if (title || body) {
+    aps.alert = { title, body };
+    if (sound) aps.sound = sound;
+    headers['apns-push-type'] = 'alert';
+    headers['apns-priority'] = '10';
+  } else if (contentAvailable) {
+    aps['content-available'] = 1;
+    headers['apns-push-type'] = 'background';
+    headers['apns-priority'] = '5';
+  }
+
+  // Apple drops the message once this passes instead of delivering it late
+  if (expiration) headers['apns-expiration'] = String(expiration);
+
+  return { headers, payload: JSON.stringify({ ...data, aps }) };
+}
+
+function sendOne(target) {
+  return new Promise((resolve) => {
+    let request;
+    try {
+      const { headers, payload } = toApnsRequest(target);
+      request = getSession().request(headers);
+      request.end(payload);
+    } catch (error) {
+      resolve({ status: 'error', error: null, message: error.message, retryable: true });
+      return;
+    }
+
+    let statusCode = null;
+    let responseBody = '';
+    request.setEncoding('utf8');
+    request.setTimeout(REQUEST_TIMEOUT_MS, () => request.close(http2.constants.NGHTTP2_CANCEL));
+    request.on('response', (headers) => { statusCode = headers[':status']; });
+    request.on('data', (chunk) => { responseBody += chunk; });
+    request.on('error', (error) => resolve({ status: 'error', error: null, message: error.message, retryable: true }));
+    request.on('close', () => {
+      if (statusCode === 200) {
+        resolve({ status: 'ok', ticketId: null });
+        return;
+      }
+      if (statusCode === null) {
+        resolve({ status: 'error', error: null, message: 'APNs request was cancelled', retryable: true });
+        return;
+      }
+
+      let reason = null;
+      try {
+        reason = JSON.parse(responseBody).reason || null;
+      } catch {
+        // Body is empty on some server errors
+      }
+      if (reason === 'ExpiredProviderToken') providerToken = null;
+      resolve({
+        status: 'error',
+        error: ERROR_CODES[reason] || reason,
+        message: reason || `APNs responded ${statusCode}`,
+        retryable: statusCode >= 500 || RETRYABLE_ERRORS.includes(reason)
+      });
+    });
+  });
+}
+
+/**
+ * Apple Push Notification service, for iOS apps using native device tokens.
+ * APNs accepts or rejects each message when it is sent.
+ */
+const apnsTransport = {
+  name: 'apns',
+  hasReceipts: false,
+
+  isConfigured() {
+    const { keyId, teamId, privateKey, bundleId } = transports.apns;
+    return Boolean(keyId && teamId && privateKey && bundleId);
+  },
+
+  isValidToken(token) {
+    return typeof token === 'string' && /^[0-9a-fA-F]{64,200}$/.test(token);
+  },
+
+  send(targets) {
+    return sendEach(targets, sendOne);
+  },
+};
+
+module.exports = apnsTransport;
@@ -0,0 +1,22 @@
+// Requests sent at once by transports that take one message per request
+const CONCURRENCY = 50;
+
+/**
+ * Run `sendOne(target)` for every target, a batch at a time, resolving to
+ * the results in target order.
+ */
+async function sendEach(targets, sendOne) {
+  const results = [];
+  for (let i = 0; i < targets.length; i += CONCURRENCY) {
+    results.push(...await Promise.all(targets.slice(i, i + CONCURRENCY).map(sendOne)));
+  }
+  return results;
+}
+
+// Seconds left until a message's expiration (epoch seconds), if it has one
+function secondsLeft(expiration) {
+  if (!expiration) return null;
+  return Math.max(expiration - Math.floor(Date.now() / 1000), 0);
+}
+
+module.exports = { sendEach, secondsLeft };
@@ -0,0 +1,66 @@
+const { Expo } = require('expo-server-sdk');
+const { getExpoClient } = require('../expoClient');
+
+// Ticket errors worth retrying; anything else will fail again
+const RETRYABLE_ERRORS = ['MessageRateExceeded'];
+
+function toExpoMessage({ token, message }) {
+  const { contentAvailable, ...rest } = message;
+  const expoMessage = { ...rest, to: token };
+  if (contentAvailable) expoMessage._contentAvailable = true;
+  return expoMessage;
+}
+
+/**
+ * Expo push service. Its tickets are confirmed later through receipts,
+ * which the receipt poller fetches with the same client.
+ */
+const expoTransport = {
+  name: 'expo',
+  hasReceipts: true,
+
+  isConfigured() {
+    return true;
+  },
+
+  isValidToken(token) {
+    return Expo.isExpoPushToken(token);
+  },
+
+  async send(targets) {
+    const expo = getExpoClient();
+    const results = new Array(targets.length);
+    const indexByMessage = new Map();
+    const messages = targets.map((target, i) => {
+      const message = toExpoMessage(target);
+      indexByMessage.set(message, i);
+      return message;
+    });
+
+    for (const chunk of expo.chunkPushNotifications(messages)) {
+      let tickets;
+      try {
+        tickets = await expo.sendPushNotificationsAsync(chunk);
+      } catch (error) {
+        for (const message of chunk) {
+          results[indexByMessage.get(message)] = { status: 'error', error: null, message: error.message, retryable: true };
+        }
+        continue;
+      }
+
+      tickets.forEach((ticket, i) => {
+        const index = indexByMessage.get(chunk[i]);
+        if (ticket.status !== 'error') {
+          results[index] = { status: 'ok', ticketId: ticket.id };
+          return;
+        }
+        const code = ticket.details?.error || null;
+        results[index] = { status: 'error', error: code, message: ticket.message, retryable: RETRYABLE_ERRORS.includes(code) };
+      });
+    }
+
+    return results;
+  },
+};
+
+module.exports = expoTransport;
@@ -0,0 +1,138 @@
+const jwt = require('jsonwebtoken');
+const { transports } = require('../../config/push');
+const { sendEach, secondsLeft } = require('./batch');
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// FCM error codes mapped to the ones the outbox acts on
+const ERROR_CODES = {
+  UNREGISTERED: 'DeviceNotRegistered',
+  QUOTA_EXCEEDED: 'MessageRateExceeded',
+};
+const RETRYABLE_ERRORS = ['QUOTA_EXCEEDED', 'UNAVAILABLE', 'INTERNAL'];
+
+let accessToken = null;
+
+// OAuth access token for the service account, reused until shortly before it expires
+async function getAccessToken() {
+  if (accessToken && accessToken.expiresAt > Date.now() + 60 * 1000) return accessToken.value;
+
+  const { clientEmail, privateKey } = transports.fcm;
+  const assertion = jwt.sign({ scope: SCOPE }, privateKey, {
+    algorithm: 'RS256',
+    issuer: clientEmail,
+    audience: TOKEN_URL,
+    expiresIn: '1h'
+  });
+  const response = await fetch(TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer', assertion }),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`FCM auth failed: ${body.error_description || body.error || response.status}`);
+  }
+
+  accessToken = { value: body.access_token, expiresAt: Date.now() + body.expires_in * 1000 };
+  return accessToken.value;
+}
+
+// FCM data values must be strings
+function stringifyValues(data = {}) {
+  const result = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined || value === null) continue;
+    result[key] = typeof value === 'string' ? value : JSON.stringify(value);
+  }
+  return result;
+}
+
+function toFcmMessage({ token, message }) {
+  const { title, body, data, sound, channelId, contentAvailable, expiration } = message;
+  const fcmMessage = {
+    token,
+    data: stringifyValues(data),
+    android: { priority: 'HIGH' }
+  };
+
+  const ttl = secondsLeft(expiration);
+  if (ttl !== null) fcmMessage.android.ttl = `${ttl}s`;
+
+  if (title || body) {
+    fcmMessage.notification = { title, body };
+    fcmMessage.android.notification = { channel_id: channelId };
+    if (sound) {
+      fcmMessage.android.notification.sound = sound;
+      fcmMessage.apns = { payload: { aps: { sound } } };
+    }
+  } else if (contentAvailable) {
+    fcmMessage.apns = {
+      headers: { 'apns-push-type': 'background', 'apns-priority': '5' },
+      payload: { aps: { 'content-available': 1 } }
+    };
+  }
+
+  return fcmMessage;
+}
+
+function errorCodeOf(body) {
+  const fcmError = (body.error?.details || []).find(d => d['@type']?.endsWith('FcmError'));
+  return fcmError?.errorCode || body.error?.status || null;
+}
+
+async function sendOne(target) {
+  try {
+    const response = await fetch(`https://fcm.googleapis.com/v1/projects/${transports.fcm.projectId}/messages:send`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${await getAccessToken()}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ message: toFcmMessage(target) }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    const body = await response.json().catch(() => ({}));
+    if (response.ok) return { status: 'ok', ticketId: null };
+
+    // A rejected access token is fetched again on the next attempt
+    if (response.status === 401) accessToken = null;
+
+    const code = errorCodeOf(body);
+    return {
+      status: 'error',
+      error: ERROR_CODES[code] || code,
+      message: body.error?.message || `FCM responded ${response.status}`,
+      retryable: response.status === 401 || response.status >= 500 || RETRYABLE_ERRORS.includes(code)
+    };
+  } catch (error) {
+    return { status: 'error', error: null, message: error.message, retryable: true };
+  }
+}
+
+/**
+ * Firebase Cloud Messaging HTTP v1, for Android (and iOS) apps using FCM
+ * tokens directly. FCM accepts or rejects each message when it is sent.
+ */
+const fcmTransport = {
+  name: 'fcm',
+  hasReceipts: false,
+
+  isConfigured() {
+    const { projectId, clientEmail, privateKey } = transports.fcm;
+    return Boolean(projectId && clientEmail && privateKey);
+  },
+
+  isValidToken(token) {
+    return typeof token === 'string' && token.length > 0;
+  },
+
+  send(targets) {
+    return sendEach(targets, sendOne);
+  },
+};
+
+module.exports = fcmTransport;
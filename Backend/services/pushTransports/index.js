@@ -0,0 +1,30 @@
+const expo = require('./expo');
+const fcm = require('./fcm');
+const apns = require('./apns');
+const webpush = require('./webpush');
+
+/**
+ * Push transports by device provider. A transport has
+ *   isConfigured(), isValidToken(token, keys),
+ *   send(targets) — targets are { token, keys, message } with a
+ *     provider-neutral message (title, body, data, sound, channelId,
+ *     priority, contentAvailable, expiration); resolves to one result per
+ *     target, { status: 'ok', ticketId } or
+ *     { status: 'error', error, message, retryable }, never rejecting.
+ *     An `error` of 'DeviceNotRegistered' means the token is dead.
+ *   hasReceipts — whether ticket ids are confirmed later by the receipt poller.
+ * Tests and local setups can replace one with setTransport.
+ */
+const registry = { expo, fcm, apns, webpush };
+
+const PROVIDERS = Object.keys(registry);
+
+function getTransport(provider) {
+  return registry[provider] || null;
+}
+
+function setTransport(provider, transport) {
+  registry[provider] = transport;
+}
+
+module.exports = { PROVIDERS, getTransport, setTransport };
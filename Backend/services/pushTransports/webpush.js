@@ -0,0 +1,85 @@
+const webpush = require('web-push');
+const { transports } = require('../../config/push');
+const { sendEach, secondsLeft } = require('./batch');
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Push services keep undeliverable messages this long when no expiration is given
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+// Hosts of the browsers' push services (Chrome, Firefox, Edge, Safari). Any
+// other endpoint is refused: the server would POST to it on every trigger
+const PUSH_SERVICE_HOSTS = ['fcm.googleapis.com', 'updates.push.services.mozilla.com', 'web.push.apple.com'];
+const PUSH_SERVICE_HOST_SUFFIXES = ['.notify.windows.com'];
+
+function isPushServiceEndpoint(endpoint) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    return false;
+  }
+  if (url.protocol !== 'https:' || url.port || url.username || url.password) return false;
+  return PUSH_SERVICE_HOSTS.includes(url.hostname)
+    || PUSH_SERVICE_HOST_SUFFIXES.some(suffix => url.hostname.endsWith(suffix));
+}
+
+// The service worker decides how to show the payload
+function toPayload({ title, body, data, sound }) {
+  return JSON.stringify({ title, body, data, silent: !sound });
+}
+
+async function sendOne({ token, keys, message }) {
+  // Subscriptions stored before endpoints were checked
+  if (!isPushServiceEndpoint(token)) {
+    return { status: 'error', error: 'DeviceNotRegistered', message: 'Not a known push service endpoint', retryable: false };
+  }
+  const { subject, publicKey, privateKey } = transports.webpush;
+  const ttl = secondsLeft(message.expiration);
+  try {
+    await webpush.sendNotification({ endpoint: token, keys }, toPayload(message), {
+      vapidDetails: { subject, publicKey, privateKey },
+      TTL: ttl === null ? DEFAULT_TTL_SECONDS : ttl,
+      urgency: message.priority === 'high' ? 'high' : 'normal',
+      timeout: REQUEST_TIMEOUT_MS
+    });
+    return { status: 'ok', ticketId: null };
+  } catch (error) {
+    const { statusCode } = error;
+    if (!statusCode) {
+      return { status: 'error', error: null, message: error.message, retryable: true };
+    }
+    // Gone or unknown subscriptions were removed by the browser or expired
+    const notRegistered = statusCode === 404 || statusCode === 410;
+    return {
+      status: 'error',
+      error: notRegistered ? 'DeviceNotRegistered' : statusCode === 429 ? 'MessageRateExceeded' : null,
+      message: error.body || error.message,
+      retryable: statusCode === 429 || statusCode >= 500
+    };
+  }
+}
+
+/**
+ * Web Push with VAPID, for browsers. Each device's token is its subscription
+ * endpoint and `keys` holds the subscription's p256dh and auth keys.
+ */
+const webpushTransport = {
+  name: 'webpush',
+  hasReceipts: false,
+
+  isConfigured() {
+    const { subject, publicKey, privateKey } = transports.webpush;
+    return Boolean(subject && publicKey && privateKey);
+  },
+
+  isValidToken(token, keys) {
+    if (typeof token !== 'string' || !isPushServiceEndpoint(token)) return false;
+    return Boolean(keys && typeof keys.p256dh === 'string' && typeof keys.auth === 'string');
+  },
+
+  send(targets) {
+    return sendEach(targets, sendOne);
+  },
+};
+
+module.exports = webpushTransport;
@@ -0,0 +1,145 @@
+const { QueryTypes, Op } = require('sequelize');
+const { sequelize, RateLimit } = require('../models');
+const { rateLimit } = require('../config/rateLimit');
+
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Stores keep fixed-window counters. hit() counts one more in the key's
+ * window (starting a new window of windowMs when the last one ended) and
+ * resolves to { count, resetAt }; get() resolves to the same or null.
+ */
+function createMemoryStore() {
+  const counters = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+      return { ...counter };
+    },
+    async get(key) {
+      const counter = counters.get(key);
+      return counter && counter.resetAt > Date.now() ? { ...counter } : null;
+    },
+    async reset(key) {
+      counters.delete(key);
+    }
+  };
+}
+
+// Counters in the rate_limits table, so every replica sees the same counts
+function createPostgresStore() {
+  const sweep = setInterval(() => {
+    RateLimit.destroy({ where: { resetAt: { [Op.lte]: new Date() } } })
+      .catch(err => console.error('[RateLimit] Sweep failed:', err.message));
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    async hit(key, windowMs) {
+      const now = new Date();
+      const [row] = await sequelize.query(
+        `INSERT INTO rate_limits (key, count, reset_at) VALUES (:key, 1, :resetAt)
+         ON CONFLICT (key) DO UPDATE SET
+           count = CASE WHEN rate_limits.reset_at <= :now THEN 1 ELSE rate_limits.count + 1 END,
+           reset_at = CASE WHEN rate_limits.reset_at <= :now THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+         RETURNING count, reset_at`,
+        { replacements: { key, now, resetAt: new Date(now.getTime() + windowMs) }, type: QueryTypes.SELECT }
+      );
+      return { count: row.count, resetAt: new Date(row.reset_at).getTime() };
+    },
+    async get(key) {
+      const row = await RateLimit.findByPk(key);
+      if (!row || row.resetAt <= new Date()) return null;
+      return { count: row.count, resetAt: row.resetAt.getTime() };
+    },
+    async reset(key) {
+      await RateLimit.destroy({ where: { key } });
+    }
+  };
+}
+
+const stores = {
+  memory: createMemoryStore,
+  postgres: createPostgresStore,
+};
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    const factory = stores[rateLimit.store];
+    if (!factory) throw new Error(`Unknown rate limit store: ${rateLimit.store}`);
+    store = factory();
+  }
+  return store;
+}
+
+const accountKey = (scope, account) => `${scope}:${String(account).trim().toLowerCase()}`;
+
+// Account lockouts fail open like the request limiters: if the store is
+// unavailable, logins carry on without them
+async function orFallback(name, fallback, fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    console.error(`[RateLimit] ${name} failed:`, error.message);
+    return fallback;
+  }
+}
+
+/**
+ * Seconds until a locked account may try to log in again, or 0 if it is not locked.
+ */
+function getLockout(scope, account) {
+  return orFallback('Lockout check', 0, async () => {
+    const lock = await getStore().get(`lock:${accountKey(scope, account)}`);
+    return lock ? Math.max(Math.ceil((lock.resetAt - Date.now()) / 1000), 1) : 0;
+  });
+}
+
+/**
+ * Count a failed login. Once an account reaches the failure limit it is
+ * locked; repeated lockouts back off exponentially. Resolves to the lockout
+ * in seconds if this failure caused one, otherwise 0.
+ */
+function recordLoginFailure(scope, account) {
+  return orFallback('Failed login count', 0, async () => {
+    const { maxFailures, failureWindowMs, lockoutMs, maxLockoutMs, lockoutResetMs } = rateLimit.lockout;
+    const key = accountKey(scope, account);
+    const failures = await getStore().hit(`fail:${key}`, failureWindowMs);
+    if (failures.count < maxFailures) return 0;
+
+    await getStore().reset(`fail:${key}`);
+    const lockouts = await getStore().hit(`lockouts:${key}`, lockoutResetMs);
+    const duration = Math.min(lockoutMs * 2 ** (lockouts.count - 1), maxLockoutMs);
+    await getStore().reset(`lock:${key}`);
+    await getStore().hit(`lock:${key}`, duration);
+    console.warn(`[RateLimit] Locked ${key} for ${Math.round(duration / 60000)} minute(s) after ${failures.count} failed logins`);
+    return Math.ceil(duration / 1000);
+  });
+}
+
+function clearLoginFailures(scope, account) {
+  return orFallback('Failed login reset', undefined, async () => {
+    const key = accountKey(scope, account);
+    await getStore().reset(`fail:${key}`);
+    await getStore().reset(`lockouts:${key}`);
+  });
+}
+
+module.exports = { getStore, getLockout, recordLoginFailure, clearLoginFailures };
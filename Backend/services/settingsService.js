@@ -0,0 +1,38 @@
+const { Setting } = require('../models');
+const { isValidTimezone, isTimezoneFixed, setTimezone, getTimezone } = require('../utils/timezone');
+
+/**
+ * Load settings from the database and apply them. Call once at startup,
+ * after the database is synced and before the scheduler starts.
+ */
+async function loadSettings() {
+  const timezone = await Setting.findOne({ where: { key: 'timezone' } });
+  if (timezone && isValidTimezone(timezone.value)) {
+    setTimezone(timezone.value);
+  } else if (timezone) {
+    console.warn(`Ignoring invalid timezone setting: ${timezone.value}`);
+  }
+}
+
+function getSettings() {
+  return { timezone: getTimezone() };
+}
+
+/**
+ * Validate, store and apply settings. Throws on invalid values.
+ */
+async function updateSettings({ timezone }) {
+  if (timezone !== undefined) {
+    if (isTimezoneFixed()) {
+      throw new Error('Timezone is fixed by UTC_OFFSET_MINUTES; unset it to choose a timezone here');
+    }
+    if (!isValidTimezone(timezone)) {
+      throw new Error(`Invalid timezone: ${timezone}`);
+    }
+    await Setting.upsert({ key: 'timezone', value: timezone });
+    setTimezone(timezone);
+  }
+  return getSettings();
+}
+
+module.exports = { loadSettings, getSettings, updateSettings };
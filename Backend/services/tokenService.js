@@ -0,0 +1,24 @@
+const jwt = require('jsonwebtoken');
+const { auth } = require('../config/auth');
+
+function getSecret() {
+  if (!auth.jwtSecret) throw new Error('JWT_SECRET is not configured');
+  return auth.jwtSecret;
+}
+
+function signToken(payload, expiresIn) {
+  return jwt.sign(payload, getSecret(), { expiresIn });
+}
+
+/**
+ * Verify a token's signature and expiry and check its type. Admin tokens are
+ * 'access'/'refresh' and app user tokens 'user_access'/'user_refresh', so one
+ * kind is never accepted in place of another.
+ */
+function verifyToken(token, type) {
+  const payload = jwt.verify(token, getSecret());
+  if (payload.type !== type) throw new jwt.JsonWebTokenError(`Expected ${type} token`);
+  return payload;
+}
+
+module.exports = { signToken, verifyToken };
@@ -0,0 +1,203 @@
+const { Prayer, Event, Voice, EventSchedule, DeviceToken, User, ScheduledAnnouncement } = require('../models');
+const { localToUtcMs } = require('../utils/timezone');
+const { weekdayOf, isScheduledOn, addMinutes, resolveEventTime } = require('../utils/eventSchedule');
+const { getPrayerTimes } = require('./prayerTimeService');
+const { getMosqueTimezone } = require('./mosqueService');
+const { preAlertLeads } = require('./notificationPreferences');
+const { isDueOn } = require('./announcementService');
+
+// How long after its time a missed occurrence is still caught up
+const GRACE_MS = parseInt(process.env.TRIGGER_GRACE_MINUTES || '10', 10) * 60 * 1000;
+
+// The plan for each mosque's current local day, keyed by mosque id;
+// rebuilt at midnight and on data changes
+const plans = new Map();
+
+// Keys of occurrences already handled (fired or recorded missed); survives plan rebuilds
+let firedKeys = new Set();
+
+/**
+ * Build the list of everything that should trigger at a mosque on a local
+ * date: legacy Prayer rows plus every active Event, with resolved time and
+ * voice, and a pre-alert ahead of each for every lead time the mosque's
+ * devices asked for, plus the scheduled announcements due that day.
+ * Pre-alerts that would fall on the previous day are skipped.
+ */
+async function buildDayPlan(mosque, date) {
+  const weekday = weekdayOf(date);
+  const timeZone = getMosqueTimezone(mosque);
+
+  const prayers = await Prayer.findAll({ where: { mosqueId: mosque.id, date, isActive: true } });
+
+  // Inactive events are loaded too since relative events may be anchored to them
+  const events = await Event.findAll({
+    where: { mosqueId: mosque.id },
+    include: [
+      { model: Voice, as: 'voice' },
+      { model: EventSchedule, as: 'schedules' }
+    ]
+  });
+  const eventsById = new Map(events.map(e => [e.id, e]));
+  const prayerTimes = getPrayerTimes(date, mosque);
+
+  const occurrences = [];
+
+  for (const prayer of prayers) {
+    occurrences.push({
+      key: `prayer:${prayer.id}@${date}T${prayer.time}`,
+      kind: 'trigger',
+      mosqueId: mosque.id,
+      source: 'prayer',
+      sourceId: prayer.id,
+      name: prayer.name,
+      type: 'prayer',
+      date,
+      time: prayer.time,
+      fireAt: localToUtcMs(date, prayer.time, timeZone),
+      voiceName: null,
+      soundFile: prayer.soundFile || null,
+      missedPolicy: 'fire_late'
+    });
+  }
+
+  for (const event of events) {
+    if (!event.isActive || !isScheduledOn(event, date, weekday)) continue;
+    const time = resolveEventTime(event, date, { eventsById, prayerTimes });
+    if (!time) continue;
+
+    occurrences.push({
+      key: `event:${event.id}@${date}T${time}`,
+      kind: 'trigger',
+      mosqueId: mosque.id,
+      source: 'event',
+      sourceId: event.id,
+      name: event.name,
+      type: event.type || 'azan',
+      date,
+      time,
+      fireAt: localToUtcMs(date, time, timeZone),
+      voiceName: event.voice ? event.voice.name : null,
+      soundFile: event.voice ? event.voice.soundFile : null,
+      missedPolicy: event.missedPolicy || 'fire_late'
+    });
+  }
+
+  const devices = await DeviceToken.findAll({
+    where: { mosqueId: mosque.id },
+    attributes: ['preferences', 'userId'],
+    include: [{ model: User, as: 'user', attributes: ['preferences'] }]
+  });
+  const leads = preAlertLeads(devices);
+  const preAlerts = [];
+  for (const occurrence of occurrences) {
+    for (const lead of leads) {
+      const time = addMinutes(occurrence.time, -lead);
+      if (!time) continue;
+      preAlerts.push({
+        ...occurrence,
+        key: `prealert:${lead}:${occurrence.key}`,
+        kind: 'pre_alert',
+        leadMinutes: lead,
+        triggerTime: occurrence.time,
+        time,
+        fireAt: localToUtcMs(date, time, timeZone),
+        // A pre-alert is pointless once late
+        missedPolicy: 'record_missed'
+      });
+    }
+  }
+  occurrences.push(...preAlerts);
+
+  const scheduledAnnouncements = await ScheduledAnnouncement.findAll({ where: { mosqueId: mosque.id, status: 'scheduled' } });
+  for (const scheduled of scheduledAnnouncements) {
+    if (!isDueOn(scheduled, date, weekday)) continue;
+    occurrences.push({
+      key: `announcement:${scheduled.id}@${date}T${scheduled.time}`,
+      kind: 'trigger',
+      mosqueId: mosque.id,
+      source: 'announcement',
+      sourceId: scheduled.id,
+      name: scheduled.title,
+      type: 'announcement',
+      date,
+      time: scheduled.time,
+      fireAt: localToUtcMs(date, scheduled.time, timeZone),
+      voiceName: null,
+      soundFile: scheduled.audioUrl,
+      missedPolicy: 'fire_late'
+    });
+  }
+
+  occurrences.sort((a, b) => a.fireAt - b.fireAt);
+
+  return { mosqueId: mosque.id, date, timezone: timeZone, builtAt: new Date().toISOString(), occurrences };
+}
+
+function previousDate(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - 1);
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * Rebuild and store a mosque's plan for a date. Shortly after midnight the
+ * plan also carries the previous day's occurrences that are still within
+ * the catch-up grace window. Fired keys are kept for occurrences still planned.
+ *
+ * Past occurrences are only caught up with `catchUp` (startup, a new day).
+ * Otherwise, as after a data change, occurrences new to the plan whose time
+ * has passed are marked handled, so creating or moving an event into the
+ * past does not fire it.
+ */
+async function rebuildPlan(mosque, date, { catchUp = false } = {}) {
+  const previousPlan = plans.get(mosque.id);
+  const plan = await buildDayPlan(mosque, date);
+
+  const graceStart = Date.now() - GRACE_MS;
+  if (localToUtcMs(date, '00:00', plan.timezone) > graceStart) {
+    const previous = await buildDayPlan(mosque, previousDate(date));
+    const carried = previous.occurrences.filter(o => o.fireAt >= graceStart);
+    plan.occurrences = [...carried, ...plan.occurrences];
+  }
+
+  if (!catchUp) {
+    const previousKeys = new Set(previousPlan && previousPlan.date === date
+      ? previousPlan.occurrences.map(o => o.key)
+      : []);
+    const now = Date.now();
+    for (const occurrence of plan.occurrences) {
+      if (occurrence.fireAt < now && !previousKeys.has(occurrence.key)) firedKeys.add(occurrence.key);
+    }
+  }
+
+  plans.set(mosque.id, plan);
+
+  const plannedKeys = new Set([...plans.values()].flatMap(p => p.occurrences.map(o => o.key)));
+  firedKeys = new Set([...firedKeys].filter(key => plannedKeys.has(key)));
+  return plan;
+}
+
+/**
+ * Drop the plan of a mosque that was deleted or deactivated.
+ */
+function removePlan(mosqueId) {
+  plans.delete(mosqueId);
+}
+
+function getPlan(mosqueId) {
+  return plans.get(mosqueId) || null;
+}
+
+function getAllPlans() {
+  return [...plans.values()];
+}
+
+function markFired(key) {
+  firedKeys.add(key);
+}
+
+function isFired(key) {
+  return firedKeys.has(key);
+}
+
+module.exports = { GRACE_MS, buildDayPlan, rebuildPlan, removePlan, getPlan, getAllPlans, markFired, isFired };
@@ -0,0 +1,48 @@
+const { User } = require('../models');
+const { auth } = require('../config/auth');
+const { signToken, verifyToken } = require('./tokenService');
+
+const MIN_PASSWORD_LENGTH = 6;
+
+/**
+ * Issue an access token and a refresh token for an app user. Both carry the
+ * user's token version so logging out revokes them.
+ */
+function issueTokens(user) {
+  const token = signToken({ sub: user.id, email: user.email, version: user.tokenVersion, type: 'user_access' }, auth.userAccessTokenTtl);
+  const refreshToken = signToken({ sub: user.id, version: user.tokenVersion, type: 'user_refresh' }, auth.userRefreshTokenTtl);
+
+  return { token, refreshToken, expiresIn: auth.userAccessTokenTtl };
+}
+
+/**
+ * Resolve a refresh token to its user. Resolves to null if the token is
+ * invalid, expired or revoked.
+ */
+async function getUserForRefreshToken(refreshToken) {
+  let payload;
+  try {
+    payload = verifyToken(refreshToken, 'user_refresh');
+  } catch {
+    return null;
+  }
+  const user = await User.findByPk(payload.sub);
+  if (!user || user.tokenVersion !== payload.version) return null;
+  return user;
+}
+
+/**
+ * Revoke every access and refresh token issued to a user so far.
+ */
+async function revokeTokens(user) {
+  await user.increment('tokenVersion');
+}
+
+function toUserData(user) {
+  const userData = user.toJSON();
+  delete userData.password;
+  delete userData.tokenVersion;
+  return userData;
+}
+
+module.exports = { MIN_PASSWORD_LENGTH, issueTokens, getUserForRefreshToken, revokeTokens, toUserData };
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User, UserToken } = require('../models');
+const { auth } = require('../config/auth');
+const { mail } = require('../config/mail');
+const { sendMail } = require('./mailService');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Create a single-use token of a type for a user, replacing any earlier
+ * unused one. Resolves to the plain token, which only goes out by email.
+ */
+async function createToken(user, type, ttlMs) {
+  await UserToken.destroy({ where: { userId: user.id, type, usedAt: null } });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await UserToken.create({
+    userId: user.id,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+  return token;
+}
+
+/**
+ * Find the unused, unexpired token record (with its user) for a plain token.
+ * Resolves to null if there is none.
+ */
+async function findValidToken(token, type) {
+  if (typeof token !== 'string' || !token) return null;
+  return UserToken.findOne({
+    where: { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { [Op.gt]: new Date() } },
+    include: [{ model: User, as: 'user' }]
+  });
+}
+
+/**
+ * Mark a token used. Resolves to false if it was used concurrently.
+ */
+async function consumeToken(record) {
+  const [count] = await UserToken.update(
+    { usedAt: new Date() },
+    { where: { id: record.id, usedAt: null } }
+  );
+  return count === 1;
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await createToken(user, 'password_reset', auth.passwordResetTtlMinutes * 60 * 1000);
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Assalamu alaikum ${user.name},\n\n`
+      + `Use this link to choose a new password:\n${mail.linkBaseUrl}/reset-password?token=${token}\n\n`
+      + `The link expires in ${auth.passwordResetTtlMinutes} minutes. If you did not ask for it, ignore this email.`
+  });
+}
+
+async function sendVerificationEmail(user) {
+  const token = await createToken(user, 'email_verification', auth.emailVerificationTtlHours * 60 * 60 * 1000);
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Assalamu alaikum ${user.name},\n\n`
+      + `Please confirm your email address:\n${mail.linkBaseUrl}/verify-email?token=${token}\n\n`
+      + `The link expires in ${auth.emailVerificationTtlHours} hours.`
+  });
+}
+
+module.exports = { findValidToken, consumeToken, sendPasswordResetEmail, sendVerificationEmail };
@@ -17,11 +17,21 @@ async function deleteCloudinaryFile(url) {
   const publicId = getCloudinaryPublicId(url);
   if (publicId) {
     try {
-      await cloudinary.uploader.destroy(publicId, { resource_type: 'video' });
+      // Audio is stored as Cloudinary's video type
+      const resourceType = url.includes('/image/upload/') ? 'image' : 'video';
+      await cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
     } catch (err) {
       console.error('Cloudinary delete error:', err);
     }
   }
 }
 
-module.exports = { getCloudinaryPublicId, deleteCloudinaryFile };
+// Uploads are Cloudinary URLs, or paths under SERVER_URL when stored locally
+function getFullUploadUrl(file) {
+  if (!file) return null;
+  if (file.startsWith('http')) return file;
+  const base = (process.env.SERVER_URL || '').replace(/\/+$/, '');
+  return `${base}/${file}`;
+}
+
+module.exports = { getCloudinaryPublicId, deleteCloudinaryFile, getFullUploadUrl };
@@ -0,0 +1,20 @@
+const { EventEmitter } = require('events');
+const { mosqueRoom } = require('../services/mosqueService');
+
+/**
+ * In-process event bus. Lets server-side modules (e.g. the scheduler)
+ * react to admin data changes that are also pushed to clients.
+ */
+const dataEvents = new EventEmitter();
+
+/**
+ * Notify a mosque's connected clients and in-process listeners that data
+ * changed. Without `payload.mosqueId` every client is notified.
+ */
+function emitDataUpdated(io, payload) {
+  const target = payload.mosqueId ? io.to(mosqueRoom(payload.mosqueId)) : io;
+  target.emit('data:updated', payload);
+  dataEvents.emit('data:updated', payload);
+}
+
+module.exports = { dataEvents, emitDataUpdated };
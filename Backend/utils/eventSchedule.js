@@ -0,0 +1,118 @@
+const { PRAYER_NAMES } = require('./prayerTimes');
+
+// Deepest chain of relative events followed before giving up
+const MAX_ANCHOR_DEPTH = 10;
+
+/**
+ * Weekday (0=Sunday) of a 'YYYY-MM-DD' date.
+ */
+function weekdayOf(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Whether an event is scheduled to run on the given local date/weekday,
+ * based on its scheduleMode, weekdays, date bounds and inactiveDays.
+ */
+function isScheduledOn(event, date, weekday) {
+  const inactiveDays = event.inactiveDays || [];
+  if (inactiveDays.includes(weekday)) return false;
+
+  if (event.scheduleMode === 'daily') return true;
+
+  if (event.scheduleMode === 'weekly') {
+    const weekdays = event.weekdays || [];
+    if (!weekdays.includes(weekday)) return false;
+    // Optional date bounds for weekly
+    if (event.startDate && event.endDate) {
+      return date >= event.startDate && date <= event.endDate;
+    }
+    return true;
+  }
+
+  if (event.scheduleMode === 'date_range') {
+    if (event.startDate && event.endDate) {
+      return date >= event.startDate && date <= event.endDate;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Parse an event time source:
+ *   "calculated:Maghrib" -> { kind: 'calculated', prayer: 'Maghrib' }
+ *   "event:12"           -> { kind: 'event', eventId: 12 }
+ * Returns null when the source is not recognised.
+ */
+function parseTimeSource(source) {
+  if (typeof source !== 'string') return null;
+  const [kind, value] = source.split(':');
+  if (kind === 'calculated' && PRAYER_NAMES.includes(value)) {
+    return { kind, prayer: value };
+  }
+  if (kind === 'event' && /^\d+$/.test(value || '')) {
+    return { kind, eventId: parseInt(value, 10) };
+  }
+  return null;
+}
+
+function addMinutes(time, minutes) {
+  const [h, m] = time.split(':').map(Number);
+  const total = h * 60 + m + minutes;
+  // Offsets that cross midnight would belong to another day
+  if (total < 0 || total >= 24 * 60) return null;
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Resolve the "HH:mm" time an event fires on a date, or null if it has none.
+ * Custom events need their `schedules` loaded; relative events anchored to
+ * another event need that event (with its schedules) in `eventsById`.
+ * Calculated sources use `prayerTimes`, the mosque's calculated times for the date.
+ */
+function resolveEventTime(event, date, { eventsById = new Map(), prayerTimes = null } = {}, depth = 0) {
+  if (event.timeMode === 'custom') {
+    const schedule = (event.schedules || []).find(s => s.date === date);
+    return schedule ? schedule.time : event.fixedTime; // fallback to fixedTime
+  }
+
+  if (event.timeMode === 'calculated' || event.timeMode === 'relative') {
+    const source = parseTimeSource(event.timeSource);
+    if (!source) return null;
+
+    let time = null;
+    if (source.kind === 'calculated') {
+      time = prayerTimes ? prayerTimes[source.prayer] : null;
+    } else if (event.timeMode === 'relative' && depth < MAX_ANCHOR_DEPTH) {
+      const anchor = eventsById.get(source.eventId);
+      // A relative event only runs on days its anchor event runs
+      if (anchor && isScheduledOn(anchor, date, weekdayOf(date))) {
+        time = resolveEventTime(anchor, date, { eventsById, prayerTimes }, depth + 1);
+      }
+    }
+
+    if (!time || event.timeMode === 'calculated') return time;
+    return addMinutes(time, event.offsetMinutes || 0);
+  }
+
+  return event.fixedTime;
+}
+
+/**
+ * Whether anchoring `eventId` to `anchorId` would create a cycle.
+ */
+function createsAnchorCycle(eventId, anchorId, eventsById) {
+  let currentId = anchorId;
+  for (let depth = 0; depth <= MAX_ANCHOR_DEPTH; depth++) {
+    if (currentId === eventId) return true;
+    const current = eventsById.get(currentId);
+    if (!current || current.timeMode !== 'relative') return false;
+    const source = parseTimeSource(current.timeSource);
+    if (!source || source.kind !== 'event') return false;
+    currentId = source.eventId;
+  }
+  return true;
+}
+
+module.exports = { weekdayOf, isScheduledOn, parseTimeSource, addMinutes, resolveEventTime, createsAnchorCycle };
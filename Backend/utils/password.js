@@ -0,0 +1,16 @@
+const bcrypt = require('bcryptjs');
+
+// Compared against when the account does not exist, so a login for an
+// unknown username or email takes as long as one with a wrong password
+const DUMMY_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+/**
+ * Whether the password matches the account's hash. Resolves to false
+ * without an account, after the same amount of hashing work.
+ */
+async function checkPassword(account, password) {
+  const isMatch = await bcrypt.compare(password, account ? account.password : DUMMY_HASH);
+  return Boolean(account) && isMatch;
+}
+
+module.exports = { checkPassword };
@@ -0,0 +1,189 @@
+/**
+ * Astronomical prayer time calculation.
+ *
+ * Based on the PrayTimes.org algorithm: sun position from the Julian date,
+ * then each prayer is the moment the sun reaches a given angle below (or
+ * shadow length above) the horizon. All times are returned as local "HH:mm"
+ * strings for the given UTC offset.
+ */
+
+const PRAYER_NAMES = ['Fajr', 'Sunrise', 'Dhuhr', 'Asr', 'Maghrib', 'Isha'];
+
+// Angles are degrees below the horizon; `isha`/`maghrib` given as { minutes }
+// are minutes after sunset/maghrib instead of an angle.
+const METHODS = {
+  MWL: { name: 'Muslim World League', fajr: 18, isha: 17 },
+  ISNA: { name: 'Islamic Society of North America', fajr: 15, isha: 15 },
+  Egypt: { name: 'Egyptian General Authority of Survey', fajr: 19.5, isha: 17.5 },
+  Makkah: { name: 'Umm al-Qura University, Makkah', fajr: 18.5, isha: { minutes: 90 } },
+  Karachi: { name: 'University of Islamic Sciences, Karachi', fajr: 18, isha: 18 },
+  Tehran: { name: 'Institute of Geophysics, University of Tehran', fajr: 17.7, isha: 14, maghrib: 4.5 },
+  Jafari: { name: 'Shia Ithna-Ashari, Leva Institute, Qum', fajr: 16, isha: 14, maghrib: 4 },
+  Gulf: { name: 'Gulf Region', fajr: 19.5, isha: { minutes: 90 } },
+  Kuwait: { name: 'Kuwait', fajr: 18, isha: 17.5 },
+  Qatar: { name: 'Qatar', fajr: 18, isha: { minutes: 90 } },
+  Singapore: { name: 'Majlis Ugama Islam Singapura', fajr: 20, isha: 18 },
+  Turkey: { name: 'Diyanet Isleri Baskanligi, Turkey', fajr: 18, isha: 17 },
+};
+
+// Shadow length factor for Asr
+const ASR_FACTORS = { Standard: 1, Hanafi: 2 };
+
+const HIGH_LAT_RULES = ['None', 'NightMiddle', 'OneSeventh', 'AngleBased'];
+
+// --- Degree-based trigonometry ---
+
+const dtr = (d) => (d * Math.PI) / 180;
+const rtd = (r) => (r * 180) / Math.PI;
+const sin = (d) => Math.sin(dtr(d));
+const cos = (d) => Math.cos(dtr(d));
+const tan = (d) => Math.tan(dtr(d));
+const arcsin = (x) => rtd(Math.asin(x));
+const arccos = (x) => rtd(Math.acos(x));
+const arctan2 = (y, x) => rtd(Math.atan2(y, x));
+const arccot = (x) => rtd(Math.atan(1 / x));
+
+const fix = (a, b) => {
+  const r = a - b * Math.floor(a / b);
+  return r < 0 ? r + b : r;
+};
+const fixAngle = (a) => fix(a, 360);
+const fixHour = (h) => fix(h, 24);
+const timeDiff = (t1, t2) => fixHour(t2 - t1);
+
+function julian(year, month, day) {
+  if (month <= 2) {
+    year -= 1;
+    month += 12;
+  }
+  const A = Math.floor(year / 100);
+  const B = 2 - A + Math.floor(A / 4);
+  return Math.floor(365.25 * (year + 4716)) + Math.floor(30.6001 * (month + 1)) + day + B - 1524.5;
+}
+
+function sunPosition(jd) {
+  const D = jd - 2451545.0;
+  const g = fixAngle(357.529 + 0.98560028 * D);
+  const q = fixAngle(280.459 + 0.98564736 * D);
+  const L = fixAngle(q + 1.915 * sin(g) + 0.020 * sin(2 * g));
+  const e = 23.439 - 0.00000036 * D;
+
+  const RA = arctan2(cos(e) * sin(L), cos(L)) / 15;
+  const equation = q / 15 - fixHour(RA);
+  const declination = arcsin(sin(e) * sin(L));
+
+  return { declination, equation };
+}
+
+/**
+ * Calculate prayer times for one day.
+ *
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {object} options
+ * @param {number} options.latitude
+ * @param {number} options.longitude
+ * @param {number} options.offsetMinutes - local UTC offset for that date
+ * @param {string} [options.method='MWL'] - key of METHODS
+ * @param {string} [options.asrMethod='Standard'] - 'Standard' (Shafi) or 'Hanafi'
+ * @param {string} [options.highLatRule='NightMiddle'] - one of HIGH_LAT_RULES
+ * @returns {{Fajr: string, Sunrise: string, Dhuhr: string, Asr: string, Maghrib: string, Isha: string}}
+ */
+function calculatePrayerTimes(date, options) {
+  const {
+    latitude,
+    longitude,
+    offsetMinutes = 0,
+    method = 'MWL',
+    asrMethod = 'Standard',
+    highLatRule = 'NightMiddle',
+  } = options;
+
+  const params = METHODS[method];
+  if (!params) throw new Error(`Unknown calculation method: ${method}`);
+  const asrFactor = ASR_FACTORS[asrMethod];
+  if (!asrFactor) throw new Error(`Unknown Asr method: ${asrMethod}`);
+  if (!HIGH_LAT_RULES.includes(highLatRule)) throw new Error(`Unknown high latitude rule: ${highLatRule}`);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    throw new Error('Latitude and longitude are required');
+  }
+
+  const [year, month, day] = date.split('-').map(Number);
+  const jDate = julian(year, month, day) - longitude / (15 * 24);
+
+  const midDay = (time) => {
+    const eqt = sunPosition(jDate + time).equation;
+    return fixHour(12 - eqt);
+  };
+
+  // Time at which the sun reaches `angle` below the horizon
+  const sunAngleTime = (angle, time, ccw) => {
+    const decl = sunPosition(jDate + time).declination;
+    const noon = midDay(time);
+    const t = (1 / 15) * arccos((-sin(angle) - sin(decl) * sin(latitude)) / (cos(decl) * cos(latitude)));
+    return noon + (ccw ? -t : t);
+  };
+
+  const asrTime = (factor, time) => {
+    const decl = sunPosition(jDate + time).declination;
+    const angle = -arccot(factor + tan(Math.abs(latitude - decl)));
+    return sunAngleTime(angle, time);
+  };
+
+  // Initial guesses as day portions
+  const riseSetAngle = 0.833;
+  const times = {
+    fajr: sunAngleTime(params.fajr, 5 / 24, true),
+    sunrise: sunAngleTime(riseSetAngle, 6 / 24, true),
+    dhuhr: midDay(12 / 24),
+    asr: asrTime(asrFactor, 13 / 24),
+    sunset: sunAngleTime(riseSetAngle, 18 / 24),
+    maghrib: typeof params.maghrib === 'number' ? sunAngleTime(params.maghrib, 18 / 24) : null,
+    isha: typeof params.isha === 'number' ? sunAngleTime(params.isha, 18 / 24) : null,
+  };
+
+  // Shift from UTC-at-longitude to local time
+  const shift = offsetMinutes / 60 - longitude / 15;
+  for (const key of Object.keys(times)) {
+    if (times[key] !== null) times[key] += shift;
+  }
+
+  if (highLatRule !== 'None') {
+    const night = timeDiff(times.sunset, times.sunrise);
+    const portion = (angle) => {
+      if (highLatRule === 'AngleBased') return (angle / 60) * night;
+      if (highLatRule === 'OneSeventh') return night / 7;
+      return night / 2;
+    };
+    const adjust = (time, base, angle, ccw) => {
+      const limit = portion(angle);
+      const diff = ccw ? timeDiff(time, base) : timeDiff(base, time);
+      if (Number.isNaN(time) || diff > limit) return base + (ccw ? -limit : limit);
+      return time;
+    };
+    times.fajr = adjust(times.fajr, times.sunrise, params.fajr, true);
+    if (typeof params.isha === 'number') times.isha = adjust(times.isha, times.sunset, params.isha);
+    if (typeof params.maghrib === 'number') times.maghrib = adjust(times.maghrib, times.sunset, params.maghrib);
+  }
+
+  if (times.maghrib === null) times.maghrib = times.sunset;
+  if (times.isha === null) times.isha = times.maghrib + params.isha.minutes / 60;
+
+  const format = (time) => {
+    if (Number.isNaN(time)) return null;
+    const rounded = fixHour(time + 0.5 / 60);
+    const hours = Math.floor(rounded);
+    const minutes = Math.floor((rounded - hours) * 60);
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+  };
+
+  return {
+    Fajr: format(times.fajr),
+    Sunrise: format(times.sunrise),
+    Dhuhr: format(times.dhuhr),
+    Asr: format(times.asr),
+    Maghrib: format(times.maghrib),
+    Isha: format(times.isha),
+  };
+}
+
+module.exports = { calculatePrayerTimes, PRAYER_NAMES, METHODS, ASR_FACTORS, HIGH_LAT_RULES };
@@ -1,34 +1,196 @@
 /**
- * Get current date/time in the configured timezone.
+ * Date/time helpers for the configured IANA timezone (e.g. 'Asia/Kolkata',
+ * 'Europe/London'). Offsets are looked up per instant, so DST is handled.
  *
- * Railway auto-converts Asia/Kolkata → Asia/Karachi (30 min off).
- * So we use UTC_OFFSET_MINUTES (e.g. 330 for IST = UTC+5:30).
- * This is a plain number that Railway cannot auto-convert.
+ * The server-wide zone is stored as the 'timezone' setting in the database
+ * and pushed here by the settings service; TIMEZONE env var is the fallback.
+ * Mosques with their own timezone pass it explicitly.
+ *
+ * UTC_OFFSET_MINUTES (e.g. 330 for UTC+5:30), when set, pins the server-wide
+ * zone to that fixed offset ahead of both. Railway auto-converts some zone
+ * names in env vars (Asia/Kolkata → Asia/Karachi, 30 min off); a plain number
+ * can't be converted. Fixed offsets are named like 'UTC+05:30' and have no DST.
+ */
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const FIXED_OFFSET_PATTERN = /^UTC([+-])(\d{2}):(\d{2})$/;
+
+let configuredTimezone = null;
+
+// Minutes east of UTC for a fixed-offset zone name, or null for IANA names
+function parseFixedOffset(timeZone) {
+  const match = typeof timeZone === 'string' && timeZone.match(FIXED_OFFSET_PATTERN);
+  if (!match) return null;
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+function formatOffset(offsetMinutes) {
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const abs = Math.abs(offsetMinutes);
+  return `UTC${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+// Zone pinned by UTC_OFFSET_MINUTES; an unusable value stops startup
+const fixedTimezone = (() => {
+  const value = process.env.UTC_OFFSET_MINUTES;
+  if (value === undefined || value.trim() === '') return null;
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || Math.abs(minutes) > 14 * 60) {
+    throw new Error(`UTC_OFFSET_MINUTES must be a whole number of minutes between -840 and 840, got: ${value}`);
+  }
+  return formatOffset(minutes);
+})();
+
+// One formatter per zone; creating them is comparatively expensive
+const formatters = new Map();
+
+function isValidTimezone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  const fixed = parseFixedOffset(timeZone);
+  if (fixed !== null) return Math.abs(fixed) <= 14 * 60 && Number(timeZone.slice(-2)) < 60;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function setTimezone(timeZone) {
+  if (!isValidTimezone(timeZone)) throw new Error(`Invalid timezone: ${timeZone}`);
+  configuredTimezone = timeZone;
+}
+
+/**
+ * Whether UTC_OFFSET_MINUTES pins the server-wide zone, so the timezone
+ * setting has no effect.
  */
-function getLocalNow() {
-  // Default 330 = IST (UTC+5:30). Override via UTC_OFFSET_MINUTES env var.
-  const offsetMinutes = parseInt(process.env.UTC_OFFSET_MINUTES || '330', 10);
-  const now = new Date();
-
-  // Apply offset: UTC time + offset = local time
-  const localMs = now.getTime() + (offsetMinutes * 60 * 1000);
-  const local = new Date(localMs);
-
-  // Extract parts from UTC methods (since we already shifted the time)
-  const year = local.getUTCFullYear();
-  const month = String(local.getUTCMonth() + 1).padStart(2, '0');
-  const day = String(local.getUTCDate()).padStart(2, '0');
-  const hour = String(local.getUTCHours()).padStart(2, '0');
-  const minute = String(local.getUTCMinutes()).padStart(2, '0');
-  const weekday = local.getUTCDay(); // 0=Sunday
+function isTimezoneFixed() {
+  return fixedTimezone !== null;
+}
+
+function getTimezone() {
+  return fixedTimezone || configuredTimezone || process.env.TIMEZONE || DEFAULT_TIMEZONE;
+}
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Wall-clock parts of an instant in a zone
+function getParts(ms, timeZone) {
+  const fixed = parseFixedOffset(timeZone);
+  if (fixed !== null) {
+    const wall = new Date(ms + fixed * 60000);
+    return {
+      year: wall.getUTCFullYear(),
+      month: wall.getUTCMonth() + 1,
+      day: wall.getUTCDate(),
+      hour: wall.getUTCHours(),
+      minute: wall.getUTCMinutes(),
+      second: wall.getUTCSeconds(),
+      weekday: wall.getUTCDay(),
+    };
+  }
 
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(ms))) {
+    parts[type] = value;
+  }
   return {
-    date: `${year}-${month}-${day}`,
-    time: `${hour}:${minute}`,
-    weekday,
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+/**
+ * UTC offset in minutes of a zone at an instant (e.g. 330 for IST, 60 for BST).
+ */
+function getOffsetMinutes(ms = Date.now(), timeZone = getTimezone()) {
+  const p = getParts(ms, timeZone);
+  const wallAsUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((wallAsUtc - Math.floor(ms / 1000) * 1000) / 60000);
+}
+
+/**
+ * Get current date/time in a timezone (default: the configured one).
+ */
+function getLocalNow(timezone = getTimezone()) {
+  const now = Date.now();
+  const p = getParts(now, timezone);
+  const offsetMinutes = getOffsetMinutes(now, timezone);
+
+  return {
+    date: `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`,
+    time: `${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`,
+    weekday: p.weekday, // 0=Sunday
+    timezone,
     offsetMinutes,
-    offsetDisplay: `UTC+${Math.floor(offsetMinutes / 60)}:${String(offsetMinutes % 60).padStart(2, '0')}`,
+    offsetDisplay: formatOffset(offsetMinutes),
   };
 }
 
-module.exports = { getLocalNow };
+/**
+ * Convert a local date ('YYYY-MM-DD') and time ('HH:mm') to a UTC timestamp in ms.
+ *
+ * Around DST transitions a repeated local time (clocks go back) resolves to
+ * its first occurrence, and a skipped one (clocks go forward) resolves to
+ * the instant the same distance past the transition, e.g. 02:30 -> 03:30.
+ */
+function localToUtcMs(date, time, timeZone = getTimezone()) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Offsets either side of any transition that could affect this wall time
+  const halfDay = 12 * 60 * 60 * 1000;
+  const offsetBefore = getOffsetMinutes(wallAsUtc - halfDay, timeZone);
+  const offsetAfter = getOffsetMinutes(wallAsUtc + halfDay, timeZone);
+
+  const candidates = [wallAsUtc - offsetBefore * 60000, wallAsUtc - offsetAfter * 60000]
+    .filter(ms => ms + getOffsetMinutes(ms, timeZone) * 60000 === wallAsUtc);
+
+  if (candidates.length > 0) return Math.min(...candidates);
+  return wallAsUtc - offsetBefore * 60000;
+}
+
+/**
+ * UTC offset in minutes in effect at local noon on a date; used for
+ * whole-day calculations such as prayer times.
+ */
+function getOffsetMinutesForDate(date, timeZone = getTimezone()) {
+  return getOffsetMinutes(localToUtcMs(date, '12:00', timeZone), timeZone);
+}
+
+module.exports = {
+  isValidTimezone,
+  setTimezone,
+  isTimezoneFixed,
+  getTimezone,
+  getOffsetMinutes,
+  getOffsetMinutesForDate,
+  getLocalNow,
+  localToUtcMs,
+};
@@ -6,7 +6,14 @@ import Dashboard from './pages/Dashboard';
 import Voices from './pages/Voices';
 import Events from './pages/Events';
 import LiveAnnouncement from './pages/LiveAnnouncement';
+import ScheduledAnnouncements from './pages/ScheduledAnnouncements';
 import Users from './pages/Users';
+import Settings from './pages/Settings';
+import Mosques from './pages/Mosques';
+import Admins from './pages/Admins';
+import ChangePassword from './pages/ChangePassword';
+import Audit from './pages/Audit';
+import NotificationTemplates from './pages/NotificationTemplates';
 
 function App() {
   return (
@@ -53,6 +60,16 @@ function App() {
             </PrivateRoute>
           }
         />
+        <Route
+          path="/scheduled-announcements"
+          element={
+            <PrivateRoute>
+              <Layout>
+                <ScheduledAnnouncements />
+              </Layout>
+            </PrivateRoute>
+          }
+        />
         <Route
           path="/users"
           element={
@@ -63,6 +80,66 @@ function App() {
             </PrivateRoute>
           }
         />
+        <Route
+          path="/admins"
+          element={
+            <PrivateRoute>
+              <Layout>
+                <Admins />
+              </Layout>
+            </PrivateRoute>
+          }
+        />
+        <Route
+          path="/change-password"
+          element={
+            <PrivateRoute>
+              <Layout>
+                <ChangePassword />
+              </Layout>
+            </PrivateRoute>
+          }
+        />
+        <Route
+          path="/mosques"
+          element={
+            <PrivateRoute>
+              <Layout>
+                <Mosques />
+              </Layout>
+            </PrivateRoute>
+          }
+        />
+        <Route
+          path="/settings"
+          element={
+            <PrivateRoute>
+              <Layout>
+                <Settings />
+              </Layout>
+            </PrivateRoute>
+          }
+        />
+        <Route
+          path="/notification-templates"
+          element={
+            <PrivateRoute>
+              <Layout>
+                <NotificationTemplates />
+              </Layout>
+            </PrivateRoute>
+          }
+        />
+        <Route
+          path="/audit"
+          element={
+            <PrivateRoute>
+              <Layout>
+                <Audit />
+              </Layout>
+            </PrivateRoute>
+          }
+        />
         <Route path="/prayers" element={<Navigate to="/events" replace />} />
         <Route path="*" element={<Navigate to="/" replace />} />
       </Routes>
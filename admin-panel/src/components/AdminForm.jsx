@@ -0,0 +1,154 @@
+import { useState } from 'react';
+
+const ROLES = [
+  { value: 'super_admin', label: 'Super Admin', description: 'Manages admins, mosques and settings' },
+  { value: 'scheduler', label: 'Scheduler', description: 'Edits events, voices and prayers' },
+  { value: 'announcer', label: 'Announcer', description: 'Broadcasts live announcements' },
+  { value: 'viewer', label: 'Viewer', description: 'Read-only access' },
+];
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const inputClass = 'w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-emerald-500';
+
+export default function AdminForm({ admin, mosques = [], onSubmit, onCancel, isLoading }) {
+  // The form is mounted fresh for each add/edit, so props only seed the state
+  const [formData, setFormData] = useState({
+    username: admin?.username || '',
+    password: '',
+    role: admin?.role || 'viewer',
+    mosqueId: admin?.mosqueId ? String(admin.mosqueId) : '',
+    isActive: admin?.isActive !== undefined ? admin.isActive : true,
+  });
+  const [errors, setErrors] = useState({});
+
+  const validate = () => {
+    const newErrors = {};
+    if (!formData.username.trim()) newErrors.username = 'Username is required';
+    if (!admin && formData.password.length < MIN_PASSWORD_LENGTH) {
+      newErrors.password = `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!validate()) return;
+
+    const data = {
+      username: formData.username.trim(),
+      role: formData.role,
+      mosqueId: formData.mosqueId ? Number(formData.mosqueId) : null,
+      isActive: formData.isActive,
+    };
+    if (!admin) data.password = formData.password;
+    onSubmit(data);
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value,
+    }));
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: null }));
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {/* Username */}
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-1">Username</label>
+        <input
+          type="text"
+          name="username"
+          value={formData.username}
+          onChange={handleChange}
+          className={inputClass}
+        />
+        {errors.username && <p className="text-red-400 text-sm mt-1">{errors.username}</p>}
+      </div>
+
+      {/* Temporary password (new accounts only) */}
+      {!admin && (
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Temporary Password</label>
+          <input
+            type="password"
+            name="password"
+            value={formData.password}
+            onChange={handleChange}
+            className={inputClass}
+          />
+          {errors.password ? (
+            <p className="text-red-400 text-sm mt-1">{errors.password}</p>
+          ) : (
+            <p className="text-gray-500 text-xs mt-1">The admin must choose a new password at first login</p>
+          )}
+        </div>
+      )}
+
+      {/* Role */}
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-1">Role</label>
+        <select name="role" value={formData.role} onChange={handleChange} className={inputClass}>
+          {ROLES.map((r) => (
+            <option key={r.value} value={r.value}>
+              {r.label} — {r.description}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {/* Mosque */}
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-1">Mosque</label>
+        <select name="mosqueId" value={formData.mosqueId} onChange={handleChange} className={inputClass}>
+          <option value="">All mosques</option>
+          {mosques.map((m) => (
+            <option key={m.id} value={m.id}>
+              {m.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {/* Active Status */}
+      <div className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          name="isActive"
+          id="adminIsActive"
+          checked={formData.isActive}
+          onChange={handleChange}
+          className="w-4 h-4 rounded border-gray-600 bg-gray-700 text-emerald-500 focus:ring-emerald-500"
+        />
+        <label htmlFor="adminIsActive" className="text-sm text-gray-300">
+          Active (can sign in)
+        </label>
+      </div>
+
+      {/* Buttons */}
+      <div className="flex gap-3 pt-4">
+        <button
+          type="submit"
+          disabled={isLoading}
+          className="flex-1 bg-emerald-600 hover:bg-emerald-700 disabled:bg-emerald-800 disabled:cursor-not-allowed text-white py-2 px-4 rounded-lg transition-colors"
+        >
+          {isLoading ? 'Saving...' : admin ? 'Update Admin' : 'Add Admin'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={isLoading}
+          className="flex-1 bg-gray-600 hover:bg-gray-700 disabled:bg-gray-800 disabled:cursor-not-allowed text-white py-2 px-4 rounded-lg transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -1,8 +1,16 @@
 import { useState, useEffect, useMemo } from 'react';
 
 const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const PRAYER_NAMES = ['Fajr', 'Sunrise', 'Dhuhr', 'Asr', 'Maghrib', 'Isha'];
 
-export default function EventForm({ event, voices, onSubmit, onCancel, isLoading }) {
+const addMinutes = (time, minutes) => {
+  const [h, m] = time.split(':').map(Number);
+  const total = h * 60 + m + minutes;
+  if (total < 0 || total >= 24 * 60) return null;
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+};
+
+export default function EventForm({ event, voices, events = [], prayerTimes, todayTimes = {}, onSubmit, onCancel, isLoading }) {
   const [formData, setFormData] = useState({
     name: '',
     type: '',
@@ -12,6 +20,11 @@ export default function EventForm({ event, voices, onSubmit, onCancel, isLoading
     endDate: '',
     timeMode: 'fixed',
     fixedTime: '',
+    calculatedPrayer: '',
+    anchor: '',
+    offsetAmount: '',
+    offsetDirection: 'before',
+    missedPolicy: 'fire_late',
     isActive: true,
     weekdays: [],
     inactiveDays: [],
@@ -39,6 +52,11 @@ export default function EventForm({ event, voices, onSubmit, onCancel, isLoading
         endDate: event.endDate || '',
         timeMode: event.timeMode || 'fixed',
         fixedTime: event.fixedTime || '',
+        calculatedPrayer: event.timeMode === 'calculated' && event.timeSource ? event.timeSource.replace('calculated:', '') : '',
+        anchor: event.timeMode === 'relative' ? event.timeSource || '' : '',
+        offsetAmount: event.timeMode === 'relative' ? String(Math.abs(event.offsetMinutes || 0)) : '',
+        offsetDirection: (event.offsetMinutes || 0) < 0 ? 'before' : 'after',
+        missedPolicy: event.missedPolicy || 'fire_late',
         isActive: event.isActive !== undefined ? event.isActive : true,
         weekdays: event.weekdays || [],
         inactiveDays: event.inactiveDays || [],
@@ -113,6 +131,19 @@ export default function EventForm({ event, voices, onSubmit, onCancel, isLoading
     }
   }, [dateList, formData.timeMode]);
 
+  // Other events this one can be anchored to
+  const anchorEvents = events.filter(e => !event || e.id !== event.id);
+
+  // Today's computed time for a relative event, when the anchor's time is known
+  const relativePreview = useMemo(() => {
+    if (formData.timeMode !== 'relative' || !formData.anchor) return null;
+    const [kind, value] = formData.anchor.split(':');
+    const anchorTime = kind === 'calculated' ? prayerTimes?.[value] : todayTimes[value];
+    if (!anchorTime) return null;
+    const amount = parseInt(formData.offsetAmount) || 0;
+    return addMinutes(anchorTime, formData.offsetDirection === 'before' ? -amount : amount);
+  }, [formData.timeMode, formData.anchor, formData.offsetAmount, formData.offsetDirection, prayerTimes, todayTimes]);
+
   const validate = () => {
     const newErrors = {};
     if (!formData.name.trim()) newErrors.name = 'Event name is required';
@@ -135,6 +166,17 @@ export default function EventForm({ event, voices, onSubmit, onCancel, isLoading
       if (!formData.fixedTime) newErrors.fixedTime = 'Time is required';
     }
 
+    if (formData.timeMode === 'calculated') {
+      if (!formData.calculatedPrayer) newErrors.calculatedPrayer = 'Prayer is required';
+    }
+
+    if (formData.timeMode === 'relative') {
+      if (!formData.anchor) newErrors.anchor = 'Anchor is required';
+      if (formData.offsetAmount !== '' && !(parseInt(formData.offsetAmount) >= 0)) {
+        newErrors.offsetAmount = 'Offset must be a positive number of minutes';
+      }
+    }
+
     if (formData.timeMode === 'custom') {
       const missingTimes = customSchedules.some(s => !s.time);
       if (missingTimes) newErrors.schedules = 'All dates must have a time set';
@@ -158,7 +200,14 @@ export default function EventForm({ event, voices, onSubmit, onCancel, isLoading
       startDate: (formData.scheduleMode === 'date_range' || formData.scheduleMode === 'weekly') ? formData.startDate || null : null,
       endDate: (formData.scheduleMode === 'date_range' || formData.scheduleMode === 'weekly') ? formData.endDate || null : null,
       timeMode: formData.timeMode,
-      fixedTime: formData.fixedTime || null,
+      fixedTime: (formData.timeMode === 'fixed' || formData.timeMode === 'custom') ? formData.fixedTime || null : null,
+      timeSource: formData.timeMode === 'calculated'
+        ? `calculated:${formData.calculatedPrayer}`
+        : formData.timeMode === 'relative' ? formData.anchor : null,
+      offsetMinutes: formData.timeMode === 'relative'
+        ? (parseInt(formData.offsetAmount) || 0) * (formData.offsetDirection === 'before' ? -1 : 1)
+        : 0,
+      missedPolicy: formData.missedPolicy,
       isActive: formData.isActive,
       schedules: formData.timeMode === 'custom' ? customSchedules : [],
     };
@@ -431,6 +480,28 @@ export default function EventForm({ event, voices, onSubmit, onCancel, isLoading
             />
             <span className="text-gray-300">Custom per Day</span>
           </label>
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="radio"
+              name="timeMode"
+              value="calculated"
+              checked={formData.timeMode === 'calculated'}
+              onChange={handleChange}
+              className="text-emerald-500 focus:ring-emerald-500"
+            />
+            <span className="text-gray-300">Prayer Time</span>
+          </label>
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="radio"
+              name="timeMode"
+              value="relative"
+              checked={formData.timeMode === 'relative'}
+              onChange={handleChange}
+              className="text-emerald-500 focus:ring-emerald-500"
+            />
+            <span className="text-gray-300">Relative</span>
+          </label>
         </div>
 
         {/* Fixed time input */}
@@ -448,6 +519,100 @@ export default function EventForm({ event, voices, onSubmit, onCancel, isLoading
           </div>
         )}
 
+        {/* Calculated prayer time */}
+        {formData.timeMode === 'calculated' && (
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">
+              Prayer <span className="text-gray-500">(time is calculated daily for the configured location)</span>
+            </label>
+            <select
+              name="calculatedPrayer"
+              value={formData.calculatedPrayer}
+              onChange={handleChange}
+              className="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-emerald-500"
+            >
+              <option value="">Select Prayer</option>
+              {PRAYER_NAMES.map((name) => (
+                <option key={name} value={name}>
+                  {name}
+                </option>
+              ))}
+            </select>
+            {errors.calculatedPrayer && <p className="text-red-400 text-sm mt-1">{errors.calculatedPrayer}</p>}
+            {formData.calculatedPrayer && prayerTimes?.[formData.calculatedPrayer] && (
+              <p className="text-gray-400 text-sm mt-1">
+                Today this event triggers at <span className="text-emerald-400 font-medium">{prayerTimes[formData.calculatedPrayer]}</span>
+              </p>
+            )}
+          </div>
+        )}
+
+        {/* Relative to a prayer or another event */}
+        {formData.timeMode === 'relative' && (
+          <div className="space-y-2">
+            <div className="grid grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">Minutes</label>
+                <input
+                  type="number"
+                  min="0"
+                  name="offsetAmount"
+                  value={formData.offsetAmount}
+                  onChange={handleChange}
+                  placeholder="0"
+                  className="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-emerald-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">Before / After</label>
+                <select
+                  name="offsetDirection"
+                  value={formData.offsetDirection}
+                  onChange={handleChange}
+                  className="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-emerald-500"
+                >
+                  <option value="before">Before</option>
+                  <option value="after">After</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">Anchor</label>
+                <select
+                  name="anchor"
+                  value={formData.anchor}
+                  onChange={handleChange}
+                  className="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-emerald-500"
+                >
+                  <option value="">Select Anchor</option>
+                  <optgroup label="Prayer Times">
+                    {PRAYER_NAMES.map((name) => (
+                      <option key={name} value={`calculated:${name}`}>
+                        {name}
+                      </option>
+                    ))}
+                  </optgroup>
+                  {anchorEvents.length > 0 && (
+                    <optgroup label="Events">
+                      {anchorEvents.map((e) => (
+                        <option key={e.id} value={`event:${e.id}`}>
+                          {e.name}
+                        </option>
+                      ))}
+                    </optgroup>
+                  )}
+                </select>
+              </div>
+            </div>
+            {errors.offsetAmount && <p className="text-red-400 text-sm mt-1">{errors.offsetAmount}</p>}
+            {errors.anchor && <p className="text-red-400 text-sm mt-1">{errors.anchor}</p>}
+            {relativePreview && (
+              <p className="text-gray-400 text-sm">
+                Today this event triggers at <span className="text-emerald-400 font-medium">{relativePreview}</span>
+              </p>
+            )}
+          </div>
+        )}
+
         {/* Custom time mode */}
         {formData.timeMode === 'custom' && (
           <div className="space-y-4">
@@ -585,7 +750,23 @@ export default function EventForm({ event, voices, onSubmit, onCancel, isLoading
         </div>
       </div>
 
-      {/* Section 5: Active Status */}
+      {/* Section 5: Missed Triggers */}
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-1">
+          If Missed <span className="text-gray-500">(e.g. the server was down at the scheduled time)</span>
+        </label>
+        <select
+          name="missedPolicy"
+          value={formData.missedPolicy}
+          onChange={handleChange}
+          className="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-emerald-500"
+        >
+          <option value="fire_late">Trigger late</option>
+          <option value="record_missed">Skip and record as missed</option>
+        </select>
+      </div>
+
+      {/* Section 6: Active Status */}
       <div className="flex items-center gap-2">
         <input
           type="checkbox"
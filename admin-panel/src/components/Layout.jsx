@@ -1,10 +1,58 @@
+import { useState, useEffect } from 'react';
 import { NavLink, useNavigate } from 'react-router-dom';
+import { getMosques, getMe, logout, getCurrentAdmin, setCurrentAdmin, hasPermission } from '../services/api';
 
 export default function Layout({ children }) {
   const navigate = useNavigate();
+  const [mosques, setMosques] = useState([]);
+  const [mosqueId, setMosqueId] = useState(localStorage.getItem('mosqueId') || '');
 
-  const handleLogout = () => {
-    localStorage.removeItem('adminToken');
+  // Pick up role or password-reset changes made since login
+  useEffect(() => {
+    getMe()
+      .then((admin) => {
+        const previous = getCurrentAdmin();
+        setCurrentAdmin(admin);
+        if (previous?.role !== admin.role || previous?.mustChangePassword !== admin.mustChangePassword) {
+          window.location.reload();
+        }
+      })
+      .catch((err) => console.error('Failed to load admin profile', err));
+  }, []);
+
+  useEffect(() => {
+    getMosques()
+      .then((data) => {
+        const active = data.filter((m) => m.isActive);
+        setMosques(active);
+        // Drop a stored selection that no longer exists
+        const stored = localStorage.getItem('mosqueId');
+        if (stored && !active.some((m) => String(m.id) === stored)) {
+          localStorage.removeItem('mosqueId');
+          window.location.reload();
+        }
+      })
+      .catch((err) => console.error('Failed to load mosques', err));
+  }, []);
+
+  // Every page shows data of the selected mosque, so reload on change
+  const handleMosqueChange = (e) => {
+    const id = e.target.value;
+    if (id) {
+      localStorage.setItem('mosqueId', id);
+    } else {
+      localStorage.removeItem('mosqueId');
+    }
+    setMosqueId(id);
+    window.location.reload();
+  };
+
+  const handleLogout = async () => {
+    try {
+      await logout();
+    } catch (err) {
+      console.error('Logout failed', err);
+    }
     navigate('/login');
   };
 
@@ -46,11 +94,29 @@ export default function Layout({ children }) {
             Events
           </NavLink>
 
-          <NavLink to="/live" className={navLinkClass}>
+          {hasPermission('announcements:broadcast') && (
+            <NavLink to="/live" className={navLinkClass}>
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 11a7 7 0 01-7 7m0 0a7 7 0 01-7-7m7 7v4m0 0H8m4 0h4m-4-8a3 3 0 01-3-3V5a3 3 0 116 0v6a3 3 0 01-3 3z" />
+              </svg>
+              Live Announcement
+            </NavLink>
+          )}
+
+          {hasPermission('announcements:broadcast') && (
+            <NavLink to="/scheduled-announcements" className={navLinkClass}>
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+              </svg>
+              Scheduled Announcements
+            </NavLink>
+          )}
+
+          <NavLink to="/notification-templates" className={navLinkClass}>
             <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 11a7 7 0 01-7 7m0 0a7 7 0 01-7-7m7 7v4m0 0H8m4 0h4m-4-8a3 3 0 01-3-3V5a3 3 0 116 0v6a3 3 0 01-3 3z" />
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 5h12M9 3v2m1.048 9.5A18.022 18.022 0 016.412 9m6.088 9h7M11 21l5-10 5 10M12.751 5C11.783 10.77 8.07 15.61 3 18.129" />
             </svg>
-            Live Announcement
+            Notification Texts
           </NavLink>
 
           <NavLink to="/users" className={navLinkClass}>
@@ -59,6 +125,43 @@ export default function Layout({ children }) {
             </svg>
             Users
           </NavLink>
+
+          {hasPermission('admins:manage') && (
+            <NavLink to="/admins" className={navLinkClass}>
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
+              </svg>
+              Admins
+            </NavLink>
+          )}
+
+          {hasPermission('audit:read') && (
+            <NavLink to="/audit" className={navLinkClass}>
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01" />
+              </svg>
+              Audit Log
+            </NavLink>
+          )}
+
+          {hasPermission('settings:manage') && (
+            <NavLink to="/mosques" className={navLinkClass}>
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16m14 0h2m-2 0h-5m-9 0H3m2 0h5M9 7h1m-1 4h1m4-4h1m-1 4h1m-5 10v-5a1 1 0 011-1h2a1 1 0 011 1v5m-4 0h4" />
+              </svg>
+              Mosques
+            </NavLink>
+          )}
+
+          {hasPermission('settings:manage') && (
+            <NavLink to="/settings" className={navLinkClass}>
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" />
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+              </svg>
+              Settings
+            </NavLink>
+          )}
         </nav>
       </aside>
 
@@ -66,16 +169,40 @@ export default function Layout({ children }) {
       <div className="flex-1 flex flex-col">
         {/* Header */}
         <header className="bg-gray-800 border-b border-gray-700 px-6 py-4 flex justify-between items-center">
-          <h2 className="text-xl font-semibold text-white">Admin Panel</h2>
-          <button
-            onClick={handleLogout}
-            className="flex items-center gap-2 px-4 py-2 text-gray-300 hover:text-white hover:bg-gray-700 rounded-lg transition-colors"
-          >
-            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
-            </svg>
-            Logout
-          </button>
+          <div className="flex items-center gap-4">
+            <h2 className="text-xl font-semibold text-white">Admin Panel</h2>
+            {mosques.length > 1 && (
+              <select
+                value={mosqueId}
+                onChange={handleMosqueChange}
+                className="bg-gray-700 border border-gray-600 rounded-lg px-3 py-1.5 text-white text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+              >
+                <option value="">Default mosque</option>
+                {mosques.map((m) => (
+                  <option key={m.id} value={m.id}>
+                    {m.name}
+                  </option>
+                ))}
+              </select>
+            )}
+          </div>
+          <div className="flex items-center gap-2">
+            <NavLink
+              to="/change-password"
+              className="px-4 py-2 text-gray-300 hover:text-white hover:bg-gray-700 rounded-lg transition-colors"
+            >
+              {getCurrentAdmin()?.username || 'Account'}
+            </NavLink>
+            <button
+              onClick={handleLogout}
+              className="flex items-center gap-2 px-4 py-2 text-gray-300 hover:text-white hover:bg-gray-700 rounded-lg transition-colors"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
+              </svg>
+              Logout
+            </button>
+          </div>
         </header>
 
         {/* Page content */}
@@ -0,0 +1,238 @@
+import { useState } from 'react';
+
+const TIMEZONES = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [];
+
+const CALCULATION_METHODS = [
+  { value: 'MWL', label: 'Muslim World League' },
+  { value: 'ISNA', label: 'Islamic Society of North America' },
+  { value: 'Egypt', label: 'Egyptian General Authority of Survey' },
+  { value: 'Makkah', label: 'Umm al-Qura University, Makkah' },
+  { value: 'Karachi', label: 'University of Islamic Sciences, Karachi' },
+  { value: 'Tehran', label: 'Institute of Geophysics, University of Tehran' },
+  { value: 'Jafari', label: 'Shia Ithna-Ashari, Leva Institute, Qum' },
+  { value: 'Gulf', label: 'Gulf Region' },
+  { value: 'Kuwait', label: 'Kuwait' },
+  { value: 'Qatar', label: 'Qatar' },
+  { value: 'Singapore', label: 'Majlis Ugama Islam Singapura' },
+  { value: 'Turkey', label: 'Diyanet Isleri Baskanligi, Turkey' },
+];
+
+const HIGH_LAT_RULES = [
+  { value: 'NightMiddle', label: 'Middle of the night' },
+  { value: 'OneSeventh', label: 'One-seventh of the night' },
+  { value: 'AngleBased', label: 'Angle based' },
+  { value: 'None', label: 'None' },
+];
+
+const inputClass = 'w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-emerald-500';
+
+export default function MosqueForm({ mosque, onSubmit, onCancel, isLoading }) {
+  // The form is mounted fresh for each add/edit, so props only seed the state
+  const [formData, setFormData] = useState({
+    name: mosque?.name || '',
+    timezone: mosque?.timezone || '',
+    latitude: mosque?.latitude ?? '',
+    longitude: mosque?.longitude ?? '',
+    calculationMethod: mosque?.calculationMethod || 'MWL',
+    asrMethod: mosque?.asrMethod || 'Standard',
+    highLatRule: mosque?.highLatRule || 'NightMiddle',
+    announcementSound: mosque?.announcementSound !== undefined ? mosque.announcementSound : true,
+    isActive: mosque?.isActive !== undefined ? mosque.isActive : true,
+  });
+  const [errors, setErrors] = useState({});
+
+  const validate = () => {
+    const newErrors = {};
+    if (!formData.name.trim()) newErrors.name = 'Mosque name is required';
+    const hasLat = formData.latitude !== '';
+    const hasLng = formData.longitude !== '';
+    if (hasLat !== hasLng) newErrors.location = 'Enter both latitude and longitude, or neither';
+    if (hasLat && (isNaN(formData.latitude) || Math.abs(formData.latitude) > 90)) {
+      newErrors.location = 'Latitude must be between -90 and 90';
+    }
+    if (hasLng && (isNaN(formData.longitude) || Math.abs(formData.longitude) > 180)) {
+      newErrors.location = 'Longitude must be between -180 and 180';
+    }
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!validate()) return;
+
+    onSubmit({
+      ...formData,
+      timezone: formData.timezone || null,
+      latitude: formData.latitude === '' ? null : Number(formData.latitude),
+      longitude: formData.longitude === '' ? null : Number(formData.longitude),
+    });
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value,
+    }));
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: null }));
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {/* Name */}
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-1">Mosque Name</label>
+        <input
+          type="text"
+          name="name"
+          value={formData.name}
+          onChange={handleChange}
+          placeholder="e.g. Jama Masjid"
+          className={inputClass}
+        />
+        {errors.name && <p className="text-red-400 text-sm mt-1">{errors.name}</p>}
+      </div>
+
+      {/* Timezone */}
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-1">Timezone</label>
+        {TIMEZONES.length > 0 ? (
+          <select name="timezone" value={formData.timezone} onChange={handleChange} className={inputClass}>
+            <option value="">Server default</option>
+            {formData.timezone && !TIMEZONES.includes(formData.timezone) && (
+              <option value={formData.timezone}>{formData.timezone}</option>
+            )}
+            {TIMEZONES.map((tz) => (
+              <option key={tz} value={tz}>
+                {tz}
+              </option>
+            ))}
+          </select>
+        ) : (
+          <input
+            type="text"
+            name="timezone"
+            value={formData.timezone}
+            onChange={handleChange}
+            placeholder="Server default"
+            className={inputClass}
+          />
+        )}
+      </div>
+
+      {/* Location */}
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-1">Location</label>
+        <div className="grid grid-cols-2 gap-3">
+          <input
+            type="number"
+            step="any"
+            name="latitude"
+            value={formData.latitude}
+            onChange={handleChange}
+            placeholder="Latitude"
+            className={inputClass}
+          />
+          <input
+            type="number"
+            step="any"
+            name="longitude"
+            value={formData.longitude}
+            onChange={handleChange}
+            placeholder="Longitude"
+            className={inputClass}
+          />
+        </div>
+        {errors.location ? (
+          <p className="text-red-400 text-sm mt-1">{errors.location}</p>
+        ) : (
+          <p className="text-gray-500 text-xs mt-1">Required for events that use calculated prayer times</p>
+        )}
+      </div>
+
+      {/* Calculation */}
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-1">Calculation Method</label>
+        <select name="calculationMethod" value={formData.calculationMethod} onChange={handleChange} className={inputClass}>
+          {CALCULATION_METHODS.map((m) => (
+            <option key={m.value} value={m.value}>
+              {m.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Asr</label>
+          <select name="asrMethod" value={formData.asrMethod} onChange={handleChange} className={inputClass}>
+            <option value="Standard">Standard</option>
+            <option value="Hanafi">Hanafi</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">High Latitudes</label>
+          <select name="highLatRule" value={formData.highLatRule} onChange={handleChange} className={inputClass}>
+            {HIGH_LAT_RULES.map((r) => (
+              <option key={r.value} value={r.value}>
+                {r.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* Announcement pushes */}
+      <div className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          name="announcementSound"
+          id="mosqueAnnouncementSound"
+          checked={formData.announcementSound}
+          onChange={handleChange}
+          className="w-4 h-4 rounded border-gray-600 bg-gray-700 text-emerald-500 focus:ring-emerald-500"
+        />
+        <label htmlFor="mosqueAnnouncementSound" className="text-sm text-gray-300">
+          Announcement notifications play a sound (off: shown silently)
+        </label>
+      </div>
+
+      {/* Active Status */}
+      <div className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          name="isActive"
+          id="mosqueIsActive"
+          checked={formData.isActive}
+          onChange={handleChange}
+          className="w-4 h-4 rounded border-gray-600 bg-gray-700 text-emerald-500 focus:ring-emerald-500"
+        />
+        <label htmlFor="mosqueIsActive" className="text-sm text-gray-300">
+          Active (triggers are scheduled)
+        </label>
+      </div>
+
+      {/* Buttons */}
+      <div className="flex gap-3 pt-4">
+        <button
+          type="submit"
+          disabled={isLoading}
+          className="flex-1 bg-emerald-600 hover:bg-emerald-700 disabled:bg-emerald-800 disabled:cursor-not-allowed text-white py-2 px-4 rounded-lg transition-colors"
+        >
+          {isLoading ? 'Saving...' : mosque ? 'Update Mosque' : 'Add Mosque'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={isLoading}
+          className="flex-1 bg-gray-600 hover:bg-gray-700 disabled:bg-gray-800 disabled:cursor-not-allowed text-white py-2 px-4 rounded-lg transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
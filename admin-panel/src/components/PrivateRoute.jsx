@@ -1,11 +1,18 @@
-import { Navigate } from 'react-router-dom';
+import { Navigate, useLocation } from 'react-router-dom';
+import { getCurrentAdmin } from '../services/api';
 
 export default function PrivateRoute({ children }) {
+  const location = useLocation();
   const token = localStorage.getItem('adminToken');
 
   if (!token) {
     return <Navigate to="/login" replace />;
   }
 
+  // A reset password must be replaced before anything else
+  if (getCurrentAdmin()?.mustChangePassword && location.pathname !== '/change-password') {
+    return <Navigate to="/change-password" replace />;
+  }
+
   return children;
 }
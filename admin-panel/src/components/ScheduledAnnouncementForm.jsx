@@ -0,0 +1,348 @@
+import { useState } from 'react';
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// How long each sent notice stays on the board, in minutes
+const EXPIRY_OPTIONS = [
+  ['', 'Until removed'],
+  ['60', '1 hour'],
+  ['360', '6 hours'],
+  ['1440', '1 day'],
+  ['4320', '3 days'],
+  ['10080', '1 week'],
+];
+
+const inputClass = 'w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-emerald-500';
+
+export default function ScheduledAnnouncementForm({ announcement, onSubmit, onCancel, isLoading }) {
+  // The modal mounts a fresh form for each announcement
+  const [formData, setFormData] = useState(() => ({
+    title: announcement?.title || '',
+    body: announcement?.body || '',
+    expiresAfterMinutes: announcement?.expiresAfterMinutes ? String(announcement.expiresAfterMinutes) : '',
+    isPinned: announcement?.isPinned || false,
+    removeAudio: false,
+    removeImage: false,
+    scheduleMode: announcement?.scheduleMode || 'once',
+    startDate: announcement?.startDate || '',
+    endDate: announcement?.endDate || '',
+    time: announcement?.time || '',
+    weekdays: announcement?.weekdays || [],
+  }));
+  const [audioFile, setAudioFile] = useState(null);
+  const [imageFile, setImageFile] = useState(null);
+  const [errors, setErrors] = useState({});
+
+  const keepsAudio = Boolean(announcement?.audioUrl) && !formData.removeAudio;
+  const keepsImage = Boolean(announcement?.imageUrl) && !formData.removeImage;
+
+  const validate = () => {
+    const newErrors = {};
+    if (!formData.title.trim()) newErrors.title = 'Title is required';
+    if (!formData.body.trim() && !audioFile && !keepsAudio) newErrors.body = 'Add a message or an audio file';
+    if (!formData.body.trim() && (imageFile || keepsImage)) newErrors.body = 'A picture needs a message to go with it';
+    if (!formData.time) newErrors.time = 'Time is required';
+    if (formData.scheduleMode === 'once' && !formData.startDate) newErrors.startDate = 'Date is required';
+    if (formData.scheduleMode === 'weekly' && formData.weekdays.length === 0) {
+      newErrors.weekdays = 'Select at least one weekday';
+    }
+    if (formData.scheduleMode !== 'once' && formData.startDate && formData.endDate && formData.endDate < formData.startDate) {
+      newErrors.endDate = 'End date must be on or after the start date';
+    }
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!validate()) return;
+
+    const data = new FormData();
+    data.append('title', formData.title);
+    data.append('body', formData.body);
+    data.append('expiresAfterMinutes', formData.expiresAfterMinutes);
+    data.append('isPinned', formData.isPinned);
+    data.append('scheduleMode', formData.scheduleMode);
+    data.append('time', formData.time);
+    data.append('startDate', formData.startDate);
+    if (formData.scheduleMode !== 'once') data.append('endDate', formData.endDate);
+    if (formData.scheduleMode === 'weekly') data.append('weekdays', JSON.stringify(formData.weekdays));
+    if (audioFile) data.append('audioFile', audioFile);
+    else if (formData.removeAudio) data.append('removeAudio', 'true');
+    if (imageFile) data.append('imageFile', imageFile);
+    else if (formData.removeImage) data.append('removeImage', 'true');
+
+    onSubmit(data);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: null }));
+    }
+  };
+
+  const toggleWeekday = (day) => {
+    setFormData((prev) => {
+      const weekdays = prev.weekdays.includes(day)
+        ? prev.weekdays.filter((d) => d !== day)
+        : [...prev.weekdays, day].sort();
+      return { ...prev, weekdays };
+    });
+    if (errors.weekdays) setErrors((prev) => ({ ...prev, weekdays: null }));
+  };
+
+  const handleCheckboxChange = (e) => {
+    const { name, checked } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: checked }));
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      if (!file.type.startsWith('audio/')) {
+        setErrors((prev) => ({ ...prev, audio: 'Please select an audio file' }));
+        return;
+      }
+      setAudioFile(file);
+      setErrors((prev) => ({ ...prev, audio: null, body: null }));
+    }
+  };
+
+  const handleImageChange = (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      if (!file.type.startsWith('image/')) {
+        setErrors((prev) => ({ ...prev, image: 'Please select an image file' }));
+        return;
+      }
+      setImageFile(file);
+      setErrors((prev) => ({ ...prev, image: null }));
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {/* Title */}
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-1">Title</label>
+        <input
+          type="text"
+          name="title"
+          value={formData.title}
+          onChange={handleChange}
+          placeholder="e.g. Jumuah reminder"
+          className={inputClass}
+        />
+        {errors.title && <p className="text-red-400 text-sm mt-1">{errors.title}</p>}
+      </div>
+
+      {/* Message */}
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-1">
+          Message <span className="text-gray-500">(optional with audio)</span>
+        </label>
+        <textarea
+          name="body"
+          rows={3}
+          value={formData.body}
+          onChange={handleChange}
+          placeholder="e.g. Jumuah khutbah starts at 1:15 pm"
+          className={inputClass}
+        />
+        {errors.body && <p className="text-red-400 text-sm mt-1">{errors.body}</p>}
+      </div>
+
+      {/* Audio File */}
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-1">
+          Audio File <span className="text-gray-500">(optional with a message)</span>
+        </label>
+        <input
+          type="file"
+          accept="audio/*"
+          onChange={handleFileChange}
+          className={`${inputClass} file:mr-4 file:py-1 file:px-4 file:rounded-lg file:border-0 file:bg-emerald-600 file:text-white file:cursor-pointer`}
+        />
+        {audioFile && (
+          <p className="text-emerald-400 text-sm mt-1">Selected: {audioFile.name}</p>
+        )}
+        {announcement?.audioUrl && !audioFile && (
+          <label className="flex items-center gap-2 text-sm text-gray-400 mt-1">
+            <input
+              type="checkbox"
+              name="removeAudio"
+              checked={formData.removeAudio}
+              onChange={handleCheckboxChange}
+              className="w-4 h-4 rounded border-gray-600 bg-gray-700 text-emerald-500 focus:ring-emerald-500"
+            />
+            Remove the current audio file (otherwise it is kept)
+          </label>
+        )}
+        {errors.audio && <p className="text-red-400 text-sm mt-1">{errors.audio}</p>}
+      </div>
+
+      {/* Picture */}
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-1">
+          Picture <span className="text-gray-500">(optional, with a message)</span>
+        </label>
+        <input
+          type="file"
+          accept="image/*"
+          onChange={handleImageChange}
+          className={`${inputClass} file:mr-4 file:py-1 file:px-4 file:rounded-lg file:border-0 file:bg-emerald-600 file:text-white file:cursor-pointer`}
+        />
+        {imageFile && (
+          <p className="text-emerald-400 text-sm mt-1">Selected: {imageFile.name}</p>
+        )}
+        {announcement?.imageUrl && !imageFile && (
+          <label className="flex items-center gap-2 text-sm text-gray-400 mt-1">
+            <input
+              type="checkbox"
+              name="removeImage"
+              checked={formData.removeImage}
+              onChange={handleCheckboxChange}
+              className="w-4 h-4 rounded border-gray-600 bg-gray-700 text-emerald-500 focus:ring-emerald-500"
+            />
+            Remove the current picture (otherwise it is kept)
+          </label>
+        )}
+        {errors.image && <p className="text-red-400 text-sm mt-1">{errors.image}</p>}
+      </div>
+
+      {/* Notice board */}
+      <div className="grid grid-cols-2 gap-4 items-end">
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Keep on notice board</label>
+          <select name="expiresAfterMinutes" value={formData.expiresAfterMinutes} onChange={handleChange} className={inputClass}>
+            {EXPIRY_OPTIONS.map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+            {!EXPIRY_OPTIONS.some(([value]) => value === formData.expiresAfterMinutes) && (
+              <option value={formData.expiresAfterMinutes}>{formData.expiresAfterMinutes} minutes</option>
+            )}
+          </select>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-300 pb-2">
+          <input
+            type="checkbox"
+            name="isPinned"
+            checked={formData.isPinned}
+            onChange={handleCheckboxChange}
+            className="w-4 h-4 rounded border-gray-600 bg-gray-700 text-emerald-500 focus:ring-emerald-500"
+          />
+          Pin to the top of the notice board
+        </label>
+      </div>
+
+      {/* Schedule */}
+      <div className="space-y-4">
+        <h3 className="text-sm font-semibold text-gray-400 uppercase tracking-wider">Schedule</h3>
+
+        <div className="flex gap-4">
+          {[['once', 'Once'], ['daily', 'Daily'], ['weekly', 'Weekly']].map(([value, label]) => (
+            <label key={value} className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="radio"
+                name="scheduleMode"
+                value={value}
+                checked={formData.scheduleMode === value}
+                onChange={handleChange}
+                className="text-emerald-500 focus:ring-emerald-500"
+              />
+              <span className="text-gray-300">{label}</span>
+            </label>
+          ))}
+        </div>
+
+        {formData.scheduleMode === 'weekly' && (
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Select Days</label>
+            <div className="flex gap-2">
+              {WEEKDAY_NAMES.map((name, index) => (
+                <button
+                  key={index}
+                  type="button"
+                  onClick={() => toggleWeekday(index)}
+                  className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                    formData.weekdays.includes(index)
+                      ? 'bg-emerald-600 text-white'
+                      : 'bg-gray-700 text-gray-400 hover:bg-gray-600'
+                  }`}
+                >
+                  {name}
+                </button>
+              ))}
+            </div>
+            {errors.weekdays && <p className="text-red-400 text-sm mt-1">{errors.weekdays}</p>}
+          </div>
+        )}
+
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">
+              {formData.scheduleMode === 'once' ? 'Date' : 'Start Date'}
+              {formData.scheduleMode !== 'once' && <span className="text-gray-500"> (optional)</span>}
+            </label>
+            <input
+              type="date"
+              name="startDate"
+              value={formData.startDate}
+              onChange={handleChange}
+              className={inputClass}
+            />
+            {errors.startDate && <p className="text-red-400 text-sm mt-1">{errors.startDate}</p>}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Time</label>
+            <input
+              type="time"
+              name="time"
+              value={formData.time}
+              onChange={handleChange}
+              className={inputClass}
+            />
+            {errors.time && <p className="text-red-400 text-sm mt-1">{errors.time}</p>}
+          </div>
+          {formData.scheduleMode !== 'once' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">
+                End Date <span className="text-gray-500">(optional)</span>
+              </label>
+              <input
+                type="date"
+                name="endDate"
+                value={formData.endDate}
+                onChange={handleChange}
+                className={inputClass}
+              />
+              {errors.endDate && <p className="text-red-400 text-sm mt-1">{errors.endDate}</p>}
+            </div>
+          )}
+        </div>
+        <p className="text-gray-500 text-xs">Times are in the mosque&apos;s timezone.</p>
+      </div>
+
+      {/* Buttons */}
+      <div className="flex gap-3 pt-4">
+        <button
+          type="submit"
+          disabled={isLoading}
+          className="flex-1 bg-emerald-600 hover:bg-emerald-700 disabled:bg-emerald-800 disabled:cursor-not-allowed text-white py-2 px-4 rounded-lg transition-colors"
+        >
+          {isLoading ? 'Saving...' : announcement ? 'Update Announcement' : 'Schedule Announcement'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={isLoading}
+          className="flex-1 bg-gray-600 hover:bg-gray-700 disabled:bg-gray-800 disabled:cursor-not-allowed text-white py-2 px-4 rounded-lg transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
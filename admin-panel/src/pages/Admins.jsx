@@ -0,0 +1,362 @@
+import { useState, useEffect } from 'react';
+import {
+  getAdminAccounts,
+  createAdminAccount,
+  updateAdminAccount,
+  deleteAdminAccount,
+  resetAdminPassword,
+  getMosques,
+  getCurrentAdmin,
+} from '../services/api';
+import AdminForm from '../components/AdminForm';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const ROLE_LABELS = {
+  super_admin: 'Super Admin',
+  scheduler: 'Scheduler',
+  announcer: 'Announcer',
+  viewer: 'Viewer',
+};
+
+export default function Admins() {
+  const currentAdminId = getCurrentAdmin()?.id;
+  const [admins, setAdmins] = useState([]);
+  const [mosques, setMosques] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [showModal, setShowModal] = useState(false);
+  const [editingAdmin, setEditingAdmin] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [deleteConfirm, setDeleteConfirm] = useState(null);
+  const [resetTarget, setResetTarget] = useState(null);
+  const [resetPassword, setResetPassword] = useState('');
+
+  useEffect(() => {
+    fetchAdmins();
+    getMosques()
+      .then(setMosques)
+      .catch((err) => console.error('Failed to load mosques', err));
+  }, []);
+
+  const fetchAdmins = async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+      const data = await getAdminAccounts();
+      setAdmins(data);
+    } catch (err) {
+      setError('Failed to load admins');
+      console.error(err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const showSuccess = (message) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(''), 3000);
+  };
+
+  const handleAddAdmin = () => {
+    setEditingAdmin(null);
+    setShowModal(true);
+  };
+
+  const handleEditAdmin = (admin) => {
+    setEditingAdmin(admin);
+    setShowModal(true);
+  };
+
+  const handleCloseModal = () => {
+    setShowModal(false);
+    setEditingAdmin(null);
+  };
+
+  const handleSubmit = async (data) => {
+    try {
+      setIsSubmitting(true);
+      setError('');
+
+      if (editingAdmin) {
+        await updateAdminAccount(editingAdmin.id, data);
+        showSuccess('Admin updated successfully');
+      } else {
+        await createAdminAccount(data);
+        showSuccess('Admin added successfully');
+      }
+
+      handleCloseModal();
+      fetchAdmins();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save admin');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      setError('');
+      await deleteAdminAccount(id);
+      showSuccess('Admin deleted successfully');
+      setDeleteConfirm(null);
+      fetchAdmins();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete admin');
+      setDeleteConfirm(null);
+    }
+  };
+
+  const handleResetPassword = async (e) => {
+    e.preventDefault();
+    if (resetPassword.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+    try {
+      setIsSubmitting(true);
+      setError('');
+      await resetAdminPassword(resetTarget.id, resetPassword);
+      showSuccess(`Password reset for ${resetTarget.username}`);
+      setResetTarget(null);
+      setResetPassword('');
+      fetchAdmins();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to reset password');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const formatDateTime = (dateStr) => {
+    if (!dateStr) return '—';
+    return new Date(dateStr).toLocaleString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-white">Admins</h1>
+          <p className="text-gray-400 mt-1">Admin panel accounts and their roles</p>
+        </div>
+        <button
+          onClick={handleAddAdmin}
+          className="flex items-center gap-2 bg-emerald-600 hover:bg-emerald-700 text-white px-4 py-2 rounded-lg transition-colors"
+        >
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+          </svg>
+          Add Admin
+        </button>
+      </div>
+
+      {/* Messages */}
+      {error && (
+        <div className="bg-red-900/50 border border-red-500 text-red-300 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="bg-green-900/50 border border-green-500 text-green-300 px-4 py-3 rounded-lg">
+          {success}
+        </div>
+      )}
+
+      {/* Table */}
+      <div className="bg-gray-800 rounded-xl border border-gray-700 overflow-hidden">
+        {isLoading ? (
+          <div className="flex items-center justify-center h-64">
+            <div className="animate-spin w-8 h-8 border-4 border-emerald-500 border-t-transparent rounded-full" />
+          </div>
+        ) : admins.length === 0 ? (
+          <div className="p-12 text-center">
+            <h3 className="text-white font-medium mb-1">No admins found</h3>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-750 border-b border-gray-700">
+                <tr>
+                  <th className="text-left px-6 py-4 text-sm font-medium text-gray-300">Username</th>
+                  <th className="text-left px-6 py-4 text-sm font-medium text-gray-300">Role</th>
+                  <th className="text-left px-6 py-4 text-sm font-medium text-gray-300">Mosque</th>
+                  <th className="text-left px-6 py-4 text-sm font-medium text-gray-300">Status</th>
+                  <th className="text-left px-6 py-4 text-sm font-medium text-gray-300">Last Login</th>
+                  <th className="text-right px-6 py-4 text-sm font-medium text-gray-300">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-700">
+                {admins.map((admin) => (
+                  <tr key={admin.id} className="hover:bg-gray-750">
+                    <td className="px-6 py-4">
+                      <span className="font-medium text-white">{admin.username}</span>
+                      {admin.id === currentAdminId && <span className="text-gray-500 text-sm ml-2">(you)</span>}
+                    </td>
+                    <td className="px-6 py-4 text-gray-300 text-sm">{ROLE_LABELS[admin.role] || admin.role}</td>
+                    <td className="px-6 py-4 text-gray-300 text-sm">
+                      {admin.mosque?.name || <span className="text-gray-500">All mosques</span>}
+                    </td>
+                    <td className="px-6 py-4">
+                      <span
+                        className={`px-3 py-1 rounded-full text-xs font-medium ${
+                          admin.isActive
+                            ? 'bg-green-900/50 text-green-400'
+                            : 'bg-gray-700 text-gray-400'
+                        }`}
+                      >
+                        {admin.isActive ? 'Active' : 'Disabled'}
+                      </span>
+                      {admin.mustChangePassword && (
+                        <span className="ml-2 px-3 py-1 rounded-full text-xs font-medium bg-amber-900/50 text-amber-400">
+                          Password reset pending
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-gray-400 text-sm">{formatDateTime(admin.lastLoginAt)}</td>
+                    <td className="px-6 py-4">
+                      <div className="flex justify-end gap-2">
+                        <button
+                          onClick={() => handleEditAdmin(admin)}
+                          className="p-2 text-gray-400 hover:text-white hover:bg-gray-700 rounded-lg transition-colors"
+                          title="Edit"
+                        >
+                          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                          </svg>
+                        </button>
+                        <button
+                          onClick={() => setResetTarget(admin)}
+                          className="p-2 text-gray-400 hover:text-amber-400 hover:bg-gray-700 rounded-lg transition-colors"
+                          title="Reset password"
+                        >
+                          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 7a2 2 0 012 2m4 0a6 6 0 01-7.743 5.743L11 17H9v2H7v2H4a1 1 0 01-1-1v-2.586a1 1 0 01.293-.707l5.964-5.964A6 6 0 1121 9z" />
+                          </svg>
+                        </button>
+                        {admin.id !== currentAdminId && (
+                          <button
+                            onClick={() => setDeleteConfirm(admin)}
+                            className="p-2 text-gray-400 hover:text-red-400 hover:bg-gray-700 rounded-lg transition-colors"
+                            title="Delete"
+                          >
+                            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                            </svg>
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Add/Edit Modal */}
+      {showModal && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+          <div className="bg-gray-800 rounded-xl w-full max-w-md border border-gray-700">
+            <div className="p-6 border-b border-gray-700">
+              <h2 className="text-xl font-semibold text-white">
+                {editingAdmin ? 'Edit Admin' : 'Add New Admin'}
+              </h2>
+            </div>
+            <div className="p-6">
+              <AdminForm
+                admin={editingAdmin}
+                mosques={mosques}
+                onSubmit={handleSubmit}
+                onCancel={handleCloseModal}
+                isLoading={isSubmitting}
+              />
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Reset Password Modal */}
+      {resetTarget && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+          <form onSubmit={handleResetPassword} className="bg-gray-800 rounded-xl w-full max-w-sm border border-gray-700 p-6 space-y-4">
+            <h3 className="text-lg font-semibold text-white">Reset Password</h3>
+            <p className="text-gray-400 text-sm">
+              Set a temporary password for <strong className="text-white">{resetTarget.username}</strong>.
+              They will be signed out and must choose a new password at next login.
+            </p>
+            <input
+              type="password"
+              value={resetPassword}
+              onChange={(e) => setResetPassword(e.target.value)}
+              placeholder="Temporary password"
+              className="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-emerald-500"
+            />
+            <div className="flex gap-3">
+              <button
+                type="button"
+                onClick={() => {
+                  setResetTarget(null);
+                  setResetPassword('');
+                }}
+                className="flex-1 bg-gray-700 hover:bg-gray-600 text-white py-2 px-4 rounded-lg transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="flex-1 bg-amber-600 hover:bg-amber-700 disabled:bg-amber-800 text-white py-2 px-4 rounded-lg transition-colors"
+              >
+                Reset
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Delete Confirmation Modal */}
+      {deleteConfirm && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+          <div className="bg-gray-800 rounded-xl w-full max-w-sm border border-gray-700 p-6">
+            <div className="text-center">
+              <div className="w-16 h-16 bg-red-900/50 rounded-full flex items-center justify-center mx-auto mb-4">
+                <svg className="w-8 h-8 text-red-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
+                </svg>
+              </div>
+              <h3 className="text-lg font-semibold text-white mb-2">Delete Admin</h3>
+              <p className="text-gray-400 mb-6">
+                Are you sure you want to delete <strong className="text-white">{deleteConfirm.username}</strong>? This action cannot be undone.
+              </p>
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setDeleteConfirm(null)}
+                  className="flex-1 bg-gray-700 hover:bg-gray-600 text-white py-2 px-4 rounded-lg transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={() => handleDelete(deleteConfirm.id)}
+                  className="flex-1 bg-red-600 hover:bg-red-700 text-white py-2 px-4 rounded-lg transition-colors"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
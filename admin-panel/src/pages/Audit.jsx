@@ -0,0 +1,232 @@
+import { useState, useEffect } from 'react';
+import { getAuditLogs } from '../services/api';
+
+const PAGE_SIZE = 50;
+
+const ENTITY_TYPES = ['event', 'voice', 'prayer', 'mosque', 'admin', 'settings', 'announcement', 'scheduled_announcement', 'notification_template'];
+const ACTIONS = ['create', 'update', 'delete', 'broadcast', 'cancel', 'reset_password', 'change_password'];
+
+const EMPTY_FILTERS = { entityType: '', action: '', entityId: '', from: '', to: '' };
+
+const ACTION_STYLES = {
+  create: 'bg-emerald-600/20 text-emerald-400',
+  update: 'bg-blue-600/20 text-blue-400',
+  delete: 'bg-red-600/20 text-red-400',
+};
+
+const inputClass = 'w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500';
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+export default function Audit() {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [offset, setOffset] = useState(0);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  // Filters of the page shown, used when paging
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchEntries(0, EMPTY_FILTERS);
+  }, []);
+
+  const fetchEntries = async (nextOffset, activeFilters) => {
+    try {
+      setIsLoading(true);
+      setError('');
+      const params = { limit: PAGE_SIZE, offset: nextOffset };
+      for (const [key, value] of Object.entries(activeFilters)) {
+        if (value) params[key] = value;
+      }
+      const data = await getAuditLogs(params);
+      setEntries(data.entries);
+      setTotal(data.total);
+      setOffset(nextOffset);
+      setAppliedFilters(activeFilters);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load audit log');
+      console.error(err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+  };
+
+  const handleApply = (e) => {
+    e.preventDefault();
+    fetchEntries(0, filters);
+  };
+
+  const handleClear = () => {
+    setFilters(EMPTY_FILTERS);
+    fetchEntries(0, EMPTY_FILTERS);
+  };
+
+  const formatDateTime = (dateStr) => {
+    if (!dateStr) return '—';
+    return new Date(dateStr).toLocaleString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    });
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-white">Audit Log</h1>
+        <p className="text-gray-400 mt-1">Changes made by admins</p>
+      </div>
+
+      {/* Filters */}
+      <form onSubmit={handleApply} className="bg-gray-800 rounded-xl border border-gray-700 p-4">
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+          <select name="entityType" value={filters.entityType} onChange={handleFilterChange} className={inputClass}>
+            <option value="">All entities</option>
+            {ENTITY_TYPES.map((type) => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+          <select name="action" value={filters.action} onChange={handleFilterChange} className={inputClass}>
+            <option value="">All actions</option>
+            {ACTIONS.map((action) => (
+              <option key={action} value={action}>{action.replace('_', ' ')}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            name="entityId"
+            min="1"
+            placeholder="Entity ID"
+            value={filters.entityId}
+            onChange={handleFilterChange}
+            className={inputClass}
+          />
+          <input type="date" name="from" value={filters.from} onChange={handleFilterChange} className={inputClass} />
+          <input type="date" name="to" value={filters.to} onChange={handleFilterChange} className={inputClass} />
+        </div>
+        <div className="flex justify-end gap-3 mt-3">
+          <button
+            type="button"
+            onClick={handleClear}
+            className="bg-gray-700 hover:bg-gray-600 text-white py-2 px-4 rounded-lg transition-colors text-sm"
+          >
+            Clear
+          </button>
+          <button
+            type="submit"
+            className="bg-emerald-600 hover:bg-emerald-700 text-white py-2 px-4 rounded-lg transition-colors text-sm"
+          >
+            Apply
+          </button>
+        </div>
+      </form>
+
+      {/* Error */}
+      {error && (
+        <div className="bg-red-900/50 border border-red-500 text-red-300 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {/* Table */}
+      <div className="bg-gray-800 rounded-xl border border-gray-700 overflow-hidden">
+        {isLoading ? (
+          <div className="flex items-center justify-center h-64">
+            <div className="animate-spin w-8 h-8 border-4 border-emerald-500 border-t-transparent rounded-full" />
+          </div>
+        ) : entries.length === 0 ? (
+          <div className="p-12 text-center">
+            <h3 className="text-white font-medium mb-1">No audit entries</h3>
+            <p className="text-gray-400 text-sm">Changes made in the admin panel will appear here</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-750 border-b border-gray-700">
+                <tr>
+                  <th className="text-left px-6 py-4 text-sm font-medium text-gray-300">Time</th>
+                  <th className="text-left px-6 py-4 text-sm font-medium text-gray-300">Admin</th>
+                  <th className="text-left px-6 py-4 text-sm font-medium text-gray-300">Action</th>
+                  <th className="text-left px-6 py-4 text-sm font-medium text-gray-300">Entity</th>
+                  <th className="text-left px-6 py-4 text-sm font-medium text-gray-300">Changes</th>
+                  <th className="text-left px-6 py-4 text-sm font-medium text-gray-300">IP</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-700">
+                {entries.map((entry) => (
+                  <tr key={entry.id} className="hover:bg-gray-750 align-top">
+                    <td className="px-6 py-4 text-gray-400 text-sm whitespace-nowrap">{formatDateTime(entry.created_at)}</td>
+                    <td className="px-6 py-4 text-white">{entry.admin?.username || entry.actor || '—'}</td>
+                    <td className="px-6 py-4">
+                      <span className={`px-2 py-1 rounded text-xs font-medium ${ACTION_STYLES[entry.action] || 'bg-gray-700 text-gray-300'}`}>
+                        {entry.action.replace('_', ' ')}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 text-gray-300 whitespace-nowrap">
+                      {entry.entityType}{entry.entityId ? ` #${entry.entityId}` : ''}
+                    </td>
+                    <td className="px-6 py-4 text-sm">
+                      {entry.changes && Object.keys(entry.changes).length > 0 ? (
+                        <ul className="space-y-1">
+                          {Object.entries(entry.changes).map(([field, change]) => (
+                            <li key={field} className="text-gray-400">
+                              <span className="text-gray-200">{field}</span>:{' '}
+                              <span className="text-red-300 line-through">{formatValue(change.from)}</span>{' '}
+                              → <span className="text-emerald-300">{formatValue(change.to)}</span>
+                            </li>
+                          ))}
+                        </ul>
+                      ) : (
+                        <span className="text-gray-500">—</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-gray-400 text-sm">{entry.ip || '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Pagination */}
+      {total > 0 && (
+        <div className="flex items-center justify-between text-sm text-gray-400">
+          <span>
+            {offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}
+          </span>
+          <div className="flex gap-3">
+            <button
+              onClick={() => fetchEntries(Math.max(offset - PAGE_SIZE, 0), appliedFilters)}
+              disabled={offset === 0 || isLoading}
+              className="bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-white py-2 px-4 rounded-lg transition-colors"
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => fetchEntries(offset + PAGE_SIZE, appliedFilters)}
+              disabled={offset + PAGE_SIZE >= total || isLoading}
+              className="bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-white py-2 px-4 rounded-lg transition-colors"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { changePassword, getCurrentAdmin } from '../services/api';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const inputClass = 'w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-emerald-500';
+
+export default function ChangePassword() {
+  const navigate = useNavigate();
+  const mustChange = getCurrentAdmin()?.mustChangePassword;
+  const [formData, setFormData] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.newPassword.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+    if (formData.newPassword !== formData.confirmPassword) {
+      setError('New passwords do not match');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      await changePassword(formData.currentPassword, formData.newPassword);
+      setFormData({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      if (mustChange) {
+        navigate('/');
+        return;
+      }
+      setSuccess('Password changed successfully');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to change password');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6 max-w-lg">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-white">Change Password</h1>
+        <p className="text-gray-400 mt-1">
+          {mustChange
+            ? 'Your password was set by another admin. Choose a new one to continue.'
+            : 'Signs you out on other devices'}
+        </p>
+      </div>
+
+      {/* Messages */}
+      {error && (
+        <div className="bg-red-900/50 border border-red-500 text-red-300 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="bg-green-900/50 border border-green-500 text-green-300 px-4 py-3 rounded-lg">
+          {success}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="bg-gray-800 rounded-xl border border-gray-700 p-6 space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Current Password</label>
+          <input
+            type="password"
+            name="currentPassword"
+            value={formData.currentPassword}
+            onChange={handleChange}
+            required
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">New Password</label>
+          <input
+            type="password"
+            name="newPassword"
+            value={formData.newPassword}
+            onChange={handleChange}
+            required
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Confirm New Password</label>
+          <input
+            type="password"
+            name="confirmPassword"
+            value={formData.confirmPassword}
+            onChange={handleChange}
+            required
+            className={inputClass}
+          />
+        </div>
+
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="bg-emerald-600 hover:bg-emerald-700 disabled:bg-emerald-800 disabled:cursor-not-allowed text-white py-2 px-4 rounded-lg transition-colors"
+        >
+          {isSaving ? 'Saving...' : 'Change Password'}
+        </button>
+      </form>
+    </div>
+  );
+}
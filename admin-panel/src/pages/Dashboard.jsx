@@ -1,8 +1,9 @@
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { getStats, getTodayEvents } from '../services/api';
+import { getStats, getTodayEvents, hasPermission } from '../services/api';
 
 export default function Dashboard() {
+  const canEdit = hasPermission('schedule:write');
   const [stats, setStats] = useState({ totalVoices: 0, activeVoices: 0, totalEvents: 0, activeEvents: 0, totalUsers: 0 });
   const [todayEvents, setTodayEvents] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
@@ -165,15 +166,17 @@ export default function Dashboard() {
             </div>
             <h3 className="text-white font-medium mb-1">No events scheduled for today</h3>
             <p className="text-gray-400 text-sm mb-4">Add events to get started</p>
-            <Link
-              to="/events"
-              className="inline-flex items-center gap-2 bg-emerald-600 hover:bg-emerald-700 text-white px-4 py-2 rounded-lg transition-colors"
-            >
-              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-              </svg>
-              Add Event
-            </Link>
+            {canEdit && (
+              <Link
+                to="/events"
+                className="inline-flex items-center gap-2 bg-emerald-600 hover:bg-emerald-700 text-white px-4 py-2 rounded-lg transition-colors"
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                </svg>
+                Add Event
+              </Link>
+            )}
           </div>
         ) : (
           <div className="divide-y divide-gray-700">
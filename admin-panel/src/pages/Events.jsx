@@ -1,10 +1,13 @@
 import { useState, useEffect } from 'react';
-import { getEvents, createEvent, updateEvent, deleteEvent, getVoices } from '../services/api';
+import { getEvents, createEvent, updateEvent, deleteEvent, getVoices, getTodayEvents, getCalculatedPrayerTimes, hasPermission } from '../services/api';
 import EventForm from '../components/EventForm';
 
 export default function Events() {
+  const canEdit = hasPermission('schedule:write');
   const [events, setEvents] = useState([]);
   const [voices, setVoices] = useState([]);
+  const [todayTimes, setTodayTimes] = useState({});
+  const [prayerTimes, setPrayerTimes] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
@@ -21,12 +24,17 @@ export default function Events() {
     try {
       setIsLoading(true);
       setError('');
-      const [eventsData, voicesData] = await Promise.all([
+      const [eventsData, voicesData, todayData, prayerData] = await Promise.all([
         getEvents(),
         getVoices(true),
+        getTodayEvents(),
+        // Calculated times are unavailable until a location is configured
+        getCalculatedPrayerTimes().catch(() => null),
       ]);
       setEvents(eventsData);
       setVoices(voicesData);
+      setTodayTimes(Object.fromEntries(todayData.map(e => [e.id, e.time])));
+      setPrayerTimes(prayerData ? prayerData.times : null);
     } catch (err) {
       setError('Failed to load data');
       console.error(err);
@@ -112,8 +120,23 @@ export default function Events() {
     return 'Date Range';
   };
 
+  const getSourceLabel = (event) => {
+    const [kind, value] = (event.timeSource || '').split(':');
+    const anchorName = kind === 'event'
+      ? events.find(e => e.id === parseInt(value))?.name || 'Unknown event'
+      : value || 'Calculated';
+    if (event.timeMode !== 'relative') return anchorName;
+    const offset = event.offsetMinutes || 0;
+    if (offset === 0) return `At ${anchorName}`;
+    return `${Math.abs(offset)} min ${offset < 0 ? 'before' : 'after'} ${anchorName}`;
+  };
+
   const getTimeLabel = (event) => {
     if (event.timeMode === 'fixed') return formatTime(event.fixedTime);
+    if (event.timeMode === 'calculated' || event.timeMode === 'relative') {
+      const todayTime = todayTimes[event.id] ? ` (today ${formatTime(todayTimes[event.id])})` : '';
+      return `${getSourceLabel(event)}${todayTime}`;
+    }
     const count = event.schedules ? event.schedules.length : 0;
     return count > 0 ? `Custom (${count} days)` : 'Custom';
   };
@@ -132,15 +155,17 @@ export default function Events() {
           <h1 className="text-2xl font-bold text-white">Events</h1>
           <p className="text-gray-400 mt-1">Manage scheduled events and timings</p>
         </div>
-        <button
-          onClick={handleAddEvent}
-          className="flex items-center gap-2 bg-emerald-600 hover:bg-emerald-700 text-white px-4 py-2 rounded-lg transition-colors"
-        >
-          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-          </svg>
-          Add Event
-        </button>
+        {canEdit && (
+          <button
+            onClick={handleAddEvent}
+            className="flex items-center gap-2 bg-emerald-600 hover:bg-emerald-700 text-white px-4 py-2 rounded-lg transition-colors"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+            </svg>
+            Add Event
+          </button>
+        )}
       </div>
 
       {/* Messages */}
@@ -221,26 +246,28 @@ export default function Events() {
                       </span>
                     </td>
                     <td className="px-6 py-4">
-                      <div className="flex justify-end gap-2">
-                        <button
-                          onClick={() => handleEditEvent(event)}
-                          className="p-2 text-gray-400 hover:text-white hover:bg-gray-700 rounded-lg transition-colors"
-                          title="Edit"
-                        >
-                          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
-                          </svg>
-                        </button>
-                        <button
-                          onClick={() => setDeleteConfirm(event)}
-                          className="p-2 text-gray-400 hover:text-red-400 hover:bg-gray-700 rounded-lg transition-colors"
-                          title="Delete"
-                        >
-                          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                          </svg>
-                        </button>
-                      </div>
+                      {canEdit && (
+                        <div className="flex justify-end gap-2">
+                          <button
+                            onClick={() => handleEditEvent(event)}
+                            className="p-2 text-gray-400 hover:text-white hover:bg-gray-700 rounded-lg transition-colors"
+                            title="Edit"
+                          >
+                            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                            </svg>
+                          </button>
+                          <button
+                            onClick={() => setDeleteConfirm(event)}
+                            className="p-2 text-gray-400 hover:text-red-400 hover:bg-gray-700 rounded-lg transition-colors"
+                            title="Delete"
+                          >
+                            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                            </svg>
+                          </button>
+                        </div>
+                      )}
                     </td>
                   </tr>
                 ))}
@@ -263,6 +290,9 @@ export default function Events() {
               <EventForm
                 event={editingEvent}
                 voices={voices}
+                events={events}
+                prayerTimes={prayerTimes}
+                todayTimes={todayTimes}
                 onSubmit={handleSubmit}
                 onCancel={handleCloseModal}
                 isLoading={isSubmitting}
@@ -1,20 +1,49 @@
 import { useState, useRef, useEffect } from 'react';
-import { broadcastAnnouncement } from '../services/api';
+import {
+  broadcastAnnouncement,
+  connectLiveSocket,
+  getAnnouncements,
+  updateAnnouncement,
+  deleteAnnouncement,
+  hasPermission,
+  SERVER_URL,
+} from '../services/api';
+
+const HISTORY_SIZE = 20;
+
+// How often MediaRecorder hands over audio while streaming live
+const LIVE_CHUNK_MS = 250;
+
+const EMPTY_DETAILS = { message: '', expiresAt: '', isPinned: false };
+
+const inputClass = 'w-full bg-gray-700 border border-gray-600 text-white rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-500';
+
+const toMediaSrc = (url) => (url.startsWith('http') ? url : `${SERVER_URL}/${url}`);
 
 export default function LiveAnnouncement() {
-  const [status, setStatus] = useState('idle'); // idle | recording | uploading | success | error
+  const canBroadcast = hasPermission('announcements:broadcast');
+  const [status, setStatus] = useState('idle'); // idle | recording | live | saving | uploading | success | error
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [recordingTime, setRecordingTime] = useState(0);
   const [audioBlob, setAudioBlob] = useState(null);
   const [audioUrl, setAudioUrl] = useState(null);
   const [title, setTitle] = useState('Live Announcement');
+  const [streamLive, setStreamLive] = useState(true);
+  const [listeners, setListeners] = useState(0);
+  const [details, setDetails] = useState(EMPTY_DETAILS);
+  const [imageFile, setImageFile] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [historyTotal, setHistoryTotal] = useState(0);
 
   const mediaRecorderRef = useRef(null);
   const streamRef = useRef(null);
   const chunksRef = useRef([]);
   const timerRef = useRef(null);
   const audioRef = useRef(null);
+  const socketRef = useRef(null);
+  // Chunks go out one after another so the server gets them in order
+  const sendQueueRef = useRef(Promise.resolve());
 
   useEffect(() => {
     return () => {
@@ -26,6 +55,46 @@ export default function LiveAnnouncement() {
     };
   }, [audioUrl]);
 
+  // Leaving the page mid-stream disconnects, and the server keeps what was sent
+  useEffect(() => {
+    return () => {
+      if (socketRef.current) socketRef.current.close();
+    };
+  }, []);
+
+  const fetchHistory = async () => {
+    try {
+      const data = await getAnnouncements({ limit: HISTORY_SIZE });
+      setHistory(data.announcements);
+      setHistoryTotal(data.total);
+    } catch (err) {
+      console.error('Failed to load announcements', err);
+    }
+  };
+
+  useEffect(() => {
+    fetchHistory();
+  }, []);
+
+  const handleTogglePin = async (announcement) => {
+    try {
+      await updateAnnouncement(announcement.id, { isPinned: !announcement.isPinned });
+      fetchHistory();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update announcement');
+    }
+  };
+
+  const handleDelete = async (announcement) => {
+    if (!window.confirm(`Delete "${announcement.title}"? Apps will no longer replay it.`)) return;
+    try {
+      await deleteAnnouncement(announcement.id);
+      fetchHistory();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete announcement');
+    }
+  };
+
   const startRecording = async () => {
     try {
       setError('');
@@ -66,6 +135,85 @@ export default function LiveAnnouncement() {
     }
   };
 
+  const startLiveStream = async () => {
+    let socket = null;
+    try {
+      setError('');
+      setSuccess('');
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      streamRef.current = stream;
+      const mediaRecorder = new MediaRecorder(stream);
+      mediaRecorderRef.current = mediaRecorder;
+
+      socket = await connectLiveSocket();
+      socketRef.current = socket;
+      const started = await socket.emitWithAck('live:start', { title, mimeType: mediaRecorder.mimeType || 'audio/webm' });
+      if (started.error) throw new Error(started.error);
+      setListeners(started.listeners);
+
+      sendQueueRef.current = Promise.resolve();
+      mediaRecorder.ondataavailable = (e) => {
+        if (e.data.size === 0) return;
+        sendQueueRef.current = sendQueueRef.current
+          .then(() => e.data.arrayBuffer())
+          .then((data) => socket.emitWithAck('live:chunk', data))
+          .then((result) => {
+            if (result.error) setError(result.error);
+          });
+      };
+
+      mediaRecorder.onstop = async () => {
+        stream.getTracks().forEach((t) => t.stop());
+        streamRef.current = null;
+        try {
+          await sendQueueRef.current;
+          const result = await socket.emitWithAck('live:stop');
+          if (result.error) throw new Error(result.error);
+          fetchHistory();
+          const pushed = result.push ? ` Notified ${result.push.sent + result.push.queued} device(s).` : '';
+          setSuccess(result.announcement ? `Live announcement saved for replay.${pushed}` : 'Live announcement ended.');
+          setStatus('success');
+          setTimeout(() => {
+            setSuccess('');
+            setStatus('idle');
+          }, 4000);
+        } catch (err) {
+          setError(err.message || 'Failed to save live announcement');
+          setStatus('error');
+        } finally {
+          socket.close();
+          socketRef.current = null;
+        }
+      };
+
+      mediaRecorder.start(LIVE_CHUNK_MS);
+      setStatus('live');
+      setRecordingTime(0);
+      timerRef.current = setInterval(() => {
+        setRecordingTime((prev) => prev + 1);
+      }, 1000);
+    } catch (err) {
+      if (streamRef.current) {
+        streamRef.current.getTracks().forEach((t) => t.stop());
+        streamRef.current = null;
+      }
+      if (socket) socket.close();
+      socketRef.current = null;
+      setError(err.name === 'NotAllowedError'
+        ? 'Microphone access denied. Please allow microphone permission.'
+        : err.message || 'Failed to go live');
+      console.error(err);
+    }
+  };
+
+  const stopLiveStream = () => {
+    clearInterval(timerRef.current);
+    setStatus('saving');
+    if (mediaRecorderRef.current && mediaRecorderRef.current.state !== 'inactive') {
+      mediaRecorderRef.current.stop();
+    }
+  };
+
   const stopRecording = () => {
     clearInterval(timerRef.current);
     if (mediaRecorderRef.current && mediaRecorderRef.current.state !== 'inactive') {
@@ -74,20 +222,29 @@ export default function LiveAnnouncement() {
     setStatus('idle');
   };
 
+  // Send the recording (if any) with the title, message, picture, expiry and pin
   const handleBroadcast = async () => {
-    if (!audioBlob) return;
+    if (!audioBlob && !details.message.trim()) return;
     try {
       setStatus('uploading');
       setError('');
 
       const formData = new FormData();
-      formData.append('audioFile', audioBlob, 'announcement.webm');
+      if (audioBlob) formData.append('audioFile', audioBlob, 'announcement.webm');
+      if (imageFile) formData.append('imageFile', imageFile);
       formData.append('title', title);
+      formData.append('body', details.message);
+      formData.append('isPinned', details.isPinned);
+      if (details.expiresAt) formData.append('expiresAt', new Date(details.expiresAt).toISOString());
 
-      await broadcastAnnouncement(formData);
+      const result = await broadcastAnnouncement(formData);
+      fetchHistory();
 
-      setSuccess('Announcement broadcast successfully!');
+      const pushed = result.push ? ` Notified ${result.push.sent + result.push.queued} device(s).` : '';
+      setSuccess(`Announcement broadcast successfully!${pushed}`);
       setStatus('success');
+      setDetails(EMPTY_DETAILS);
+      setImageFile(null);
       setAudioBlob(null);
       if (audioUrl) URL.revokeObjectURL(audioUrl);
       setAudioUrl(null);
@@ -123,7 +280,7 @@ export default function LiveAnnouncement() {
       {/* Header */}
       <div>
         <h1 className="text-2xl font-bold text-white">Live Announcement</h1>
-        <p className="text-gray-400 mt-1">Record and broadcast announcements to all connected devices</p>
+        <p className="text-gray-400 mt-1">Record announcements or post text notices to all connected devices</p>
       </div>
 
       {/* Messages */}
@@ -138,17 +295,79 @@ export default function LiveAnnouncement() {
         </div>
       )}
 
-      {/* Title Input */}
-      <div className="bg-gray-800 rounded-xl border border-gray-700 p-6">
-        <label className="block text-sm font-medium text-gray-300 mb-2">Announcement Title</label>
-        <input
-          type="text"
-          value={title}
-          onChange={(e) => setTitle(e.target.value)}
-          className="w-full bg-gray-700 border border-gray-600 text-white rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-500"
-          placeholder="Enter announcement title"
-          disabled={status === 'recording' || status === 'uploading'}
-        />
+      {/* Details */}
+      <div className="bg-gray-800 rounded-xl border border-gray-700 p-6 space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">Announcement Title</label>
+          <input
+            type="text"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            className={inputClass}
+            placeholder="Enter announcement title"
+            disabled={status === 'recording' || status === 'live' || status === 'uploading'}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">
+            Message <span className="text-gray-500">(optional with a recording)</span>
+          </label>
+          <textarea
+            rows={3}
+            value={details.message}
+            onChange={(e) => setDetails({ ...details, message: e.target.value })}
+            className={inputClass}
+            placeholder="e.g. Janazah prayer after Dhuhr today"
+            disabled={status === 'uploading'}
+          />
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">
+              Picture <span className="text-gray-500">(optional, with a message)</span>
+            </label>
+            <input
+              type="file"
+              accept="image/*"
+              onChange={(e) => setImageFile(e.target.files[0] || null)}
+              className={`${inputClass} file:mr-4 file:py-1 file:px-4 file:rounded-lg file:border-0 file:bg-emerald-600 file:text-white file:cursor-pointer`}
+              disabled={status === 'uploading'}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">
+              Expires <span className="text-gray-500">(optional)</span>
+            </label>
+            <input
+              type="datetime-local"
+              value={details.expiresAt}
+              onChange={(e) => setDetails({ ...details, expiresAt: e.target.value })}
+              className={inputClass}
+              disabled={status === 'uploading'}
+            />
+          </div>
+        </div>
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+          <label className="flex items-center gap-2 text-sm text-gray-300">
+            <input
+              type="checkbox"
+              checked={details.isPinned}
+              onChange={(e) => setDetails({ ...details, isPinned: e.target.checked })}
+              className="w-4 h-4 rounded border-gray-600 bg-gray-700 text-emerald-500 focus:ring-emerald-500"
+              disabled={status === 'uploading'}
+            />
+            Pin to the top of the notice board
+          </label>
+          {canBroadcast && !audioBlob && status !== 'recording' && (
+            <button
+              onClick={handleBroadcast}
+              disabled={!details.message.trim() || status === 'uploading'}
+              className="bg-emerald-600 hover:bg-emerald-700 disabled:bg-emerald-800 disabled:cursor-not-allowed text-white py-2 px-6 rounded-lg font-semibold transition-colors"
+            >
+              {status === 'uploading' ? 'Posting...' : 'Post Notice'}
+            </button>
+          )}
+        </div>
       </div>
 
       {/* Recording Card */}
@@ -156,13 +375,20 @@ export default function LiveAnnouncement() {
         <div className="flex flex-col items-center">
           {/* Status Indicator */}
           <div className="mb-6">
-            {status === 'recording' ? (
+            {status === 'recording' || status === 'live' ? (
               <div className="flex items-center gap-3">
                 <span className="relative flex h-4 w-4">
                   <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-red-400 opacity-75"></span>
                   <span className="relative inline-flex rounded-full h-4 w-4 bg-red-500"></span>
                 </span>
-                <span className="text-red-400 font-semibold text-lg">Recording</span>
+                <span className="text-red-400 font-semibold text-lg">
+                  {status === 'live' ? `On air · ${listeners} listener${listeners === 1 ? '' : 's'}` : 'Recording'}
+                </span>
+              </div>
+            ) : status === 'saving' ? (
+              <div className="flex items-center gap-3">
+                <div className="animate-spin w-5 h-5 border-2 border-emerald-500 border-t-transparent rounded-full" />
+                <span className="text-emerald-400 font-semibold text-lg">Saving recording...</span>
               </div>
             ) : status === 'uploading' ? (
               <div className="flex items-center gap-3">
@@ -175,14 +401,14 @@ export default function LiveAnnouncement() {
           </div>
 
           {/* Timer */}
-          {(status === 'recording' || audioBlob) && (
+          {(status === 'recording' || status === 'live' || audioBlob) && (
             <div className="text-4xl font-mono text-white mb-6">
               {formatTime(recordingTime)}
             </div>
           )}
 
           {/* Waveform indicator during recording */}
-          {status === 'recording' && (
+          {(status === 'recording' || status === 'live') && (
             <div className="flex items-end gap-1 h-12 mb-6">
               {[...Array(12)].map((_, i) => (
                 <div
@@ -208,9 +434,9 @@ export default function LiveAnnouncement() {
 
           {/* Action Buttons */}
           <div className="flex gap-4">
-            {status === 'idle' && !audioBlob && (
+            {canBroadcast && status === 'idle' && !audioBlob && (
               <button
-                onClick={startRecording}
+                onClick={streamLive ? startLiveStream : startRecording}
                 className="flex items-center gap-2 bg-emerald-600 hover:bg-emerald-700 text-white px-8 py-3 rounded-xl text-lg font-semibold transition-colors"
               >
                 <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -220,15 +446,15 @@ export default function LiveAnnouncement() {
               </button>
             )}
 
-            {status === 'recording' && (
+            {(status === 'recording' || status === 'live') && (
               <button
-                onClick={stopRecording}
+                onClick={status === 'live' ? stopLiveStream : stopRecording}
                 className="flex items-center gap-2 bg-red-600 hover:bg-red-700 text-white px-8 py-3 rounded-xl text-lg font-semibold transition-colors"
               >
                 <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 24 24">
                   <rect x="6" y="6" width="12" height="12" rx="2" />
                 </svg>
-                Stop Recording
+                {status === 'live' ? 'End Live' : 'Stop Recording'}
               </button>
             )}
 
@@ -255,6 +481,18 @@ export default function LiveAnnouncement() {
               </>
             )}
           </div>
+
+          {canBroadcast && status === 'idle' && !audioBlob && (
+            <label className="flex items-center gap-2 mt-4 text-sm text-gray-300">
+              <input
+                type="checkbox"
+                checked={streamLive}
+                onChange={(e) => setStreamLive(e.target.checked)}
+                className="w-4 h-4 rounded border-gray-600 bg-gray-700 text-emerald-500 focus:ring-emerald-500"
+              />
+              Stream live as I speak (off: record first, then broadcast)
+            </label>
+          )}
         </div>
       </div>
 
@@ -263,10 +501,72 @@ export default function LiveAnnouncement() {
         <h3 className="text-white font-semibold mb-3">How it works</h3>
         <div className="space-y-2 text-gray-400 text-sm">
           <p>1. Click <strong className="text-emerald-400">Go Live</strong> and grant microphone access</p>
-          <p>2. Record your announcement message</p>
-          <p>3. Preview the recording and click <strong className="text-emerald-400">Broadcast</strong></p>
+          <p>2. Streaming live, connected apps hear you as you speak; click <strong className="text-emerald-400">End Live</strong> when done and the recording is saved for replay</p>
+          <p>3. Otherwise, record your message, preview it and click <strong className="text-emerald-400">Broadcast</strong></p>
           <p>4. All connected mobile apps will instantly receive and auto-play the announcement</p>
+          <p>5. Apps that were offline catch up on recent announcements when they reconnect</p>
+          <p>For a text notice, write a message (and add a picture if you like), then click <strong className="text-emerald-400">Post Notice</strong>. Notices stay on the apps&apos; notice board until they expire.</p>
+        </div>
+      </div>
+
+      {/* History */}
+      <div className="bg-gray-800 rounded-xl border border-gray-700 overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-700 flex items-center justify-between">
+          <h3 className="text-white font-semibold">Recent Announcements</h3>
+          {historyTotal > history.length && (
+            <span className="text-gray-400 text-sm">Latest {history.length} of {historyTotal}</span>
+          )}
         </div>
+        {history.length === 0 ? (
+          <p className="text-gray-400 text-center py-8">No announcements broadcast yet</p>
+        ) : (
+          <div className="divide-y divide-gray-700">
+            {history.map((announcement) => (
+              <div key={announcement.id} className="px-6 py-4 flex flex-col md:flex-row md:items-center gap-3">
+                {announcement.imageUrl && (
+                  <img src={toMediaSrc(announcement.imageUrl)} alt="" className="w-16 h-16 object-cover rounded-lg" />
+                )}
+                <div className="flex-1 min-w-0">
+                  <p className="text-white font-medium truncate">
+                    {announcement.title}
+                    {announcement.isPinned && (
+                      <span className="ml-2 px-2 py-0.5 bg-emerald-600/20 text-emerald-400 rounded text-xs">Pinned</span>
+                    )}
+                  </p>
+                  {announcement.body && <p className="text-gray-300 text-sm line-clamp-2">{announcement.body}</p>}
+                  <p className="text-gray-400 text-sm">
+                    {new Date(announcement.sentAt).toLocaleString()} · {announcement.sender?.username || announcement.senderName || '—'}
+                    {' · '}{announcement.recipients} listener{announcement.recipients === 1 ? '' : 's'} live
+                    {announcement.expiresAt && (
+                      <>
+                        {' · '}{new Date(announcement.expiresAt) > new Date() ? 'expires' : 'expired'} {new Date(announcement.expiresAt).toLocaleString()}
+                      </>
+                    )}
+                  </p>
+                </div>
+                {announcement.audioUrl && (
+                  <audio src={toMediaSrc(announcement.audioUrl)} controls preload="none" className="w-full md:w-64" />
+                )}
+                {canBroadcast && (
+                  <div className="flex gap-3">
+                    <button
+                      onClick={() => handleTogglePin(announcement)}
+                      className="text-emerald-400 hover:text-emerald-300 text-sm"
+                    >
+                      {announcement.isPinned ? 'Unpin' : 'Pin'}
+                    </button>
+                    <button
+                      onClick={() => handleDelete(announcement)}
+                      className="text-red-400 hover:text-red-300 text-sm"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
       </div>
     </div>
   );
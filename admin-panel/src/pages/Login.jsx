@@ -1,6 +1,6 @@
 import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { login } from '../services/api';
+import { login, setCurrentAdmin } from '../services/api';
 
 export default function Login() {
   const navigate = useNavigate();
@@ -16,9 +16,11 @@ export default function Login() {
     try {
       const response = await login(formData.username, formData.password);
       localStorage.setItem('adminToken', response.token);
-      navigate('/');
+      localStorage.setItem('adminRefreshToken', response.refreshToken);
+      setCurrentAdmin(response.admin);
+      navigate(response.admin.mustChangePassword ? '/change-password' : '/');
     } catch (err) {
-      setError(err.response?.data?.message || 'Invalid credentials');
+      setError(err.response?.data?.error || 'Invalid credentials');
     } finally {
       setIsLoading(false);
     }
@@ -0,0 +1,258 @@
+import { useState, useEffect } from 'react';
+import { getMosques, createMosque, updateMosque, deleteMosque, hasPermission } from '../services/api';
+import MosqueForm from '../components/MosqueForm';
+
+export default function Mosques() {
+  const canEdit = hasPermission('settings:manage');
+  const [mosques, setMosques] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [showModal, setShowModal] = useState(false);
+  const [editingMosque, setEditingMosque] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [deleteConfirm, setDeleteConfirm] = useState(null);
+
+  useEffect(() => {
+    fetchMosques();
+  }, []);
+
+  const fetchMosques = async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+      const data = await getMosques();
+      setMosques(data);
+    } catch (err) {
+      setError('Failed to load mosques');
+      console.error(err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleAddMosque = () => {
+    setEditingMosque(null);
+    setShowModal(true);
+  };
+
+  const handleEditMosque = (mosque) => {
+    setEditingMosque(mosque);
+    setShowModal(true);
+  };
+
+  const handleCloseModal = () => {
+    setShowModal(false);
+    setEditingMosque(null);
+  };
+
+  const handleSubmit = async (data) => {
+    try {
+      setIsSubmitting(true);
+      setError('');
+
+      if (editingMosque) {
+        await updateMosque(editingMosque.id, data);
+        setSuccess('Mosque updated successfully');
+      } else {
+        await createMosque(data);
+        setSuccess('Mosque added successfully');
+      }
+
+      handleCloseModal();
+      fetchMosques();
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save mosque');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      setError('');
+      await deleteMosque(id);
+      setSuccess('Mosque deleted successfully');
+      setDeleteConfirm(null);
+      fetchMosques();
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete mosque');
+      setDeleteConfirm(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-white">Mosques</h1>
+          <p className="text-gray-400 mt-1">Each mosque has its own events, voices, devices and prayer time settings</p>
+        </div>
+        {canEdit && (
+          <button
+            onClick={handleAddMosque}
+            className="flex items-center gap-2 bg-emerald-600 hover:bg-emerald-700 text-white px-4 py-2 rounded-lg transition-colors"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+            </svg>
+            Add Mosque
+          </button>
+        )}
+      </div>
+
+      {/* Messages */}
+      {error && (
+        <div className="bg-red-900/50 border border-red-500 text-red-300 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="bg-green-900/50 border border-green-500 text-green-300 px-4 py-3 rounded-lg">
+          {success}
+        </div>
+      )}
+
+      {/* Table */}
+      <div className="bg-gray-800 rounded-xl border border-gray-700 overflow-hidden">
+        {isLoading ? (
+          <div className="flex items-center justify-center h-64">
+            <div className="animate-spin w-8 h-8 border-4 border-emerald-500 border-t-transparent rounded-full" />
+          </div>
+        ) : mosques.length === 0 ? (
+          <div className="p-12 text-center">
+            <h3 className="text-white font-medium mb-1">No mosques found</h3>
+            <p className="text-gray-400 text-sm">Add your first mosque to get started</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-750 border-b border-gray-700">
+                <tr>
+                  <th className="text-left px-6 py-4 text-sm font-medium text-gray-300">Name</th>
+                  <th className="text-left px-6 py-4 text-sm font-medium text-gray-300">Timezone</th>
+                  <th className="text-left px-6 py-4 text-sm font-medium text-gray-300">Location</th>
+                  <th className="text-left px-6 py-4 text-sm font-medium text-gray-300">Method</th>
+                  <th className="text-left px-6 py-4 text-sm font-medium text-gray-300">Status</th>
+                  <th className="text-right px-6 py-4 text-sm font-medium text-gray-300">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-700">
+                {mosques.map((mosque) => (
+                  <tr key={mosque.id} className="hover:bg-gray-750">
+                    <td className="px-6 py-4">
+                      <span className="font-medium text-white">{mosque.name}</span>
+                    </td>
+                    <td className="px-6 py-4 text-gray-300 text-sm">
+                      {mosque.timezone || <span className="text-gray-500">Server default</span>}
+                    </td>
+                    <td className="px-6 py-4 text-gray-300 text-sm">
+                      {mosque.latitude !== null && mosque.longitude !== null
+                        ? `${mosque.latitude}, ${mosque.longitude}`
+                        : <span className="text-gray-500">Not set</span>}
+                    </td>
+                    <td className="px-6 py-4 text-gray-300 text-sm">
+                      {mosque.calculationMethod} / {mosque.asrMethod}
+                    </td>
+                    <td className="px-6 py-4">
+                      <span
+                        className={`px-3 py-1 rounded-full text-xs font-medium ${
+                          mosque.isActive
+                            ? 'bg-green-900/50 text-green-400'
+                            : 'bg-gray-700 text-gray-400'
+                        }`}
+                      >
+                        {mosque.isActive ? 'Active' : 'Inactive'}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4">
+                      {canEdit && (
+                        <div className="flex justify-end gap-2">
+                          <button
+                            onClick={() => handleEditMosque(mosque)}
+                            className="p-2 text-gray-400 hover:text-white hover:bg-gray-700 rounded-lg transition-colors"
+                            title="Edit"
+                          >
+                            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                            </svg>
+                          </button>
+                          <button
+                            onClick={() => setDeleteConfirm(mosque)}
+                            className="p-2 text-gray-400 hover:text-red-400 hover:bg-gray-700 rounded-lg transition-colors"
+                            title="Delete"
+                          >
+                            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                            </svg>
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Add/Edit Modal */}
+      {showModal && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+          <div className="bg-gray-800 rounded-xl w-full max-w-lg border border-gray-700 max-h-[90vh] overflow-y-auto">
+            <div className="p-6 border-b border-gray-700">
+              <h2 className="text-xl font-semibold text-white">
+                {editingMosque ? 'Edit Mosque' : 'Add New Mosque'}
+              </h2>
+            </div>
+            <div className="p-6">
+              <MosqueForm
+                mosque={editingMosque}
+                onSubmit={handleSubmit}
+                onCancel={handleCloseModal}
+                isLoading={isSubmitting}
+              />
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Delete Confirmation Modal */}
+      {deleteConfirm && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+          <div className="bg-gray-800 rounded-xl w-full max-w-sm border border-gray-700 p-6">
+            <div className="text-center">
+              <div className="w-16 h-16 bg-red-900/50 rounded-full flex items-center justify-center mx-auto mb-4">
+                <svg className="w-8 h-8 text-red-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
+                </svg>
+              </div>
+              <h3 className="text-lg font-semibold text-white mb-2">Delete Mosque</h3>
+              <p className="text-gray-400 mb-6">
+                Are you sure you want to delete <strong className="text-white">{deleteConfirm.name}</strong>? This action cannot be undone.
+              </p>
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setDeleteConfirm(null)}
+                  className="flex-1 bg-gray-700 hover:bg-gray-600 text-white py-2 px-4 rounded-lg transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={() => handleDelete(deleteConfirm.id)}
+                  className="flex-1 bg-red-600 hover:bg-red-700 text-white py-2 px-4 rounded-lg transition-colors"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,231 @@
+import { useState, useEffect } from 'react';
+import {
+  getNotificationTemplates,
+  updateNotificationTemplate,
+  resetNotificationTemplate,
+  hasPermission,
+} from '../services/api';
+
+const TYPE_LABELS = {
+  azan: 'Azan events',
+  other: 'Other events',
+  prayer: 'Prayers',
+  pre_alert: 'Pre-alerts',
+  announcement: 'Scheduled announcements',
+};
+
+const LOCALE_LABELS = {
+  en: 'English',
+  ar: 'Arabic',
+  ur: 'Urdu',
+  tr: 'Turkish',
+  ms: 'Malay',
+};
+
+const RTL_LOCALES = ['ar', 'ur'];
+
+const inputClass = 'w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500 disabled:opacity-60';
+
+const keyOf = (template) => `${template.type}:${template.locale}`;
+
+export default function NotificationTemplates() {
+  const canEdit = hasPermission('schedule:write');
+  const [types, setTypes] = useState([]);
+  const [placeholders, setPlaceholders] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [selectedType, setSelectedType] = useState('azan');
+  const [savingKey, setSavingKey] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    fetchTemplates();
+  }, []);
+
+  const fetchTemplates = async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+      const data = await getNotificationTemplates();
+      setTypes(data.types);
+      setPlaceholders(data.placeholders);
+      setTemplates(data.templates);
+      setDrafts({});
+    } catch (err) {
+      setError('Failed to load notification texts');
+      console.error(err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const showSuccess = (message) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(''), 3000);
+  };
+
+  // Replace one template with the server's version and drop its draft
+  const applyTemplate = (saved) => {
+    setTemplates((current) => current.map((t) => (keyOf(t) === keyOf(saved) ? saved : t)));
+    setDrafts((current) => {
+      const next = { ...current };
+      delete next[keyOf(saved)];
+      return next;
+    });
+  };
+
+  const handleChange = (template, field, value) => {
+    const key = keyOf(template);
+    setDrafts({
+      ...drafts,
+      [key]: { title: template.title, body: template.body, ...drafts[key], [field]: value },
+    });
+  };
+
+  const handleSave = async (template) => {
+    try {
+      setSavingKey(keyOf(template));
+      setError('');
+      const saved = await updateNotificationTemplate(template.type, template.locale, drafts[keyOf(template)]);
+      applyTemplate(saved);
+      showSuccess('Notification text saved');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save notification text');
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  const handleReset = async (template) => {
+    if (!window.confirm(`Reset the ${LOCALE_LABELS[template.locale] || template.locale} text to the default?`)) return;
+    try {
+      setSavingKey(keyOf(template));
+      setError('');
+      applyTemplate(await resetNotificationTemplate(template.type, template.locale));
+      showSuccess('Notification text reset to default');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to reset notification text');
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin w-8 h-8 border-4 border-emerald-500 border-t-transparent rounded-full" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-white">Notification Texts</h1>
+        <p className="text-gray-400 mt-1">
+          Push notification wording per language. Devices get their own language, else their user&apos;s, else English.
+        </p>
+      </div>
+
+      {/* Messages */}
+      {error && (
+        <div className="bg-red-900/50 border border-red-500 text-red-300 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="bg-green-900/50 border border-green-500 text-green-300 px-4 py-3 rounded-lg">
+          {success}
+        </div>
+      )}
+
+      {/* Type tabs */}
+      <div className="flex flex-wrap gap-2">
+        {types.map((type) => (
+          <button
+            key={type}
+            onClick={() => setSelectedType(type)}
+            className={`py-2 px-4 rounded-lg text-sm transition-colors ${
+              selectedType === type ? 'bg-emerald-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+            }`}
+          >
+            {TYPE_LABELS[type] || type}
+          </button>
+        ))}
+      </div>
+
+      <p className="text-gray-400 text-sm">
+        Placeholders: {placeholders.map((p) => `{${p}}`).join(', ')}
+        {selectedType !== 'pre_alert' && ' ({minutes} is only filled in for pre-alerts)'}
+      </p>
+
+      {/* Templates */}
+      <div className="space-y-4">
+        {templates.filter((t) => t.type === selectedType).map((template) => {
+          const key = keyOf(template);
+          const draft = drafts[key];
+          const values = draft || template;
+          const dir = RTL_LOCALES.includes(template.locale) ? 'rtl' : 'ltr';
+
+          return (
+            <div key={key} className="bg-gray-800 rounded-xl border border-gray-700 p-5 space-y-3">
+              <div className="flex items-center justify-between">
+                <h3 className="text-white font-medium">{LOCALE_LABELS[template.locale] || template.locale}</h3>
+                <span className={`px-2 py-1 rounded text-xs font-medium ${
+                  template.custom ? 'bg-blue-600/20 text-blue-400' : 'bg-gray-700 text-gray-300'
+                }`}>
+                  {template.custom ? 'Custom' : 'Default'}
+                </span>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">Title</label>
+                <input
+                  type="text"
+                  dir={dir}
+                  value={values.title}
+                  onChange={(e) => handleChange(template, 'title', e.target.value)}
+                  disabled={!canEdit}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">Body</label>
+                <textarea
+                  dir={dir}
+                  rows={2}
+                  value={values.body}
+                  onChange={(e) => handleChange(template, 'body', e.target.value)}
+                  disabled={!canEdit}
+                  className={inputClass}
+                />
+              </div>
+              {canEdit && (
+                <div className="flex justify-end gap-3">
+                  {template.custom && (
+                    <button
+                      onClick={() => handleReset(template)}
+                      disabled={savingKey === key}
+                      className="bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white py-2 px-4 rounded-lg transition-colors text-sm"
+                    >
+                      Reset to default
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleSave(template)}
+                    disabled={!draft || savingKey === key}
+                    className="bg-emerald-600 hover:bg-emerald-700 disabled:bg-emerald-800 disabled:cursor-not-allowed text-white py-2 px-4 rounded-lg transition-colors text-sm"
+                  >
+                    {savingKey === key ? 'Saving...' : 'Save'}
+                  </button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
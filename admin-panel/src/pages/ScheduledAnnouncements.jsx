@@ -0,0 +1,284 @@
+import { useState, useEffect } from 'react';
+import {
+  getScheduledAnnouncements,
+  createScheduledAnnouncement,
+  updateScheduledAnnouncement,
+  cancelScheduledAnnouncement,
+  deleteScheduledAnnouncement,
+  hasPermission,
+  SERVER_URL,
+} from '../services/api';
+import ScheduledAnnouncementForm from '../components/ScheduledAnnouncementForm';
+
+const WEEKDAY_SHORT = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const STATUS_CLASSES = {
+  scheduled: 'bg-blue-600/20 text-blue-400',
+  sent: 'bg-green-900/50 text-green-400',
+  cancelled: 'bg-gray-700 text-gray-400',
+};
+
+const toMediaSrc = (url) => (url.startsWith('http') ? url : `${SERVER_URL}/${url}`);
+
+const formatDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+const getScheduleLabel = (announcement) => {
+  if (announcement.scheduleMode === 'once') return `${formatDate(announcement.startDate)} at ${announcement.time}`;
+
+  let label = announcement.scheduleMode === 'weekly'
+    ? `Weekly (${(announcement.weekdays || []).map((d) => WEEKDAY_SHORT[d]).join(', ')})`
+    : 'Daily';
+  label += ` at ${announcement.time}`;
+  if (announcement.startDate) label += `, from ${formatDate(announcement.startDate)}`;
+  if (announcement.endDate) label += ` until ${formatDate(announcement.endDate)}`;
+  return label;
+};
+
+export default function ScheduledAnnouncements() {
+  const canEdit = hasPermission('announcements:broadcast');
+  const [announcements, setAnnouncements] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [showModal, setShowModal] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const fetchAnnouncements = async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+      setAnnouncements(await getScheduledAnnouncements());
+    } catch (err) {
+      setError('Failed to load scheduled announcements');
+      console.error(err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchAnnouncements();
+  }, []);
+
+  const showSuccess = (message) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(''), 3000);
+  };
+
+  const handleAdd = () => {
+    setEditing(null);
+    setShowModal(true);
+  };
+
+  const handleEdit = (announcement) => {
+    setEditing(announcement);
+    setShowModal(true);
+  };
+
+  const handleCloseModal = () => {
+    setShowModal(false);
+    setEditing(null);
+  };
+
+  const handleSubmit = async (data) => {
+    try {
+      setIsSubmitting(true);
+      setError('');
+      if (editing) {
+        await updateScheduledAnnouncement(editing.id, data);
+        showSuccess('Announcement updated successfully');
+      } else {
+        await createScheduledAnnouncement(data);
+        showSuccess('Announcement scheduled successfully');
+      }
+      handleCloseModal();
+      fetchAnnouncements();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save announcement');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleCancel = async (announcement) => {
+    if (!window.confirm(`Cancel "${announcement.title}"? It will not be sent again.`)) return;
+    try {
+      setError('');
+      await cancelScheduledAnnouncement(announcement.id);
+      showSuccess('Announcement cancelled');
+      fetchAnnouncements();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to cancel announcement');
+    }
+  };
+
+  const handleDelete = async (announcement) => {
+    if (!window.confirm(`Delete "${announcement.title}"? Announcements it already sent are kept.`)) return;
+    try {
+      setError('');
+      await deleteScheduledAnnouncement(announcement.id);
+      showSuccess('Announcement deleted');
+      fetchAnnouncements();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete announcement');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-white">Scheduled Announcements</h1>
+          <p className="text-gray-400 mt-1">Notices and recorded announcements sent automatically, once or on a repeating schedule</p>
+        </div>
+        {canEdit && (
+          <button
+            onClick={handleAdd}
+            className="flex items-center gap-2 bg-emerald-600 hover:bg-emerald-700 text-white px-4 py-2 rounded-lg transition-colors"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+            </svg>
+            Schedule Announcement
+          </button>
+        )}
+      </div>
+
+      {/* Messages */}
+      {error && (
+        <div className="bg-red-900/50 border border-red-500 text-red-300 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="bg-green-900/50 border border-green-500 text-green-300 px-4 py-3 rounded-lg">
+          {success}
+        </div>
+      )}
+
+      {/* Table */}
+      <div className="bg-gray-800 rounded-xl border border-gray-700 overflow-hidden">
+        {isLoading ? (
+          <div className="flex items-center justify-center h-64">
+            <div className="animate-spin w-8 h-8 border-4 border-emerald-500 border-t-transparent rounded-full" />
+          </div>
+        ) : announcements.length === 0 ? (
+          <div className="p-12 text-center">
+            <h3 className="text-white font-medium mb-1">No scheduled announcements</h3>
+            <p className="text-gray-400 text-sm">Schedule one to have it sent automatically</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-750 border-b border-gray-700">
+                <tr>
+                  <th className="text-left px-6 py-4 text-sm font-medium text-gray-300">Title</th>
+                  <th className="text-left px-6 py-4 text-sm font-medium text-gray-300">Schedule</th>
+                  <th className="text-left px-6 py-4 text-sm font-medium text-gray-300">Content</th>
+                  <th className="text-left px-6 py-4 text-sm font-medium text-gray-300">Last Sent</th>
+                  <th className="text-left px-6 py-4 text-sm font-medium text-gray-300">Status</th>
+                  <th className="text-right px-6 py-4 text-sm font-medium text-gray-300">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-700">
+                {announcements.map((announcement) => (
+                  <tr key={announcement.id} className="hover:bg-gray-750">
+                    <td className="px-6 py-4">
+                      <span className="font-medium text-white">{announcement.title}</span>
+                      {announcement.isPinned && (
+                        <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-emerald-600/20 text-emerald-400">Pinned</span>
+                      )}
+                      {announcement.createdBy && (
+                        <p className="text-gray-500 text-xs">by {announcement.createdBy.username}</p>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-gray-300 text-sm">{getScheduleLabel(announcement)}</td>
+                    <td className="px-6 py-4">
+                      <div className="flex items-start gap-3">
+                        {announcement.imageUrl && (
+                          <img src={toMediaSrc(announcement.imageUrl)} alt="" className="w-12 h-12 object-cover rounded-lg" />
+                        )}
+                        <div className="space-y-1">
+                          {announcement.body && <p className="text-gray-300 text-sm line-clamp-2 max-w-xs">{announcement.body}</p>}
+                          {announcement.audioUrl && <audio controls src={toMediaSrc(announcement.audioUrl)} className="h-8" />}
+                        </div>
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 text-gray-400 text-sm">
+                      {announcement.lastSentAt ? new Date(announcement.lastSentAt).toLocaleString() : '-'}
+                    </td>
+                    <td className="px-6 py-4">
+                      <span className={`px-3 py-1 rounded-full text-xs font-medium ${STATUS_CLASSES[announcement.status]}`}>
+                        {announcement.status}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4">
+                      {canEdit && (
+                        <div className="flex justify-end gap-2">
+                          {announcement.status === 'scheduled' && (
+                            <>
+                              <button
+                                onClick={() => handleEdit(announcement)}
+                                className="p-2 text-gray-400 hover:text-white hover:bg-gray-700 rounded-lg transition-colors"
+                                title="Edit"
+                              >
+                                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                                </svg>
+                              </button>
+                              <button
+                                onClick={() => handleCancel(announcement)}
+                                className="p-2 text-gray-400 hover:text-yellow-400 hover:bg-gray-700 rounded-lg transition-colors"
+                                title="Cancel"
+                              >
+                                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M18.364 18.364A9 9 0 005.636 5.636m12.728 12.728A9 9 0 015.636 5.636m12.728 12.728L5.636 5.636" />
+                                </svg>
+                              </button>
+                            </>
+                          )}
+                          <button
+                            onClick={() => handleDelete(announcement)}
+                            className="p-2 text-gray-400 hover:text-red-400 hover:bg-gray-700 rounded-lg transition-colors"
+                            title="Delete"
+                          >
+                            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                            </svg>
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Add/Edit Modal */}
+      {showModal && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+          <div className="bg-gray-800 rounded-xl w-full max-w-2xl border border-gray-700 max-h-[90vh] overflow-y-auto">
+            <div className="p-6 border-b border-gray-700">
+              <h2 className="text-xl font-semibold text-white">
+                {editing ? 'Edit Scheduled Announcement' : 'Schedule Announcement'}
+              </h2>
+            </div>
+            <div className="p-6">
+              <ScheduledAnnouncementForm
+                announcement={editing}
+                onSubmit={handleSubmit}
+                onCancel={handleCloseModal}
+                isLoading={isSubmitting}
+              />
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,128 @@
+import { useState, useEffect } from 'react';
+import { getSettings, updateSettings, hasPermission, getCurrentAdmin } from '../services/api';
+
+const TIMEZONES = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [];
+
+export default function Settings() {
+  // Server-wide, so admins tied to one mosque may not change them
+  const canEdit = hasPermission('settings:manage') && !getCurrentAdmin()?.mosqueId;
+  const [timezone, setTimezone] = useState('');
+  const [now, setNow] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  const fetchSettings = async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+      const data = await getSettings();
+      setTimezone(data.timezone);
+      setNow(data.now);
+    } catch (err) {
+      setError('Failed to load settings');
+      console.error(err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setIsSaving(true);
+      setError('');
+      const data = await updateSettings({ timezone });
+      setTimezone(data.timezone);
+      setNow(data.now);
+      setSuccess('Settings saved successfully');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save settings');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin w-8 h-8 border-4 border-emerald-500 border-t-transparent rounded-full" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-white">Settings</h1>
+        <p className="text-gray-400 mt-1">Server-wide scheduling settings</p>
+      </div>
+
+      {/* Messages */}
+      {error && (
+        <div className="bg-red-900/50 border border-red-500 text-red-300 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="bg-green-900/50 border border-green-500 text-green-300 px-4 py-3 rounded-lg">
+          {success}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="bg-gray-800 rounded-xl border border-gray-700 p-6 space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Timezone</label>
+          {TIMEZONES.length > 0 ? (
+            <select
+              value={timezone}
+              onChange={(e) => setTimezone(e.target.value)}
+              className="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-emerald-500"
+            >
+              {!TIMEZONES.includes(timezone) && <option value={timezone}>{timezone}</option>}
+              {TIMEZONES.map((tz) => (
+                <option key={tz} value={tz}>
+                  {tz}
+                </option>
+              ))}
+            </select>
+          ) : (
+            <input
+              type="text"
+              value={timezone}
+              onChange={(e) => setTimezone(e.target.value)}
+              placeholder="e.g. Asia/Kolkata"
+              className="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-emerald-500"
+            />
+          )}
+          <p className="text-gray-500 text-xs mt-1">
+            Default zone for mosques that do not set their own. Daylight saving time is applied automatically.
+          </p>
+        </div>
+
+        {now && (
+          <p className="text-gray-400 text-sm">
+            Server local time: <span className="text-white">{now.date} {now.time}</span> ({now.offsetDisplay})
+          </p>
+        )}
+
+        {canEdit && (
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="bg-emerald-600 hover:bg-emerald-700 disabled:bg-emerald-800 disabled:cursor-not-allowed text-white py-2 px-4 rounded-lg transition-colors"
+          >
+            {isSaving ? 'Saving...' : 'Save Settings'}
+          </button>
+        )}
+      </form>
+    </div>
+  );
+}
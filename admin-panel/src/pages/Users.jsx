@@ -1,10 +1,13 @@
 import { useState, useEffect } from 'react';
-import { getUsers } from '../services/api';
+import { getUsers, getUserDevices } from '../services/api';
 
 export default function Users() {
   const [users, setUsers] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
+  const [devicesUser, setDevicesUser] = useState(null);
+  const [devices, setDevices] = useState([]);
+  const [isLoadingDevices, setIsLoadingDevices] = useState(false);
 
   useEffect(() => {
     fetchUsers();
@@ -24,6 +27,21 @@ export default function Users() {
     }
   };
 
+  const openDevices = async (user) => {
+    setDevicesUser(user);
+    setDevices([]);
+    try {
+      setIsLoadingDevices(true);
+      setDevices(await getUserDevices(user.id));
+    } catch (err) {
+      setError('Failed to load devices');
+      setDevicesUser(null);
+      console.error(err);
+    } finally {
+      setIsLoadingDevices(false);
+    }
+  };
+
   const formatDate = (dateStr) => {
     if (!dateStr) return '—';
     return new Date(dateStr).toLocaleDateString('en-US', {
@@ -85,6 +103,7 @@ export default function Users() {
                   <th className="text-left px-6 py-4 text-sm font-medium text-gray-300">Phone</th>
                   <th className="text-left px-6 py-4 text-sm font-medium text-gray-300">Joined</th>
                   <th className="text-left px-6 py-4 text-sm font-medium text-gray-300">Last Login</th>
+                  <th className="text-right px-6 py-4 text-sm font-medium text-gray-300">Devices</th>
                 </tr>
               </thead>
               <tbody className="divide-y divide-gray-700">
@@ -104,6 +123,14 @@ export default function Users() {
                     <td className="px-6 py-4 text-gray-300">{user.phone || '—'}</td>
                     <td className="px-6 py-4 text-gray-400">{formatDate(user.created_at)}</td>
                     <td className="px-6 py-4 text-gray-400">{formatDateTime(user.lastLoginAt)}</td>
+                    <td className="px-6 py-4 text-right">
+                      <button
+                        onClick={() => openDevices(user)}
+                        className="text-emerald-400 hover:text-emerald-300 text-sm"
+                      >
+                        View
+                      </button>
+                    </td>
                   </tr>
                 ))}
               </tbody>
@@ -111,6 +138,54 @@ export default function Users() {
           </div>
         )}
       </div>
+
+      {/* Devices Modal */}
+      {devicesUser && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+          <div className="bg-gray-800 rounded-xl w-full max-w-2xl border border-gray-700 p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-white">Devices of {devicesUser.name}</h3>
+              <button onClick={() => setDevicesUser(null)} className="text-gray-400 hover:text-white">
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+            {isLoadingDevices ? (
+              <div className="flex items-center justify-center h-32">
+                <div className="animate-spin w-8 h-8 border-4 border-emerald-500 border-t-transparent rounded-full" />
+              </div>
+            ) : devices.length === 0 ? (
+              <p className="text-gray-400 text-center py-8">No devices linked to this user</p>
+            ) : (
+              <table className="w-full">
+                <thead className="border-b border-gray-700">
+                  <tr>
+                    <th className="text-left px-3 py-2 text-sm font-medium text-gray-300">Platform</th>
+                    <th className="text-left px-3 py-2 text-sm font-medium text-gray-300">Provider</th>
+                    <th className="text-left px-3 py-2 text-sm font-medium text-gray-300">App Version</th>
+                    <th className="text-left px-3 py-2 text-sm font-medium text-gray-300">Locale</th>
+                    <th className="text-left px-3 py-2 text-sm font-medium text-gray-300">Timezone</th>
+                    <th className="text-left px-3 py-2 text-sm font-medium text-gray-300">Last Seen</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-700">
+                  {devices.map((device) => (
+                    <tr key={device.id}>
+                      <td className="px-3 py-2 text-white capitalize">{device.platform}</td>
+                      <td className="px-3 py-2 text-gray-300">{device.provider}</td>
+                      <td className="px-3 py-2 text-gray-300">{device.appVersion || '—'}</td>
+                      <td className="px-3 py-2 text-gray-300">{device.locale || '—'}</td>
+                      <td className="px-3 py-2 text-gray-300">{device.timezone || '—'}</td>
+                      <td className="px-3 py-2 text-gray-400">{formatDateTime(device.lastSeenAt)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { io } from 'socket.io-client';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 export const SERVER_URL = API_BASE_URL.replace(/\/api$/, '');
@@ -7,23 +8,81 @@ const api = axios.create({
   baseURL: API_BASE_URL,
 });
 
-// Add auth token to requests
+// Add auth token and selected mosque to requests
 api.interceptors.request.use((config) => {
   const token = localStorage.getItem('adminToken');
   if (token) {
     config.headers.Authorization = `Bearer ${token}`;
   }
+  const mosqueId = localStorage.getItem('mosqueId');
+  if (mosqueId) {
+    config.headers['X-Mosque-Id'] = mosqueId;
+  }
   return config;
 });
 
-// Handle unauthorized responses
+export const clearSession = () => {
+  localStorage.removeItem('adminToken');
+  localStorage.removeItem('adminRefreshToken');
+  localStorage.removeItem('adminProfile');
+};
+
+// Signed-in admin as returned by login or /admin/me (includes role permissions)
+export const getCurrentAdmin = () => {
+  try {
+    return JSON.parse(localStorage.getItem('adminProfile')) || null;
+  } catch {
+    return null;
+  }
+};
+
+export const setCurrentAdmin = (admin) => {
+  localStorage.setItem('adminProfile', JSON.stringify(admin));
+};
+
+// UI hint only; the server enforces permissions
+export const hasPermission = (permission) => {
+  return getCurrentAdmin()?.permissions?.includes(permission) || false;
+};
+
+// Requests whose 401 means bad credentials rather than an expired token
+const NO_REFRESH_URLS = ['/admin/login', '/admin/refresh'];
+
+// Concurrent 401s share one refresh request
+let refreshing = null;
+
+const refreshAccessToken = async () => {
+  const refreshToken = localStorage.getItem('adminRefreshToken');
+  if (!refreshToken) throw new Error('No refresh token');
+  const response = await axios.post(`${API_BASE_URL}/admin/refresh`, { refreshToken });
+  localStorage.setItem('adminToken', response.data.token);
+  localStorage.setItem('adminRefreshToken', response.data.refreshToken);
+  return response.data.token;
+};
+
+// On an expired access token, refresh once and retry; otherwise back to login
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('adminToken');
+  async (error) => {
+    const original = error.config;
+    if (error.response?.status === 401 && original && !original._retried && !NO_REFRESH_URLS.includes(original.url)) {
+      original._retried = true;
+      try {
+        refreshing = refreshing || refreshAccessToken().finally(() => { refreshing = null; });
+        const token = await refreshing;
+        original.headers.Authorization = `Bearer ${token}`;
+        return api(original);
+      } catch {
+        // Fall through to the login redirect
+      }
+    }
+    if (error.response?.status === 401 && !original?.url?.startsWith('/admin/login')) {
+      clearSession();
       window.location.href = '/login';
     }
+    if (error.response?.data?.code === 'PASSWORD_CHANGE_REQUIRED' && window.location.pathname !== '/change-password') {
+      window.location.href = '/change-password';
+    }
     return Promise.reject(error);
   }
 );
@@ -34,6 +93,53 @@ export const login = async (username, password) => {
   return response.data;
 };
 
+export const getMe = async () => {
+  const response = await api.get('/admin/me');
+  return response.data;
+};
+
+export const changePassword = async (currentPassword, newPassword) => {
+  const response = await api.put('/admin/password', { currentPassword, newPassword });
+  localStorage.setItem('adminToken', response.data.token);
+  localStorage.setItem('adminRefreshToken', response.data.refreshToken);
+  setCurrentAdmin(response.data.admin);
+  return response.data;
+};
+
+export const logout = async () => {
+  try {
+    await api.post('/admin/logout');
+  } finally {
+    clearSession();
+  }
+};
+
+// Admin accounts
+export const getAdminAccounts = async () => {
+  const response = await api.get('/admin/accounts');
+  return response.data;
+};
+
+export const createAdminAccount = async (data) => {
+  const response = await api.post('/admin/accounts', data);
+  return response.data;
+};
+
+export const updateAdminAccount = async (id, data) => {
+  const response = await api.put(`/admin/accounts/${id}`, data);
+  return response.data;
+};
+
+export const deleteAdminAccount = async (id) => {
+  const response = await api.delete(`/admin/accounts/${id}`);
+  return response.data;
+};
+
+export const resetAdminPassword = async (id, password) => {
+  const response = await api.post(`/admin/accounts/${id}/reset-password`, { password });
+  return response.data;
+};
+
 // Prayers
 export const getPrayers = async (date) => {
   const params = date ? { date } : {};
@@ -65,6 +171,12 @@ export const deletePrayer = async (id) => {
   return response.data;
 };
 
+export const getCalculatedPrayerTimes = async (date) => {
+  const params = date ? { date } : {};
+  const response = await api.get('/prayers/calculated', { params });
+  return response.data;
+};
+
 export const getTodayPrayers = async () => {
   const today = new Date().toISOString().split('T')[0];
   return getPrayers(today);
@@ -140,16 +252,136 @@ export const broadcastAnnouncement = async (formData) => {
   return response.data;
 };
 
+export const getAnnouncements = async (params) => {
+  const response = await api.get('/announcements', { params });
+  return response.data;
+};
+
+export const updateAnnouncement = async (id, data) => {
+  const response = await api.put(`/announcements/${id}`, data);
+  return response.data;
+};
+
+export const deleteAnnouncement = async (id) => {
+  const response = await api.delete(`/announcements/${id}`);
+  return response.data;
+};
+
+export const getScheduledAnnouncements = async (params) => {
+  const response = await api.get('/announcements/scheduled', { params });
+  return response.data;
+};
+
+export const createScheduledAnnouncement = async (formData) => {
+  const response = await api.post('/announcements/scheduled', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  });
+  return response.data;
+};
+
+export const updateScheduledAnnouncement = async (id, formData) => {
+  const response = await api.put(`/announcements/scheduled/${id}`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  });
+  return response.data;
+};
+
+export const cancelScheduledAnnouncement = async (id) => {
+  const response = await api.post(`/announcements/scheduled/${id}/cancel`);
+  return response.data;
+};
+
+export const deleteScheduledAnnouncement = async (id) => {
+  const response = await api.delete(`/announcements/scheduled/${id}`);
+  return response.data;
+};
+
+// Socket for streaming a live announcement as the signed-in admin. Calls
+// /admin/me first so an expired access token is refreshed before connecting.
+export const connectLiveSocket = async () => {
+  await getMe();
+  const socket = io(SERVER_URL, {
+    auth: { token: localStorage.getItem('adminToken'), mosqueId: localStorage.getItem('mosqueId') },
+  });
+  await new Promise((resolve, reject) => {
+    socket.once('connect', resolve);
+    socket.once('connect_error', (err) => {
+      socket.close();
+      reject(err);
+    });
+  });
+  return socket;
+};
+
 // Users
 export const getUsers = async () => {
   const response = await api.get('/users');
   return response.data;
 };
 
+export const getUserDevices = async (id) => {
+  const response = await api.get(`/users/${id}/devices`);
+  return response.data;
+};
+
 // Stats
 export const getStats = async () => {
   const response = await api.get('/stats');
   return response.data;
 };
 
+// Settings
+export const getSettings = async () => {
+  const response = await api.get('/settings');
+  return response.data;
+};
+
+export const updateSettings = async (data) => {
+  const response = await api.put('/settings', data);
+  return response.data;
+};
+
+// Mosques
+export const getMosques = async () => {
+  const response = await api.get('/mosques');
+  return response.data;
+};
+
+export const createMosque = async (data) => {
+  const response = await api.post('/mosques', data);
+  return response.data;
+};
+
+export const updateMosque = async (id, data) => {
+  const response = await api.put(`/mosques/${id}`, data);
+  return response.data;
+};
+
+export const deleteMosque = async (id) => {
+  const response = await api.delete(`/mosques/${id}`);
+  return response.data;
+};
+
+// Audit log
+export const getAuditLogs = async (params) => {
+  const response = await api.get('/audit', { params });
+  return response.data;
+};
+
+// Notification templates
+export const getNotificationTemplates = async () => {
+  const response = await api.get('/notification-templates');
+  return response.data;
+};
+
+export const updateNotificationTemplate = async (type, locale, data) => {
+  const response = await api.put(`/notification-templates/${type}/${locale}`, data);
+  return response.data;
+};
+
+export const resetNotificationTemplate = async (type, locale) => {
+  const response = await api.delete(`/notification-templates/${type}/${locale}`);
+  return response.data;
+};
+
 export default api;